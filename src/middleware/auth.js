@@ -0,0 +1,120 @@
+// src/middleware/auth.js
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import {
+  verifyToken,
+  verifyGuestToken,
+  extractBearerToken,
+} from "../utils/token.js";
+import { isSessionActive } from "../utils/sessions.js";
+import { isRoomMember } from "../utils/roomAccess.js";
+
+/**
+ * Resolve the caller and attach req.auth:
+ *   { userId, userEmail, isGuest, guestId, sessionId }
+ *
+ * - "Authorization: Bearer <jwt>" → logged-in user (invalid token or
+ *                                   revoked session → 401)
+ * - "X-Guest-Token: <token>"      → guest (token from POST /api/auth/guest;
+ *                                   invalid / expired → 401)
+ * - neither                       → req.auth = null (anonymous)
+ *
+ * Mount this first, then one of the require* guards below per route.
+ */
+export async function authenticate(req, res, next) {
+  const header = req.get("authorization");
+  const token = extractBearerToken(header);
+
+  if (header) {
+    const claims = token ? verifyToken(token) : null;
+    if (!claims) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    try {
+      if (!(await isSessionActive(claims.sessionId))) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    req.auth = {
+      userId: claims.userId,
+      userEmail: claims.email,
+      isGuest: false,
+      guestId: null,
+      sessionId: claims.sessionId,
+    };
+    return next();
+  }
+
+  const guestToken = req.get("x-guest-token");
+  if (guestToken) {
+    const guestId = verifyGuestToken(guestToken);
+    if (!guestId) {
+      return res.status(401).json({ error: "Invalid or expired guest token" });
+    }
+    req.auth = {
+      userId: guestId,
+      userEmail: null,
+      isGuest: true,
+      guestId,
+      sessionId: null,
+    };
+    return next();
+  }
+
+  req.auth = null;
+  next();
+}
+
+// Logged-in users only
+export function requireUser(req, res, next) {
+  if (!req.auth || req.auth.isGuest) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+}
+
+// Logged-in users or guests with a valid guest token
+export function requireIdentity(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+}
+
+/**
+ * Load the room named by req.params[param] (or req.body[param]) into
+ * req.room and check that the caller is a member (or the owner).
+ * Finer permissions are checked by the services.
+ */
+export function requireRoomMember(param = "roomId") {
+  return async (req, res, next) => {
+    try {
+      if (!req.auth) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+
+      const roomId = req.params?.[param] || req.body?.[param];
+      if (!roomId || !mongoose.isValidObjectId(roomId)) {
+        return res.status(400).json({ error: "Invalid room id" });
+      }
+
+      const room = await Room.findById(roomId);
+      if (!room) return res.status(404).json({ error: "Room not found" });
+
+      if (!isRoomMember(room, req.auth)) {
+        return res
+          .status(403)
+          .json({ error: "You are not a member of this room" });
+      }
+
+      req.room = room;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// src/middleware/rateLimit.js
+
+/**
+ * Fixed-window counters kept in process memory.
+ *
+ * Any object with the same async `increment(key, windowMs)` /
+ * `get(key)` / `reset(key)` interface (e.g. a Redis-backed one) can be
+ * passed as `store` instead — tests just create a fresh memory store per
+ * case.
+ */
+export function createMemoryStore() {
+  const hits = new Map(); // key → { count, resetAt }
+
+  function prune(now) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (hits.size > 10000) prune(now);
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    // → { count, resetAt } of the current window, or null
+    async get(key) {
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= Date.now()) return null;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+const defaultStore = createMemoryStore();
+
+export const byIp = (req) => req.ip || "unknown";
+
+export const byEmail = (req) => {
+  const email = req.body?.email;
+  return email ? String(email).trim().toLowerCase() : null;
+};
+
+/**
+ * The counting behind rateLimit(), for callers that aren't routes (socket
+ * events): createLimiter({ name, windowMs, max, store }) →
+ * async (id) => 0 while allowed, else the seconds until the window resets.
+ * A limiter and a rateLimit() with the same name and store share counters.
+ */
+export function createLimiter({ name, windowMs, max, store = defaultStore }) {
+  return async (id) => {
+    const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+    if (count <= max) return 0;
+    return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  };
+}
+
+/**
+ * rateLimit({ name, windowMs, max, key, store })
+ *
+ * - name:  namespace so different routes don't share counters
+ * - key:   (req) => string | null — null skips the check (e.g. no email)
+ *
+ * Over the limit → 429 { error, retryAfter } + Retry-After header.
+ */
+export function rateLimit({ key = byIp, ...options }) {
+  const limiter = createLimiter(options);
+
+  return async (req, res, next) => {
+    try {
+      const id = key(req);
+      if (!id) return next();
+
+      const retryAfter = await limiter(id);
+      if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Too many requests, please try again later",
+          retryAfter,
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,131 @@
+// src/middleware/socketAuth.js
+import crypto from "crypto";
+import {
+  verifyToken,
+  verifyGuestToken,
+  signGuestToken,
+  extractBearerToken,
+} from "../utils/token.js";
+import { isSessionActive } from "../utils/sessions.js";
+
+/**
+ * Put the socket into "logged-in user" mode using verified JWT claims.
+ */
+export function applyUserIdentity(socket, claims) {
+  socket.data.userId = claims.userId;
+  socket.data.userEmail = claims.email;
+  socket.data.isGuest = false;
+  socket.data.guestId = null;
+  socket.data.sessionId = claims.sessionId;
+}
+
+/**
+ * Put the socket into guest mode. Guests never carry an email, so they can
+ * never match a room's ownerId (which is always an email).
+ */
+export function applyGuestIdentity(socket, guestId = null) {
+  socket.data.userId = guestId;
+  socket.data.userEmail = null;
+  socket.data.isGuest = true;
+  socket.data.guestId = guestId;
+  socket.data.sessionId = null;
+}
+
+/**
+ * A fresh "guest_xxx" id. Guest ids are always minted here and handed out
+ * with a guest token (utils/token.js); clients can't pick their own.
+ */
+export function generateGuestId() {
+  return `guest_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+/**
+ * Give a guest socket without an id a fresh one, and tell it the token to
+ * resume it with ("guest_identity { guestId, guestToken }").
+ * → the socket's guest id
+ */
+export function ensureGuestIdentity(socket) {
+  if (socket.data.guestId) return socket.data.guestId;
+
+  const guestId = generateGuestId();
+  applyGuestIdentity(socket, guestId);
+  socket.emit("guest_identity", {
+    guestId,
+    guestToken: signGuestToken(guestId),
+  });
+  return guestId;
+}
+
+/**
+ * The client's address, read the way Express reads req.ip: with
+ * TRUST_PROXY set (hop count), that many X-Forwarded-For hops are trusted.
+ */
+export function socketClientIp(socket) {
+  const { address, headers } = socket.handshake || {};
+  const hops = process.env.TRUST_PROXY
+    ? Number(process.env.TRUST_PROXY) || 1
+    : 0;
+  const chain = [
+    ...String(headers?.["x-forwarded-for"] || "")
+      .split(",")
+      .map((hop) => hop.trim()),
+    address,
+  ].filter(Boolean);
+  return chain[Math.max(0, chain.length - 1 - hops)] || "unknown";
+}
+
+/**
+ * Read the JWT from the handshake: `io({ auth: { token } })` on the client,
+ * or an `Authorization: Bearer …` header for non-browser clients.
+ */
+function handshakeToken(socket) {
+  const { auth, headers } = socket.handshake || {};
+  return auth?.token || extractBearerToken(headers?.authorization);
+}
+
+/**
+ * Verify a login JWT and make sure its session hasn't been revoked.
+ * Returns the claims or null.
+ */
+export async function verifySocketToken(token) {
+  const claims = verifyToken(token);
+  if (!claims) return null;
+  return (await isSessionActive(claims.sessionId)) ? claims : null;
+}
+
+/**
+ * io.use() middleware
+ *
+ * - no token      → connection allowed as guest; `auth.guestToken` resumes
+ *                   a previous guest id (an invalid one starts a new guest)
+ * - valid token   → socket.data populated from the verified claims
+ * - invalid token → connection rejected with "INVALID_TOKEN" so the client
+ *                   can refresh / log in again instead of silently losing
+ *                   its identity (revoked sessions included)
+ */
+export async function socketAuth(socket, next) {
+  const token = handshakeToken(socket);
+
+  if (!token) {
+    // guests resume their previous "guest_xxx" id with its signed token
+    const guestId = verifyGuestToken(socket.handshake?.auth?.guestToken);
+    applyGuestIdentity(socket, guestId);
+    return next();
+  }
+
+  let claims;
+  try {
+    claims = await verifySocketToken(token);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!claims) {
+    const err = new Error("INVALID_TOKEN");
+    err.data = { reason: "INVALID_TOKEN" };
+    return next(err);
+  }
+
+  applyUserIdentity(socket, claims);
+  next();
+}
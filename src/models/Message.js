@@ -16,6 +16,29 @@ const reactionSchema = new Schema(
   { _id: false }
 );
 
+// ✏️ a replaced version of the text (edit / redaction)
+const editSchema = new Schema(
+  {
+    content: { type: String, default: "" },
+    replacedAt: { type: Date, required: true },
+    editedBy: { type: String }, // sender or moderator id
+  },
+  { _id: false }
+);
+
+// 💬 compact copy of the message being replied to, kept in sync on
+// edit / redaction / delete of the parent
+const replyPreviewSchema = new Schema(
+  {
+    senderName: { type: String },
+    role: { type: String },
+    text: { type: String, default: "" }, // first 120 characters
+    mediaType: { type: String },
+    unavailable: { type: Boolean, default: false }, // redacted or deleted
+  },
+  { _id: false }
+);
+
 const messageSchema = new Schema(
   {
     // 🔹 Room reference (Room _id)
@@ -24,6 +47,10 @@ const messageSchema = new Schema(
     // 🔹 Who sent it
     senderUser: { type: Schema.Types.ObjectId, ref: "User" },
     senderGuestName: { type: String },
+    // "guest_xxx" id of the guest socket that sent it (used for delete checks)
+    senderGuestId: { type: String },
+    // the sender's room.members[].id when sent (the owner's is their email)
+    senderMemberId: { type: String },
 
     // 🔹 "user" | "ai" | "system"
     role: {
@@ -57,11 +84,38 @@ const messageSchema = new Schema(
     mediaType: {
       type: String, // e.g. "image", "video", "file"
     },
+    mediaName: { type: String }, // original file name
+    mimeType: { type: String },
 
     reactions: {
       type: [reactionSchema],
       default: [],
     },
+
+    // 💬 replies (services/messageService.js)
+    // replyTo: the message answered / quoted; threadRoot: set on messages
+    // inside a thread (folded out of the main timeline)
+    replyTo: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    threadRoot: { type: Schema.Types.ObjectId, ref: "Message", default: null },
+    replyPreview: { type: replyPreviewSchema, default: undefined },
+    // direct replies to this message / messages in the thread it starts
+    replyCount: { type: Number, default: 0 },
+    threadReplyCount: { type: Number, default: 0 },
+    lastThreadReplyAt: { type: Date, default: null },
+
+    // @ mentions (services/notifications.js): members[].id of everyone
+    // mentioned by name; mentionsEveryone for an @everyone that counted
+    mentions: { type: [String], default: undefined },
+    mentionsEveryone: { type: Boolean, default: false },
+
+    // ✏️ edits (services/messageService.js); the trail is moderators-only,
+    // so it's never loaded by default
+    editedAt: { type: Date, default: null },
+    edits: { type: [editSchema], select: false },
+    // 🚫 redacted by a moderator: text and media are cleared
+    redactedAt: { type: Date, default: null },
+    redactedBy: { type: String },
+    redactReason: { type: String },
   },
   { timestamps: true }
 );
@@ -82,6 +136,18 @@ messageSchema.set("toJSON", {
   },
 });
 
+// History pages walk (createdAt, _id) within a room, or within a thread
+messageSchema.index({ room: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1, _id: 1 });
+messageSchema.index({ replyTo: 1 });
+
+// 🔎 GET /api/rooms/:roomId/search and /api/rooms/search
+// (services/messageSearch.js); one text index per collection
+messageSchema.index(
+  { content: "text" },
+  { name: "message_content_text", default_language: "none" }
+);
+
 // Reuse model if hot reload, else create
 const Message =
   mongoose.models.Message || mongoose.model("Message", messageSchema);
@@ -0,0 +1,51 @@
+// src/models/Notification.js
+import mongoose from "mongoose";
+
+/**
+ * One entry in a user's notification inbox (services/notifications.js).
+ * `recipientId` uses the members[].id format: a userId, an email (older
+ * rooms) or a "guest_xxx" id.
+ */
+const NOTIFICATION_TTL_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: { type: String, required: true },
+
+    type: { type: String, enum: ["mention"], default: "mention" },
+
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+
+    // copied at send time so the inbox renders without loading rooms
+    roomName: { type: String },
+    senderName: { type: String },
+    preview: { type: String, default: "" }, // first 120 characters
+    everyone: { type: Boolean, default: false }, // via @everyone
+
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Inbox pages are newest first, by _id
+notificationSchema.index({ recipientId: 1, _id: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+notificationSchema.index({ message: 1 });
+notificationSchema.index({ room: 1 });
+
+// Old notifications are cleaned up by Mongo
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 }
+);
+
+const Notification =
+  mongoose.models.Notification ||
+  mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,26 @@
+// src/models/ReadState.js
+import mongoose from "mongoose";
+
+/**
+ * How far one member has read in one room (services/readReceipts.js).
+ * `memberId` uses the members[].id format: a userId, an email (older
+ * rooms) or a "guest_xxx" id. Only ever moves forward.
+ */
+const readStateSchema = new mongoose.Schema(
+  {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    memberId: { type: String, required: true },
+
+    lastReadMessage: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+    lastReadAt: { type: Date, required: true }, // createdAt of that message
+  },
+  { timestamps: true }
+);
+
+readStateSchema.index({ room: 1, memberId: 1 }, { unique: true });
+readStateSchema.index({ memberId: 1 });
+
+const ReadState =
+  mongoose.models.ReadState || mongoose.model("ReadState", readStateSchema);
+
+export default ReadState;
@@ -4,11 +4,66 @@ const memberSchema = new mongoose.Schema(
   {
     id: { type: String, required: true }, // email or "guest_123"
     name: { type: String, required: true },
-    role: { type: String, default: "member" }, // "owner", "member", "guest"
+    role: {
+      type: String,
+      enum: ["owner", "co-owner", "moderator", "member", "guest"],
+      default: "member",
+    },
+    // 🔇 set by moderators; send_message rejects until this passes
+    mutedUntil: { type: Date, default: null },
+    // 🔕 set by the member; no mention notifications from this room
+    notificationsMuted: { type: Boolean, default: false },
   },
   { _id: false } // cleaner members array
 );
 
+const banSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    name: { type: String },
+    bannedBy: { type: String }, // id of the owner/moderator
+    reason: { type: String },
+    bannedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// 🚪 someone waiting for approval (privacy: "approval")
+const joinRequestSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true }, // future members[].id
+    name: { type: String, required: true },
+    isGuest: { type: Boolean, default: false },
+    requestedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// ⚙️ defaults, validation and enforcement live in services/roomSettings.js;
+// unset fields mean "default" there
+const settingsSchema = new mongoose.Schema(
+  {
+    theme: { type: String },
+    slowModeSeconds: { type: Number },
+    maxMembers: { type: Number },
+    allowGuests: { type: Boolean },
+    guestMediaAllowed: { type: Boolean },
+    aiPersona: { type: String },
+  },
+  { _id: false }
+);
+
+// 🌐 public directory entry; validated in services/roomDirectory.js
+const listingSchema = new mongoose.Schema(
+  {
+    isPublic: { type: Boolean, default: false },
+    description: { type: String },
+    tags: { type: [String], default: undefined },
+    language: { type: String },
+  },
+  { _id: false }
+);
+
 const roomSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
@@ -16,7 +71,7 @@ const roomSchema = new mongoose.Schema(
     // ALWAYS the owner's email (we use this on server for limits / visibility)
     ownerId: { type: String, required: true },
 
-    // 6-digit room code, must be unique
+    // 6-digit room code or a lowercase vanity code (services/roomCodes.js)
     code: { type: String, required: true, unique: true },
 
     // 🔹 This field already has a unique index in Mongo: inviteLinkId_1
@@ -35,17 +90,66 @@ const roomSchema = new mongoose.Schema(
 
     members: [memberSchema],
 
-    // 🎨 chat theme for this room ("default", "love", "midnight", etc.)
-    theme: {
+    // 🚫 banned ids (same format as members[].id); blocks rejoining by code
+    bans: [banSchema],
+
+    // 🔒 how joining by code works (services/roomAdmission.js):
+    // "open" → join straight away, "password" → needs the room password,
+    // "approval" → queued in joinRequests until a moderator decides
+    privacy: {
       type: String,
-      default: "default",
+      enum: ["open", "password", "approval"],
+      default: "open",
     },
+    // never sent to clients (room lists are plain find()s)
+    passwordHash: { type: String, select: false },
+    joinRequests: { type: [joinRequestSchema], select: false },
+
+    settings: { type: settingsSchema, default: () => ({}) },
+
+    listing: { type: listingSchema, default: () => ({}) },
+    // last message sent; the directory sorts by it
+    lastActivityAt: { type: Date, default: null },
+
+    // 🎨 legacy: the theme now lives in settings.theme; older rooms keep it
+    // here until their settings are saved
+    theme: { type: String },
+
+    // ⏳ Lifetime (see services/roomLifetime.js, which sweeps expired rooms)
+    // "ephemeral" rooms expire at expiresAt; "persistent" rooms never do
+    expiryMode: {
+      type: String,
+      enum: ["ephemeral", "persistent"],
+      default: "ephemeral",
+    },
+    expiresAt: { type: Date, default: null },
+    // what the sweeper does at expiresAt
+    expireAction: {
+      type: String,
+      enum: ["delete", "archive"],
+      default: "delete",
+    },
+    // set once members were warned; cleared whenever expiresAt moves
+    expiryWarnedAt: { type: Date, default: null },
+    // archived rooms are read-only and no longer expire
+    archivedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
-// TTL Index: Deletes room automatically 5 hours after creation
-roomSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 5 });
+// The sweeper looks rooms up by expiry
+roomSchema.index({ expiresAt: 1 });
+
+// Public directory: listed rooms by activity, and its text search
+roomSchema.index({ "listing.isPublic": 1, lastActivityAt: -1 });
+roomSchema.index(
+  { name: "text", "listing.description": "text", "listing.tags": "text" },
+  { name: "room_directory_text", default_language: "none" }
+);
+
+// Per-user room lists (findRoomsForIdentity): rooms owned or joined
+roomSchema.index({ ownerId: 1, createdAt: -1 });
+roomSchema.index({ "members.id": 1, createdAt: -1 });
 
 // Prevent OverwriteModelError in dev
 const Room = mongoose.models.Room || mongoose.model("Room", roomSchema);
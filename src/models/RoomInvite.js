@@ -0,0 +1,53 @@
+// src/models/RoomInvite.js
+import mongoose from "mongoose";
+
+/**
+ * A shareable invite into a room, created by its owner / co-owners.
+ *
+ * The link is /invite/<inviteId>. It stops working once it is revoked,
+ * expires, or has been used maxUses times. Each successful join is recorded
+ * in `usages` (most recent MAX_INVITE_USAGES entries).
+ */
+export const MAX_INVITE_USAGES = 500;
+
+const usageSchema = new mongoose.Schema(
+  {
+    memberId: { type: String, required: true }, // same format as members[].id
+    name: { type: String },
+    usedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const roomInviteSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+      index: true,
+    },
+
+    inviteId: { type: String, required: true, unique: true },
+
+    createdBy: { type: String, required: true }, // creator's userId
+    label: { type: String }, // e.g. "Team Slack", shown in the owner's list
+
+    // role the joiner gets (guests always join as "guest")
+    role: { type: String, enum: ["member", "guest"], default: "member" },
+
+    expiresAt: { type: Date, default: null }, // null → never
+    maxUses: { type: Number, default: null }, // null → unlimited
+    uses: { type: Number, default: 0 },
+
+    revokedAt: { type: Date, default: null },
+
+    usages: [usageSchema],
+  },
+  { timestamps: true }
+);
+
+const RoomInvite =
+  mongoose.models.RoomInvite || mongoose.model("RoomInvite", roomInviteSchema);
+
+export default RoomInvite;
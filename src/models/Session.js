@@ -0,0 +1,43 @@
+// src/models/Session.js
+import mongoose from "mongoose";
+
+/**
+ * One login on one device.
+ *
+ * The refresh token handed to the client is "<sessionId>.<secret>"; only the
+ * sha256 of the current secret is stored here and it changes on every
+ * refresh (rotation). Access tokens carry the session id as `sid`, so
+ * revoking the session invalidates them too.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    refreshTokenHash: { type: String, required: true },
+
+    // 📱 what the user sees in "active sessions"
+    deviceName: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String }, // "logout" | "logout_all" | "password_reset" | "token_reuse" …
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are cleaned up by Mongo
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session =
+  mongoose.models.Session || mongoose.model("Session", sessionSchema);
+
+export default Session;
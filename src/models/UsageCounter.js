@@ -0,0 +1,31 @@
+// src/models/UsageCounter.js
+import mongoose from "mongoose";
+
+/**
+ * Daily usage for one user ("user:<id>"), guest ("guest:<guestId>") or
+ * guest address ("guest-ip:<ip>"), one document per UTC day. Maintained by
+ * services/quotas.js.
+ */
+const usageCounterSchema = new mongoose.Schema(
+  {
+    subject: { type: String, required: true },
+    day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+
+    uploadBytes: { type: Number, default: 0 },
+    aiRequests: { type: Number, default: 0 },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+usageCounterSchema.index({ subject: 1, day: 1 }, { unique: true });
+
+// Old days are cleaned up by Mongo
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsageCounter =
+  mongoose.models.UsageCounter ||
+  mongoose.model("UsageCounter", usageCounterSchema);
+
+export default UsageCounter;
@@ -9,10 +9,15 @@ const userSchema = new mongoose.Schema(
     provider: { type: String, enum: ["local", "google"], default: "local" },
     passwordHash: { type: String }, // only for local users
 
+    // Google account "sub" — set on Google signup or after an explicit link
+    googleId: { type: String, unique: true, sparse: true },
+
     // ✅ OTP verification fields
     isVerified: { type: Boolean, default: false },
     otpCode: { type: String }, // 6-digit code
     otpExpiresAt: { type: Date }, // expiry timestamp
+    otpAttempts: { type: Number, default: 0 }, // wrong guesses for otpCode
+    otpLockedUntil: { type: Date }, // set after too many wrong guesses
 
     // OLD password reset fields (kept for backward compatibility)
     resetToken: { type: String, default: undefined },
@@ -22,6 +27,29 @@ const userSchema = new mongoose.Schema(
     // These are intended to store the HASH of the token (sha256 hex)
     resetPasswordToken: { type: String, default: undefined },
     resetPasswordExpiresAt: { type: Date, default: undefined },
+    resetAttempts: { type: Number, default: 0 },
+    resetLockedUntil: { type: Date, default: undefined },
+
+    // ✉️ Email change: code is sent to pendingEmail, which becomes `email`
+    // once confirmed
+    pendingEmail: { type: String, default: undefined },
+    emailChangeCode: { type: String, default: undefined },
+    emailChangeExpiresAt: { type: Date, default: undefined },
+    emailChangeAttempts: { type: Number, default: 0 },
+    emailChangeLockedUntil: { type: Date, default: undefined },
+
+    // 📊 Quotas (services/quotas.js): limits come from the plan, and an
+    // admin can raise or lower single limits with quotaOverrides
+    plan: { type: String, enum: ["free", "pro"], default: "free" },
+    // rooms owned right now; no default, so older accounts are counted once
+    ownedRoomCount: { type: Number },
+    quotaOverrides: {
+      roomsOwned: { type: Number },
+      membersPerRoom: { type: Number },
+      maxUploadBytes: { type: Number },
+      uploadBytesPerDay: { type: Number },
+      aiRequestsPerDay: { type: Number },
+    },
   },
   { timestamps: true }
 );
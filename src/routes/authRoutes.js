@@ -1,24 +1,153 @@
 // src/routes/authRoutes.js
 import express from "express";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import { generateOtpCode } from "../utils/otp.js";
-import { sendOtpEmail } from "../utils/mailer.js";
+import {
+  generateOtpCode,
+  codesMatch,
+  isCodeLocked,
+  registerFailedAttempt,
+} from "../utils/otp.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendSecurityAlertEmail,
+  isDevMailTransport,
+} from "../utils/mailer.js";
+import {
+  signPurposeToken,
+  verifyPurposeToken,
+  signGuestToken,
+  verifyGuestToken,
+} from "../utils/token.js";
+import { generateGuestId } from "../middleware/socketAuth.js";
+import { verifyGoogleIdToken } from "../utils/googleAuth.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+} from "../utils/sessions.js";
+import { authenticate, requireUser } from "../middleware/auth.js";
+import { rateLimit, byIp, byEmail } from "../middleware/rateLimit.js";
+import {
+  deleteUserAccount,
+  renameUserEmail,
+} from "../utils/accountDeletion.js";
 
 const router = express.Router();
 
-function signToken(user) {
-  return jwt.sign(
-    { userId: user._id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+const FIFTEEN_MIN = 15 * 60 * 1000;
+
+// 🚦 Per-IP and per-email limits for the guessable / email-sending routes
+const requestLimits = [
+  rateLimit({ name: "code-req-ip", windowMs: FIFTEEN_MIN, max: 10, key: byIp }),
+  rateLimit({
+    name: "code-req-email",
+    windowMs: FIFTEEN_MIN,
+    max: 3,
+    key: byEmail,
+  }),
+];
+
+const verifyLimits = [
+  rateLimit({ name: "code-verify-ip", windowMs: FIFTEEN_MIN, max: 30 }),
+];
+
+const loginLimits = [
+  rateLimit({ name: "login-ip", windowMs: FIFTEEN_MIN, max: 30, key: byIp }),
+  rateLimit({
+    name: "login-email",
+    windowMs: FIFTEEN_MIN,
+    max: 10,
+    key: byEmail,
+  }),
+];
+
+// Email change codes are sent to an address the user picks: limit per account
+const emailChangeLimits = [
+  rateLimit({
+    name: "email-change",
+    windowMs: FIFTEEN_MIN,
+    max: 3,
+    key: (req) => req.auth?.userId,
+  }),
+];
+
+function lockedResponse(res, lockedUntil) {
+  return res.status(429).json({
+    error: "Too many wrong codes. Please request a new one later.",
+    lockedUntil,
+  });
+}
+
+/**
+ * Login response shape shared by every sign-in route.
+ * `token` is the short-lived access token, `refreshToken` renews it.
+ */
+function authResponse(user, { token, refreshToken }) {
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      avatar: user.avatar,
+      provider: user.provider,
+    },
+  };
+}
+
+/**
+ * Full profile for the account owner (GET/PATCH /me).
+ */
+function profileResponse(user) {
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    avatar: user.avatar || null,
+    provider: user.provider,
+    hasPassword: !!user.passwordHash,
+    googleLinked: !!user.googleId,
+    pendingEmail: user.pendingEmail || null,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * Drop live sockets that were authenticated with now-revoked sessions.
+ * filter: { sessionId } for one device, { userId } for all of them.
+ */
+async function disconnectSockets(req, { sessionId, userId, exceptSessionId }) {
+  const io = req.app?.get?.("io");
+  if (!io) return;
+
+  try {
+    const sockets = await io.fetchSockets();
+    for (const s of sockets) {
+      if (s.data?.isGuest) continue;
+      if (exceptSessionId && s.data?.sessionId === exceptSessionId) continue;
+      if (
+        (sessionId && s.data?.sessionId === sessionId) ||
+        (userId && s.data?.userId === String(userId))
+      ) {
+        s.emit("auth_error", { reason: "SESSION_REVOKED" });
+        s.disconnect(true);
+      }
+    }
+  } catch (e) {
+    console.warn("Socket disconnect failed:", e?.message || e);
+  }
 }
 
 // --------------- STEP 1: Signup - Request OTP ---------------
-router.post("/signup/request-otp", async (req, res) => {
+router.post("/signup/request-otp", ...requestLimits, async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
@@ -36,6 +165,10 @@ router.post("/signup/request-otp", async (req, res) => {
         .json({ error: "Email is already registered and verified" });
     }
 
+    if (user && isCodeLocked(user, "otp")) {
+      return lockedResponse(res, user.otpLockedUntil);
+    }
+
     const passwordHash = await bcrypt.hash(password, 10);
     const otpCode = generateOtpCode();
     const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -55,14 +188,22 @@ router.post("/signup/request-otp", async (req, res) => {
       user.passwordHash = passwordHash;
       user.otpCode = otpCode;
       user.otpExpiresAt = otpExpiresAt;
+      user.otpAttempts = 0;
       await user.save();
     }
 
-    const sent = await sendOtpEmail(email, otpCode);
+    const sent = await sendVerificationEmail(email, otpCode);
 
     if (!sent) {
+      return res
+        .status(502)
+        .json({ error: "Could not send the verification email" });
+    }
+
+    // file/console mail transports deliver nothing: hand the code back
+    if (isDevMailTransport()) {
       return res.json({
-        message: "OTP generated (email failed). Using dev mode.",
+        message: "OTP generated (dev mail transport).",
         devOtp: otpCode,
       });
     }
@@ -75,7 +216,7 @@ router.post("/signup/request-otp", async (req, res) => {
 });
 
 // --------------- STEP 2: Signup - Verify OTP ---------------
-router.post("/signup/verify-otp", async (req, res) => {
+router.post("/signup/verify-otp", ...verifyLimits, async (req, res) => {
   try {
     const { email, otp } = req.body;
     if (!email || !otp) {
@@ -88,12 +229,18 @@ router.post("/signup/verify-otp", async (req, res) => {
       return res.status(400).json({ error: "User not found" });
     }
 
+    if (isCodeLocked(user, "otp")) {
+      return lockedResponse(res, user.otpLockedUntil);
+    }
+
     if (!user.otpCode || !user.otpExpiresAt) {
       return res.status(400).json({ error: "No OTP requested" });
     }
 
-    if (user.otpCode !== otp) {
-      return res.status(400).json({ error: "Invalid OTP" });
+    if (!codesMatch(user.otpCode, otp)) {
+      const { locked, attemptsLeft } = await registerFailedAttempt(user, "otp");
+      if (locked) return lockedResponse(res);
+      return res.status(400).json({ error: "Invalid OTP", attemptsLeft });
     }
 
     if (user.otpExpiresAt < new Date()) {
@@ -103,20 +250,12 @@ router.post("/signup/verify-otp", async (req, res) => {
     user.isVerified = true;
     user.otpCode = undefined;
     user.otpExpiresAt = undefined;
+    user.otpAttempts = 0;
     await user.save();
 
-    const token = signToken(user);
-
-    res.json({
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        provider: user.provider,
-      },
-    });
+    const session = await createSession(user, req);
+
+    res.json(authResponse(user, session));
   } catch (err) {
     console.error("Verify OTP error:", err);
     res.status(500).json({ error: "Server error" });
@@ -124,7 +263,7 @@ router.post("/signup/verify-otp", async (req, res) => {
 });
 
 // --------------- LOGIN (email/password) ---------------
-router.post("/login", async (req, res) => {
+router.post("/login", ...loginLimits, async (req, res) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password) {
@@ -136,7 +275,8 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Invalid credentials" });
     }
 
-    if (user.provider !== "local") {
+    // Google accounts can log in with a password once they've set one (/me/password)
+    if (!user.passwordHash) {
       return res.status(400).json({
         error:
           user.provider === "google"
@@ -151,18 +291,9 @@ router.post("/login", async (req, res) => {
     if (!user.isVerified)
       return res.status(403).json({ error: "Email not verified" });
 
-    const token = signToken(user);
-
-    res.json({
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        provider: user.provider,
-      },
-    });
+    const session = await createSession(user, req);
+
+    res.json(authResponse(user, session));
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ error: "Server error" });
@@ -170,53 +301,161 @@ router.post("/login", async (req, res) => {
 });
 
 // --------------- GOOGLE LOGIN (no OTP needed) ---------------
+// body: { idToken }  ← the credential returned by Google Identity Services
+//
+// The ID token is verified (signature, audience, issuer, expiry) before we
+// trust any of its claims. An existing LOCAL account with the same email is
+// never taken over silently: we answer 409 with a short-lived `linkToken`
+// and the client must confirm through POST /google/link.
 router.post("/google", async (req, res) => {
   try {
-    const { email, name, picture } = req.body;
+    const { idToken } = req.body || {};
 
-    if (!email) {
+    if (!idToken) {
+      return res.status(400).json({ error: "Google idToken is required" });
+    }
+
+    let google;
+    try {
+      google = await verifyGoogleIdToken(idToken);
+    } catch (err) {
       return res
-        .status(400)
-        .json({ error: "Email is required from Google profile" });
+        .status(err.status || 401)
+        .json({ error: err.message, code: err.code });
     }
 
-    let user = await User.findOne({ email });
+    // 1) Already linked → plain login
+    let user = await User.findOne({ googleId: google.sub });
 
     if (!user) {
-      user = await User.create({
-        name: name || email.split("@")[0],
-        email,
-        avatar: picture,
-        provider: "google",
-        isVerified: true, // consider Google email as verified
-      });
-    } else {
-      if (user.provider !== "google") user.provider = "google";
-      if (picture && user.avatar !== picture) user.avatar = picture;
-      if (!user.isVerified) user.isVerified = true;
-      await user.save();
+      if (!google.emailVerified) {
+        return res
+          .status(403)
+          .json({ error: "Google account email is not verified" });
+      }
+
+      user = await User.findOne({ email: google.email });
+
+      // never re-point an account to a different Google identity
+      if (user?.googleId && user.googleId !== google.sub) {
+        return res.status(409).json({
+          error: "This account is already linked to another Google account",
+          code: "GOOGLE_ACCOUNT_CONFLICT",
+        });
+      }
+
+      if (user && user.provider === "local") {
+        // 2) Local account exists → ask for explicit confirmation
+        const linkToken = signPurposeToken("google-link", {
+          userId: user._id.toString(),
+          googleId: google.sub,
+          email: google.email,
+          picture: google.picture,
+        });
+
+        return res.status(409).json({
+          error:
+            "An account with this email already exists. Confirm with your password to link Google.",
+          code: "LINK_REQUIRED",
+          linkToken,
+        });
+      }
+
+      if (!user) {
+        // 3) Brand new Google user
+        user = await User.create({
+          name: google.name || google.email.split("@")[0],
+          email: google.email,
+          avatar: google.picture,
+          provider: "google",
+          googleId: google.sub,
+          isVerified: true,
+        });
+      } else {
+        // 4) Google account created before we stored the sub
+        user.googleId = google.sub;
+      }
     }
 
-    const token = signToken(user);
+    if (google.picture && !user.avatar) user.avatar = google.picture;
+    if (!user.isVerified) user.isVerified = true;
+    await user.save();
 
-    res.json({
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        provider: user.provider,
-      },
-    });
+    const session = await createSession(user, req);
+
+    res.json(authResponse(user, session));
   } catch (err) {
     console.error("Google auth error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// --------------- GOOGLE LINK (confirm) ---------------
+// body: { linkToken, password }
+// Proves ownership of the local account before attaching the Google id.
+// The account stays provider "local", so password login keeps working.
+router.post("/google/link", async (req, res) => {
+  try {
+    const { linkToken, password } = req.body || {};
+
+    if (!linkToken || !password) {
+      return res
+        .status(400)
+        .json({ error: "linkToken and password are required" });
+    }
+
+    const link = verifyPurposeToken(linkToken, "google-link");
+    if (!link) {
+      return res.status(400).json({ error: "Invalid or expired link token" });
+    }
+
+    const user = await User.findById(link.userId);
+    if (!user || user.email !== link.email || !user.passwordHash) {
+      return res.status(400).json({ error: "Invalid or expired link token" });
+    }
+
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) return res.status(400).json({ error: "Invalid credentials" });
+
+    if (user.googleId && user.googleId !== link.googleId) {
+      return res.status(409).json({
+        error: "This account is already linked to another Google account",
+        code: "GOOGLE_ACCOUNT_CONFLICT",
+      });
+    }
+
+    const alreadyLinked = await User.exists({
+      googleId: link.googleId,
+      _id: { $ne: user._id },
+    });
+    if (alreadyLinked) {
+      return res
+        .status(409)
+        .json({ error: "This Google account is linked to another user" });
+    }
+
+    user.googleId = link.googleId;
+    if (link.picture && !user.avatar) user.avatar = link.picture;
+    // Google has verified the address
+    if (!user.isVerified) user.isVerified = true;
+    await user.save();
+    sendSecurityAlertEmail(
+      user.email,
+      "A Google account was linked to your account",
+      req
+    );
+
+    const session = await createSession(user, req);
+
+    res.json(authResponse(user, session));
+  } catch (err) {
+    console.error("Google link error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // --------------- PASSWORD RESET (request) ---------------
-router.post("/password-reset/request", async (req, res) => {
+router.post("/password-reset/request", ...requestLimits, async (req, res) => {
   try {
     const { email } = req.body || {};
     if (!email) {
@@ -224,7 +463,8 @@ router.post("/password-reset/request", async (req, res) => {
     }
 
     const user = await User.findOne({ email });
-    if (!user) {
+    // Locked accounts get the same generic answer (no new code, no leak)
+    if (!user || isCodeLocked(user, "reset")) {
       return res.json({
         ok: true,
         message: "If an account exists, reset instructions were sent.",
@@ -240,22 +480,23 @@ router.post("/password-reset/request", async (req, res) => {
     user.resetPasswordToken = hashedToken;
     user.resetPasswordExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
     user.resetAttempts = 0;
-    user.resetLockedUntil = undefined;
     await user.save();
 
-    const sent = await sendOtpEmail(email, rawToken);
+    const sent = await sendPasswordResetEmail(email, rawToken);
+    // a failed send answers like a missing account (no existence leak)
+    if (!sent) console.error("❌ password-reset/request: email not sent");
 
-    if (!sent) {
+    if (sent && isDevMailTransport()) {
       return res.json({
         ok: true,
-        message: "Reset token generated (email failed).",
+        message: "Reset token generated (dev mail transport).",
         devResetToken: rawToken,
       });
     }
 
     return res.json({
       ok: true,
-      message: "Password reset token sent to email.",
+      message: "If an account exists, reset instructions were sent.",
     });
   } catch (err) {
     console.error("❌ password-reset/request error:", err);
@@ -264,7 +505,7 @@ router.post("/password-reset/request", async (req, res) => {
 });
 
 // --------------- PASSWORD RESET (confirm) ---------------
-router.post("/password-reset/confirm", async (req, res) => {
+router.post("/password-reset/confirm", ...verifyLimits, async (req, res) => {
   try {
     const { email, token, newPassword } = req.body || {};
 
@@ -279,6 +520,10 @@ router.post("/password-reset/confirm", async (req, res) => {
       return res.status(400).json({ error: "Invalid or expired token" });
     }
 
+    if (isCodeLocked(user, "reset")) {
+      return lockedResponse(res, user.resetLockedUntil);
+    }
+
     if (
       user.resetPasswordExpiresAt &&
       user.resetPasswordExpiresAt < new Date()
@@ -291,8 +536,13 @@ router.post("/password-reset/confirm", async (req, res) => {
       .update(String(token))
       .digest("hex");
 
-    if (hashedProvided !== user.resetPasswordToken) {
-      return res.status(400).json({ error: "Invalid token" });
+    if (!codesMatch(user.resetPasswordToken, hashedProvided)) {
+      const { locked, attemptsLeft } = await registerFailedAttempt(
+        user,
+        "reset"
+      );
+      if (locked) return lockedResponse(res);
+      return res.status(400).json({ error: "Invalid token", attemptsLeft });
     }
 
     user.passwordHash = await bcrypt.hash(newPassword, 10);
@@ -304,18 +554,16 @@ router.post("/password-reset/confirm", async (req, res) => {
 
     await user.save();
 
-    const jwtToken = signToken(user);
+    // 🔒 A reset means the old password may be compromised: end every session
+    await revokeAllSessions(user._id, "password_reset");
+    await disconnectSockets(req, { userId: user._id });
+    sendSecurityAlertEmail(user.email, "Your password was reset", req);
+
+    const session = await createSession(user, req);
 
     return res.json({
       message: "Password updated successfully",
-      token: jwtToken,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        provider: user.provider,
-      },
+      ...authResponse(user, session),
     });
   } catch (err) {
     console.error("❌ password-reset/confirm error:", err);
@@ -323,4 +571,391 @@ router.post("/password-reset/confirm", async (req, res) => {
   }
 });
 
+// --------------- GUEST IDENTITY ---------------
+// body: { guestToken? } → { guestId, guestToken }
+// A valid token keeps its guest id (with a fresh expiry); otherwise a new
+// guest is created. Send the token as X-Guest-Token / auth.guestToken.
+router.post(
+  "/guest",
+  rateLimit({ name: "guest-ip", windowMs: FIFTEEN_MIN, max: 30, key: byIp }),
+  (req, res) => {
+    const guestId = verifyGuestToken(req.body?.guestToken) || generateGuestId();
+    res.json({ guestId, guestToken: signGuestToken(guestId) });
+  }
+);
+
+// --------------- REFRESH (rotate) ---------------
+// body: { refreshToken } → new { token, refreshToken }
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        error: "Session expired, please log in again",
+        code: result.error,
+      });
+    }
+
+    res.json(authResponse(result.user, result));
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// --------------- LOGOUT (this device) ---------------
+// Works with the access token, or with { refreshToken } once it expired.
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (req.auth && !req.auth.isGuest) {
+      await revokeSession(req.auth.sessionId, req.auth.userId, "logout");
+      await disconnectSockets(req, { sessionId: req.auth.sessionId });
+    } else if (refreshToken) {
+      await revokeByRefreshToken(refreshToken, "logout");
+    } else {
+      return res
+        .status(400)
+        .json({ error: "Access token or refreshToken is required" });
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// --------------- LOGOUT EVERYWHERE ---------------
+// body: { keepCurrent?: boolean }
+router.post("/logout-all", authenticate, requireUser, async (req, res) => {
+  try {
+    const keepCurrent = !!req.body?.keepCurrent;
+    const exceptSessionId = keepCurrent ? req.auth.sessionId : undefined;
+
+    const revoked = await revokeAllSessions(
+      req.auth.userId,
+      "logout_all",
+      exceptSessionId
+    );
+    await disconnectSockets(req, {
+      userId: req.auth.userId,
+      exceptSessionId,
+    });
+
+    res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// --------------- ACTIVE SESSIONS ---------------
+router.get("/sessions", authenticate, requireUser, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.auth.userId);
+
+    res.json(
+      sessions.map((s) => ({
+        id: s._id.toString(),
+        deviceName: s.deviceName || null,
+        userAgent: s.userAgent || null,
+        ip: s.ip || null,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.toString() === req.auth.sessionId,
+      }))
+    );
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId → revoke one device
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  requireUser,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      if (!mongoose.isValidObjectId(sessionId)) {
+        return res.status(400).json({ error: "Invalid session id" });
+      }
+
+      const ok = await revokeSession(sessionId, req.auth.userId, "revoked");
+      if (!ok) return res.status(404).json({ error: "Session not found" });
+
+      await disconnectSockets(req, { sessionId });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Revoke session error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// =============== ACCOUNT (/api/auth/me) ===============
+
+const accountOnly = [authenticate, requireUser];
+
+/**
+ * Load the caller's User into req.user (404 if it was deleted meanwhile).
+ */
+async function loadAccount(req, res, next) {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// GET /api/auth/me
+router.get("/me", ...accountOnly, loadAccount, (req, res) => {
+  res.json(profileResponse(req.user));
+});
+
+// PATCH /api/auth/me  body: { name?, avatar? }
+router.patch("/me", ...accountOnly, loadAccount, async (req, res) => {
+  try {
+    const { name, avatar } = req.body || {};
+    const user = req.user;
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed || trimmed.length > 64) {
+        return res
+          .status(400)
+          .json({ error: "Name must be between 1 and 64 characters" });
+      }
+      user.name = trimmed;
+    }
+
+    if (avatar !== undefined) {
+      if (avatar === null || avatar === "") {
+        user.avatar = undefined;
+      } else if (!/^https?:\/\//i.test(String(avatar))) {
+        return res.status(400).json({ error: "Avatar must be an http(s) URL" });
+      } else {
+        user.avatar = String(avatar);
+      }
+    }
+
+    await user.save();
+    res.json(profileResponse(user));
+  } catch (err) {
+    console.error("Update profile error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/auth/me/password  body: { currentPassword, newPassword }
+// Other devices are logged out; this one stays signed in.
+router.post("/me/password", ...accountOnly, loadAccount, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const user = req.user;
+
+    if (!newPassword) {
+      return res.status(400).json({ error: "New password is required" });
+    }
+
+    // Google-only accounts have no password yet; they can set one here
+    if (user.passwordHash) {
+      if (!currentPassword) {
+        return res.status(400).json({ error: "Current password is required" });
+      }
+      const ok = await bcrypt.compare(currentPassword, user.passwordHash);
+      if (!ok) {
+        return res.status(400).json({ error: "Current password is wrong" });
+      }
+    }
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await revokeAllSessions(user._id, "password_change", req.auth.sessionId);
+    await disconnectSockets(req, {
+      userId: user._id,
+      exceptSessionId: req.auth.sessionId,
+    });
+    sendSecurityAlertEmail(user.email, "Your password was changed", req);
+
+    res.json({ ok: true, message: "Password updated" });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/auth/me/email  body: { newEmail, password? }
+// Sends a code to the NEW address; nothing changes until it's confirmed.
+router.post(
+  "/me/email",
+  ...accountOnly,
+  ...emailChangeLimits,
+  loadAccount,
+  async (req, res) => {
+    try {
+      const { newEmail, password } = req.body || {};
+      const user = req.user;
+
+      const email = newEmail ? String(newEmail).trim() : "";
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: "A valid new email is required" });
+      }
+
+      if (email === user.email) {
+        return res.status(400).json({ error: "That is already your email" });
+      }
+
+      if (user.passwordHash) {
+        const ok =
+          password && (await bcrypt.compare(password, user.passwordHash));
+        if (!ok) return res.status(400).json({ error: "Invalid credentials" });
+      }
+
+      if (isCodeLocked(user, "email")) {
+        return lockedResponse(res, user.emailChangeLockedUntil);
+      }
+
+      if (await User.exists({ email })) {
+        return res.status(409).json({ error: "Email is already in use" });
+      }
+
+      const code = generateOtpCode();
+      user.pendingEmail = email;
+      user.emailChangeCode = code;
+      user.emailChangeExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
+      user.emailChangeAttempts = 0;
+      await user.save();
+
+      const sent = await sendVerificationEmail(email, code);
+
+      if (!sent) {
+        return res
+          .status(502)
+          .json({ error: "Could not send the verification email" });
+      }
+
+      if (isDevMailTransport()) {
+        return res.json({
+          message: "Code generated (dev mail transport).",
+          devOtp: code,
+        });
+      }
+
+      res.json({ message: "Verification code sent to the new email" });
+    } catch (err) {
+      console.error("Email change request error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/auth/me/email/confirm  body: { code }
+// Returns fresh tokens, since the old ones carry the old email.
+router.post(
+  "/me/email/confirm",
+  ...accountOnly,
+  ...verifyLimits,
+  loadAccount,
+  async (req, res) => {
+    try {
+      const { code } = req.body || {};
+      const user = req.user;
+
+      if (!code) return res.status(400).json({ error: "Code is required" });
+
+      if (isCodeLocked(user, "email")) {
+        return lockedResponse(res, user.emailChangeLockedUntil);
+      }
+
+      if (!user.pendingEmail || !user.emailChangeCode) {
+        return res.status(400).json({ error: "No email change requested" });
+      }
+
+      if (!codesMatch(user.emailChangeCode, code)) {
+        const { locked, attemptsLeft } = await registerFailedAttempt(
+          user,
+          "email"
+        );
+        if (locked) return lockedResponse(res);
+        return res.status(400).json({ error: "Invalid code", attemptsLeft });
+      }
+
+      if (user.emailChangeExpiresAt < new Date()) {
+        return res.status(400).json({ error: "Code expired" });
+      }
+
+      if (await User.exists({ email: user.pendingEmail })) {
+        return res.status(409).json({ error: "Email is already in use" });
+      }
+
+      const oldEmail = user.email;
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+      user.emailChangeCode = undefined;
+      user.emailChangeExpiresAt = undefined;
+      user.emailChangeAttempts = 0;
+      await user.save();
+
+      await renameUserEmail(oldEmail, user.email);
+      // tell the OLD address, in case someone else made the change
+      sendSecurityAlertEmail(
+        oldEmail,
+        `Your account email was changed to ${user.email}`,
+        req
+      );
+
+      // every device signed in under the old address has to sign in again
+      await revokeAllSessions(user._id, "email_change");
+      await disconnectSockets(req, { userId: user._id });
+      const session = await createSession(user, req);
+
+      res.json(authResponse(user, session));
+    } catch (err) {
+      console.error("Email change confirm error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// DELETE /api/auth/me
+// body: { password } for password accounts, { confirm: "DELETE" } otherwise
+router.delete("/me", ...accountOnly, loadAccount, async (req, res) => {
+  try {
+    const { password, confirm } = req.body || {};
+    const user = req.user;
+
+    if (user.passwordHash) {
+      const ok =
+        password && (await bcrypt.compare(password, user.passwordHash));
+      if (!ok) return res.status(400).json({ error: "Invalid credentials" });
+    } else if (confirm !== "DELETE") {
+      return res
+        .status(400)
+        .json({ error: 'Send { confirm: "DELETE" } to delete your account' });
+    }
+
+    await disconnectSockets(req, { userId: user._id });
+    const result = await deleteUserAccount(user, req.app?.get?.("io"));
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Delete account error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 export default router;
@@ -2,11 +2,21 @@
 import express from "express";
 import dotenv from "dotenv";
 import Room from "../models/Room.js"; // 🔹 Import Room to check allowAI
+import Message from "../models/Message.js";
+import { authenticate, requireIdentity } from "../middleware/auth.js";
+import { isRoomMember } from "../utils/roomAccess.js";
+import { roomSettings } from "../services/roomSettings.js";
+import { consumeDailyQuota, refundDailyQuota } from "../services/quotas.js";
+import { broadcastNewMessage } from "../services/messageService.js";
+import { emitRoomActivity } from "../services/roomBroadcast.js";
 
 dotenv.config();
 
 const router = express.Router();
 
+// Every AI call is tied to a logged-in user or a guest id
+router.use(authenticate, requireIdentity);
+
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
 if (!GEMINI_API_KEY) {
@@ -55,6 +65,18 @@ router.get("/models", async (req, res) => {
 
 // ---------- Shared handler for both "/" and "/:mode" ----------
 async function handleChat(req, res, explicitMode) {
+  // a reserved AI request is given back when no reply comes of it
+  let reserved = false;
+  const failAi = async (status, body) => {
+    if (reserved) {
+      reserved = false;
+      await refundDailyQuota(req.auth, "aiRequestsPerDay", 1, {
+        ip: req.ip,
+      }).catch(() => {});
+    }
+    return res.status(status).json(body);
+  };
+
   try {
     const body = req.body || {};
     const bodyMode = body.mode;
@@ -73,6 +95,10 @@ async function handleChat(req, res, explicitMode) {
         .json({ error: "GEMINI_API_KEY is not configured" });
     }
 
+    // room.settings.aiPersona, appended to the room system prompt
+    let roomPersona = "";
+    let room = null;
+
     // 🔒 IMPORTANT: If we are in a room, enforce allowAI from DB
     if (mode === "room") {
       const roomId = body.roomId;
@@ -84,18 +110,26 @@ async function handleChat(req, res, explicitMode) {
       }
 
       try {
-        const room = await Room.findById(roomId);
+        room = await Room.findById(roomId);
 
         if (!room) {
           return res.status(404).json({ error: "Room not found" });
         }
 
+        if (!isRoomMember(room, req.auth)) {
+          return res
+            .status(403)
+            .json({ error: "You are not a member of this room" });
+        }
+
         if (!room.allowAI) {
           // Owner turned AI off → nobody can use it (owner or guests)
           return res.status(403).json({
             error: "AI is disabled by the room owner.",
           });
         }
+
+        roomPersona = roomSettings(room).aiPersona;
       } catch (err) {
         console.error("Room lookup failed in chat route:", err);
         return res
@@ -104,7 +138,22 @@ async function handleChat(req, res, explicitMode) {
       }
     }
 
-    const systemPrompt = getSystemPrompt(mode);
+    // 📊 daily AI requests (plan quota); counted once validation passed
+    const quota = await consumeDailyQuota(req.auth, "aiRequestsPerDay", 1, {
+      ip: req.ip,
+    });
+    if (!quota.ok) {
+      return res.status(429).json({
+        error: "Daily AI request limit reached",
+        limit: quota.limit,
+        resetsAt: quota.resetsAt,
+      });
+    }
+    reserved = true;
+
+    const systemPrompt = roomPersona
+      ? `${getSystemPrompt(mode)}\n\nRoom instructions from the owner:\n${roomPersona}`
+      : getSystemPrompt(mode);
 
     // Build contents for Gemini v1 REST API
     const contents = [
@@ -132,7 +181,7 @@ async function handleChat(req, res, explicitMode) {
     } catch (fetchErr) {
       // network/fetch-level error (DNS, connectivity, etc.)
       console.error("🛑 Gemini fetch threw an error:", fetchErr);
-      return res.status(502).json({
+      return failAi(502, {
         error: "Failed to reach Gemini API",
         details: fetchErr.message,
       });
@@ -153,7 +202,7 @@ async function handleChat(req, res, explicitMode) {
         "🛑 raw body:",
         rawText.slice ? rawText.slice(0, 2000) : "<no-body>"
       );
-      return res.status(502).json({
+      return failAi(502, {
         error: "Invalid JSON from Gemini API",
         status: resp.status,
         statusText: resp.statusText,
@@ -177,7 +226,7 @@ async function handleChat(req, res, explicitMode) {
         data.error?.message ||
         data.error?.errors?.[0]?.message ||
         "Gemini request failed (non-OK response)";
-      return res.status(500).json({ error: msg, details: data });
+      return failAi(500, { error: msg, details: data });
     }
 
     const parts = data.candidates?.[0]?.content?.parts || [];
@@ -193,7 +242,26 @@ async function handleChat(req, res, explicitMode) {
         "🛑 Gemini returned empty text. Full response:",
         JSON.stringify(data).slice(0, 2000)
       );
-      return res.status(500).json({ error: "No reply from AI", details: data });
+      return failAi(500, { error: "No reply from AI", details: data });
+    }
+    reserved = false; // answered: the request counts
+
+    // 🤖 room replies are posted by the server, never relayed by clients
+    if (room) {
+      const saved = await Message.create({
+        room: room._id,
+        role: "ai",
+        content: text,
+      });
+      const io = req.app?.get?.("io");
+      if (io) {
+        await broadcastNewMessage(io, saved);
+        emitRoomActivity(io, room, saved);
+      }
+      await Room.updateOne(
+        { _id: room._id },
+        { lastActivityAt: saved.createdAt }
+      );
     }
 
     res.json({
@@ -201,7 +269,7 @@ async function handleChat(req, res, explicitMode) {
     });
   } catch (err) {
     console.error("🛑 Chat route error:", err && err.stack ? err.stack : err);
-    res.status(500).json({
+    return failAi(500, {
       error: "AI Request Failed",
       details: err?.message,
     });
@@ -214,7 +282,8 @@ async function handleChat(req, res, explicitMode) {
 router.post("/", (req, res) => handleChat(req, res, null));
 
 // New style: POST /api/chat/:mode  (e.g. /friend, /room)
-// For /room, body must include { roomId, messages: [...] }
+// For /room, body must include { roomId, messages: [...] }; the reply is
+// also posted to the room as an "ai" message (receive_message)
 router.post("/:mode", (req, res) => {
   const { mode } = req.params;
   handleChat(req, res, mode);
@@ -0,0 +1,26 @@
+// src/routes/meRoutes.js
+import express from "express";
+import { authenticate, requireIdentity } from "../middleware/auth.js";
+import { usageSummary } from "../services/quotas.js";
+
+const router = express.Router();
+
+// Logged-in users and guests (X-Guest-Token)
+router.use(authenticate, requireIdentity);
+
+/**
+ * GET /api/me/usage
+ * → { plan, limits, used, remaining, dailyResetAt }
+ * Keys: roomsOwned, membersPerRoom and maxUploadBytes (limits only),
+ * uploadBytesPerDay, aiRequestsPerDay.
+ */
+router.get("/usage", async (req, res) => {
+  try {
+    res.json(await usageSummary(req.auth));
+  } catch (err) {
+    console.error("GET /api/me/usage error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
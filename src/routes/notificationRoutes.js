@@ -0,0 +1,105 @@
+// src/routes/notificationRoutes.js
+import express from "express";
+import {
+  authenticate,
+  requireIdentity,
+  requireRoomMember,
+} from "../middleware/auth.js";
+import {
+  listNotifications,
+  markNotificationsRead,
+  setRoomNotificationsMuted,
+} from "../services/notifications.js";
+
+const router = express.Router();
+
+// Logged-in users and guests (X-Guest-Token)
+router.use(authenticate, requireIdentity);
+
+const NOTIFICATION_STATUS = {
+  NOT_AUTHENTICATED: 401,
+  NOT_A_MEMBER: 403,
+};
+
+const notificationError = (res, result) =>
+  res
+    .status(NOTIFICATION_STATUS[result.error] || 400)
+    .json({ error: result.error });
+
+/**
+ * GET /api/notifications?unread=true&roomId=&before=&limit=
+ * → { notifications, unreadCount, hasMore }, newest first; pass the last
+ * id as `before` for the next page.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { unread, roomId, before, limit } = req.query;
+    const result = await listNotifications(req.auth, {
+      unread,
+      roomId,
+      before,
+      limit,
+    });
+    if (!result.ok) return notificationError(res, result);
+
+    const { notifications, unreadCount, hasMore } = result;
+    res.json({ notifications, unreadCount, hasMore });
+  } catch (err) {
+    console.error("GET /api/notifications error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/notifications/read  body: { ids? } | { roomId? } | {} (all)
+ * → { updated, unreadCount }
+ */
+router.post("/read", async (req, res) => {
+  try {
+    const { ids, roomId } = req.body || {};
+    const result = await markNotificationsRead(req.app?.get?.("io"), req.auth, {
+      ids,
+      roomId,
+    });
+    if (!result.ok) return notificationError(res, result);
+    res.json({ updated: result.updated, unreadCount: result.unreadCount });
+  } catch (err) {
+    console.error("POST /api/notifications/read error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/notifications/:notificationId/read → { updated, unreadCount }
+router.post("/:notificationId/read", async (req, res) => {
+  try {
+    const result = await markNotificationsRead(req.app?.get?.("io"), req.auth, {
+      ids: [req.params.notificationId],
+    });
+    if (!result.ok) return notificationError(res, result);
+    res.json({ updated: result.updated, unreadCount: result.unreadCount });
+  } catch (err) {
+    console.error("POST /api/notifications/:notificationId/read error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/notifications/rooms/:roomId/mute  body: { muted: boolean }
+ * → { roomId, muted }. Only affects the caller.
+ */
+router.put("/rooms/:roomId/mute", requireRoomMember(), async (req, res) => {
+  try {
+    const result = await setRoomNotificationsMuted(
+      req.room,
+      req.auth,
+      req.body?.muted
+    );
+    if (!result.ok) return notificationError(res, result);
+    res.json({ roomId: result.roomId, muted: result.muted });
+  } catch (err) {
+    console.error("PUT /api/notifications/rooms/:roomId/mute error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -1,164 +1,954 @@
 // src/routes/roomRoutes.js
 import express from "express";
 import Room from "../models/Room.js";
-import Message from "../models/Message.js";
+import {
+  authenticate,
+  requireUser,
+  requireIdentity,
+  requireRoomMember,
+} from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { canModerate, getRoomRole } from "../utils/roomAccess.js";
+import {
+  setMemberRole,
+  kickMember,
+  banMember,
+  unbanMember,
+  muteMember,
+} from "../services/roomModeration.js";
+import { transferOwnership } from "../services/roomOwnership.js";
+import {
+  lifetimeView,
+  setRoomLifetime,
+  extendRoomLifetime,
+} from "../services/roomLifetime.js";
+import {
+  admitToRoom,
+  setRoomPrivacy,
+  listJoinRequests,
+  decideJoinRequest,
+  ROOM_CODE_LIMIT,
+} from "../services/roomAdmission.js";
+import {
+  findRoomsForIdentity,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+} from "../services/roomService.js";
+import { serializeRoom } from "../services/roomSerializer.js";
+import { emitMemberAdded } from "../services/roomBroadcast.js";
+import { roomPresence } from "../services/presence.js";
+import { roomListFor, roomReadReceipts } from "../services/readReceipts.js";
+import {
+  listRoomMessages,
+  editMessage,
+  redactMessage,
+  messageEditHistory,
+  listThread,
+} from "../services/messageService.js";
+import {
+  listingView,
+  updateRoomListing,
+  listPublicRooms,
+  findPublicRoom,
+} from "../services/roomDirectory.js";
+import {
+  findRoomByCode,
+  checkCodeAvailability,
+  rotateRoomCode,
+  setVanityCode,
+} from "../services/roomCodes.js";
+import { roomSettings, updateRoomSettings } from "../services/roomSettings.js";
+import {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  previewInvite,
+  joinWithInvite,
+} from "../services/roomInvites.js";
+import {
+  searchRoomMessages,
+  searchMyMessages,
+} from "../services/messageSearch.js";
 
 const router = express.Router();
 
-function generateRoomCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
+// authenticate + membership check for routes under /:roomId
+const memberOnly = [authenticate, requireRoomMember()];
+
+// ------------------ rooms CRUD ------------------
+// services/roomService.js; same rules as the create_room / rename_room /
+// toggle_room_ai / change_room_theme / delete_room socket events
+
+const ROOM_STATUS = {
+  NOT_AUTHENTICATED: 401,
+  NOT_OWNER: 403,
+  NOT_A_MEMBER: 403,
+  NOT_ALLOWED: 403,
+  LIMIT_REACHED: 403,
+  CODE_TAKEN: 409,
+  CODE_GENERATION_FAILED: 503,
+};
+
+const roomError = (res, result) =>
+  res.status(ROOM_STATUS[result.error] || 400).json({ error: result.error });
+
+// POST /api/rooms
+// body: { name, vanityCode?, allowAI?, ownerName?, lifetime?, privacy?,
+//         password?, listing? }
+router.post("/", authenticate, requireUser, async (req, res) => {
+  try {
+    const result = await createRoom(
+      req.app?.get?.("io"),
+      req.auth,
+      req.body || {}
+    );
+    if (!result.ok) return roomError(res, result);
+    res.status(201).json(serializeRoom(result.room, req.auth));
+  } catch (err) {
+    console.error("POST /api/rooms error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/rooms/mine (rooms the caller owns or belongs to; guests too)
+router.get("/mine", authenticate, requireIdentity, async (req, res) => {
+  try {
+    const rooms = await findRoomsForIdentity(req.auth);
+    res.json(await roomListFor(rooms, req.auth));
+  } catch (err) {
+    console.error("GET /api/rooms/mine error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/rooms/code-available?code=... (before picking a vanity code)
+// → { code, available } with the code as it would be stored
+router.get("/code-available", authenticate, requireUser, async (req, res) => {
+  try {
+    const result = await checkCodeAvailability(req.query.code);
+    if (!result.ok) return roomError(res, result);
+    res.json({ code: result.code, available: result.available });
+  } catch (err) {
+    console.error("GET /api/rooms/code-available error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ message search ------------------
+// services/messageSearch.js
+// ?q=&sender=&role=user|ai|system&mediaType=&from=&to=&page=&limit=
+// → { results: [{ message, roomId, roomName, senderName, score, snippet,
+//     highlights }], page, limit, hasMore }
+
+const searchLimit = rateLimit({
+  name: "message-search",
+  windowMs: 60 * 1000,
+  max: 30,
+  key: (req) => (req.auth?.isGuest ? req.auth.guestId : req.auth?.userId),
+});
+
+const sendSearch = (res, result) => {
+  if (!result.ok) return res.status(400).json({ error: result.error });
+  const { results, page, limit, hasMore } = result;
+  res.json({ results, page, limit, hasMore });
+};
+
+// GET /api/rooms/search (every room the caller owns or belongs to)
+router.get(
+  "/search",
+  authenticate,
+  requireIdentity,
+  searchLimit,
+  async (req, res) => {
+    try {
+      sendSearch(res, await searchMyMessages(req.auth, req.query));
+    } catch (err) {
+      console.error("GET /api/rooms/search error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/rooms/:roomId/search (members)
+router.get("/:roomId/search", ...memberOnly, searchLimit, async (req, res) => {
+  try {
+    sendSearch(res, await searchRoomMessages(req.room, req.query));
+  } catch (err) {
+    console.error("GET /api/rooms/:roomId/search error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ public directory ------------------
+// services/roomDirectory.js
+
+// GET /api/rooms/public?q=&tags=a,b&language=&sort=activity|online|newest
+//                      &page=&limit=
+// → { rooms, page, limit, hasMore } (no auth; codes and members stay hidden)
+router.get("/public", async (req, res) => {
+  try {
+    const result = await listPublicRooms(req.query);
+    if (!result.ok) return res.status(400).json({ error: result.error });
+    const { rooms, page, limit, hasMore } = result;
+    res.json({ rooms, page, limit, hasMore });
+  } catch (err) {
+    console.error("GET /api/rooms/public error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/rooms/public/:roomId/join  body: { userName, password? }
+// Same rules and answers as POST /join
+router.post(
+  "/public/:roomId/join",
+  authenticate,
+  requireIdentity,
+  async (req, res) => {
+    try {
+      const roomDoc = await findPublicRoom(req.params.roomId);
+      if (!roomDoc) return res.status(404).json({ error: "Room not found" });
+
+      return await joinAndRespond(req, res, roomDoc);
+    } catch (err) {
+      console.error("POST /api/rooms/public/:roomId/join error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/rooms/:roomId (members)
+router.get("/:roomId", ...memberOnly, (req, res) => {
+  res.json(serializeRoom(req.room, req.auth));
+});
+
+// PATCH /api/rooms/:roomId  body: { name?, allowAI?, theme? }
+router.patch("/:roomId", ...memberOnly, async (req, res) => {
+  try {
+    const result = await updateRoom(
+      req.app?.get?.("io"),
+      req.room,
+      req.auth,
+      req.body || {}
+    );
+    if (!result.ok) return roomError(res, result);
+    res.json(serializeRoom(result.room, req.auth));
+  } catch (err) {
+    console.error("PATCH /api/rooms/:roomId error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/rooms/:roomId (owner only)
+router.delete("/:roomId", ...memberOnly, async (req, res) => {
+  try {
+    const result = await deleteRoom(req.app?.get?.("io"), req.room, req.auth);
+    if (!result.ok) return roomError(res, result);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/rooms/:roomId error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ presence ------------------
+
+// GET /api/rooms/:roomId/presence (members)
+// → { roomId, count, users: [{ memberId, name, isGuest, status, lastSeen,
+//     connections }] }, online first
+router.get("/:roomId/presence", ...memberOnly, (req, res) => {
+  const users = roomPresence(req.room._id);
+  res.json({ roomId: req.room._id.toString(), count: users.length, users });
+});
+
+// GET /api/rooms/:roomId/read-receipts (members)
+// → [{ roomId, memberId, name, messageId, readAt }]; updates arrive as
+//   read_receipt events (report with the mark_read socket event)
+router.get("/:roomId/read-receipts", ...memberOnly, async (req, res) => {
+  try {
+    res.json(await roomReadReceipts(req.room));
+  } catch (err) {
+    console.error("GET /api/rooms/:roomId/read-receipts error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ room code ------------------
+// services/roomCodes.js; same rules as rotate_room_code / set_room_code
+
+// PUT /api/rooms/:roomId/code  body: { code } (owner / co-owners, vanity)
+router.put("/:roomId/code", ...memberOnly, async (req, res) => {
+  try {
+    const result = await setVanityCode(
+      req.app?.get?.("io"),
+      req.room,
+      req.auth,
+      req.body?.code
+    );
+    if (!result.ok) return roomError(res, result);
+    res.json({ code: result.code });
+  } catch (err) {
+    console.error("PUT /api/rooms/:roomId/code error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/rooms/:roomId/code/rotate (owner / co-owners)
+// → { code, inviteLinkId }: the default invite link is replaced too
+router.post("/:roomId/code/rotate", ...memberOnly, async (req, res) => {
+  try {
+    const result = await rotateRoomCode(
+      req.app?.get?.("io"),
+      req.room,
+      req.auth
+    );
+    if (!result.ok) return roomError(res, result);
+    res.json({ code: result.code, inviteLinkId: result.inviteLinkId });
+  } catch (err) {
+    console.error("POST /api/rooms/:roomId/code/rotate error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ directory listing ------------------
+
+// GET /api/rooms/:roomId/listing (members)
+router.get("/:roomId/listing", ...memberOnly, (req, res) => {
+  res.json(listingView(req.room));
+});
+
+// PATCH /api/rooms/:roomId/listing (owner / co-owners)
+// body: { isPublic?, description?, tags?, language? }
+router.patch("/:roomId/listing", ...memberOnly, async (req, res) => {
+  try {
+    const result = await updateRoomListing(
+      req.app?.get?.("io"),
+      req.room,
+      req.auth,
+      req.body || {}
+    );
+    if (!result.ok) {
+      const status = result.error === "NOT_ALLOWED" ? 403 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+    res.json(result.listing);
+  } catch (err) {
+    console.error("PATCH /api/rooms/:roomId/listing error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ settings ------------------
+// services/roomSettings.js; same rules as update_room_settings
+
+// GET /api/rooms/:roomId/settings (members)
+router.get("/:roomId/settings", ...memberOnly, (req, res) => {
+  res.json(roomSettings(req.room));
+});
+
+// PATCH /api/rooms/:roomId/settings (owner / co-owners)
+// body: { theme?, slowModeSeconds?, maxMembers?, allowGuests?,
+//         guestMediaAllowed?, aiPersona? }
+router.patch("/:roomId/settings", ...memberOnly, async (req, res) => {
+  try {
+    const result = await updateRoomSettings(
+      req.app?.get?.("io"),
+      req.room,
+      req.auth,
+      req.body || {}
+    );
+    if (!result.ok) {
+      const status = result.error === "NOT_ALLOWED" ? 403 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+    res.json(result.settings);
+  } catch (err) {
+    console.error("PATCH /api/rooms/:roomId/settings error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ join by code ------------------
+
+const JOIN_ERRORS = {
+  BANNED: [403, "You are banned from this room"],
+  ROOM_ARCHIVED: [409, "Room is archived"],
+  PASSWORD_REQUIRED: [401, "This room needs a password"],
+  WRONG_PASSWORD: [403, "Wrong room password"],
+  TOO_MANY_ATTEMPTS: [429, "Too many wrong passwords, try again later"],
+  GUESTS_NOT_ALLOWED: [403, "This room doesn't allow guests"],
+  ROOM_FULL: [409, "This room is full"],
+};
+
+/**
+ * Admit the caller to `roomDoc` and answer like POST /join does.
+ */
+async function joinAndRespond(req, res, roomDoc) {
+  const { userName } = req.body || {};
+  const { isGuest } = req.auth;
+
+  const nameCandidate = userName ? String(userName).trim().slice(0, 64) : null;
+
+  // Identity comes from the verified token / guest header, never the body
+  const memberId = isGuest ? req.auth.guestId : req.auth.userId;
+
+  const memberName = nameCandidate || (isGuest ? "Guest" : "Member");
 
-function generateInviteLinkId() {
-  return Math.random().toString(36).substring(2, 10);
+  // Ensure members array exists
+  roomDoc.members = Array.isArray(roomDoc.members) ? roomDoc.members : [];
+
+  // Ban / archive / password / approval checks, then adds the member
+  const admitted = await admitToRoom(req.app?.get?.("io"), roomDoc, req.auth, {
+    name: memberName,
+    password: req.body?.password,
+    ip: req.ip,
+  });
+  if (!admitted.ok) {
+    const [status, error] = JOIN_ERRORS[admitted.error] || [
+      400,
+      admitted.error,
+    ];
+    return res.status(status).json({ error, code: admitted.error });
+  }
+  if (admitted.status === "pending") {
+    return res
+      .status(202)
+      .json({ pending: true, roomId: roomDoc._id.toString() });
+  }
+
+  // Build sanitized output room object
+  const outRoom = serializeRoom(roomDoc, req.auth);
+
+  // Live: the joiner's other tabs get room_added, the room's members
+  // room_updated (never the whole room list)
+  const io = req.app?.get?.("io");
+  if (io && !admitted.alreadyMember) {
+    await emitMemberAdded(io, roomDoc, memberId);
+  }
+
+  return res.json(outRoom);
 }
 
 /**
  * POST /api/rooms/join
- * body: { code, userId, userName, guestId? }
+ * body: { code, userName, password? }
+ * auth: Bearer token, or X-Guest-Token header for guests
  *
  * Adds (or ensures) a member for the given code and returns the updated room.
- * Emits a full room_list_update to keep clients in sync.
+ * Approval-only rooms answer 202 { pending: true, roomId } instead; the
+ * decision arrives on the caller's sockets as "join_request_decided".
+ * Members' room lists are updated with room_added / room_updated.
  */
-router.post("/join", async (req, res) => {
+router.post(
+  "/join",
+  rateLimit(ROOM_CODE_LIMIT),
+  authenticate,
+  requireIdentity,
+  async (req, res) => {
+    try {
+      const { code } = req.body || {};
+      if (!code) return res.status(400).json({ error: "Missing room code" });
+
+      const roomDoc = await findRoomByCode(code);
+      if (!roomDoc) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      return await joinAndRespond(req, res, roomDoc);
+    } catch (err) {
+      console.error("POST /api/rooms/join error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ------------------ invite links ------------------
+// services/roomInvites.js; owners / co-owners manage, anyone with the link joins
+
+const INVITE_STATUS = {
+  INVITE_NOT_FOUND: 404,
+  INVITE_EXPIRED: 410,
+  INVITE_REVOKED: 410,
+  INVITE_EXHAUSTED: 410,
+  BANNED: 403,
+  NOT_ALLOWED: 403,
+  PASSWORD_REQUIRED: 401,
+  WRONG_PASSWORD: 403,
+  TOO_MANY_ATTEMPTS: 429,
+  ROOM_ARCHIVED: 409,
+  TOO_MANY_INVITES: 409,
+  INVITE_GENERATION_FAILED: 503,
+  GUESTS_NOT_ALLOWED: 403,
+  ROOM_FULL: 409,
+};
+
+const inviteError = (res, result) =>
+  res.status(INVITE_STATUS[result.error] || 400).json({ error: result.error });
+
+// GET /api/rooms/invite/:inviteLinkId (public preview)
+router.get("/invite/:inviteLinkId", async (req, res) => {
   try {
-    const { code, userId, userName, guestId } = req.body;
+    const result = await previewInvite(req.params.inviteLinkId);
+    if (!result.ok) return inviteError(res, result);
+    res.json(result.preview);
+  } catch (err) {
+    console.error("Invite preview error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    if (!code) return res.status(400).json({ error: "Missing room code" });
+// POST /api/rooms/invite/:inviteLinkId/join  body: { userName, password? }
+// auth: Bearer token, or X-Guest-Token header for guests
+router.post(
+  "/invite/:inviteLinkId/join",
+  authenticate,
+  requireIdentity,
+  async (req, res) => {
+    try {
+      const result = await joinWithInvite(
+        req.app?.get?.("io"),
+        req.params.inviteLinkId,
+        req.auth,
+        {
+          name: req.body?.userName,
+          password: req.body?.password,
+          ip: req.ip,
+        }
+      );
+      if (!result.ok) return inviteError(res, result);
+      if (result.status === "pending") {
+        return res
+          .status(202)
+          .json({ pending: true, roomId: result.room._id.toString() });
+      }
+      res.json({
+        room: serializeRoom(result.room, req.auth),
+        alreadyMember: result.alreadyMember,
+      });
+    } catch (err) {
+      console.error("Invite join error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    const trimmedCode = String(code).trim();
-    const nameCandidate = userName
-      ? String(userName).trim().slice(0, 64)
-      : null;
+// POST /api/rooms/:roomId/invites
+// body: { role?: "member" | "guest", expiresInHours?, maxUses?, label? }
+router.post("/:roomId/invites", ...memberOnly, async (req, res) => {
+  try {
+    const result = await createInvite(req.room, req.auth, req.body || {});
+    if (!result.ok) return inviteError(res, result);
+    res.status(201).json(result.invite);
+  } catch (err) {
+    console.error("Create invite error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    // Prefer explicit userId, then guestId from client, otherwise generate one
-    const memberId = userId
-      ? String(userId)
-      : guestId
-      ? String(guestId)
-      : `guest_${Date.now()}`;
+// GET /api/rooms/:roomId/invites (with usage history)
+router.get("/:roomId/invites", ...memberOnly, async (req, res) => {
+  try {
+    const result = await listInvites(req.room, req.auth);
+    if (!result.ok) return inviteError(res, result);
+    res.json(result.invites);
+  } catch (err) {
+    console.error("List invites error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/rooms/:roomId/invites/:inviteId
+// (revoking the default link replaces it with a new one)
+router.delete("/:roomId/invites/:inviteId", ...memberOnly, async (req, res) => {
+  try {
+    const result = await revokeInvite(req.room, req.auth, req.params.inviteId);
+    if (!result.ok) return inviteError(res, result);
+    res.json(result.invite);
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ------------------ messages ------------------
+// services/messageService.js
+
+// GET /api/rooms/:roomId/messages?before=|after=<id or timestamp>&limit=
+// (members) → { messages, hasMore, before, after }
+// Without a cursor this is the newest page; each page is oldest → newest,
+// and limit is capped at 100. Thread replies are left out (see /thread).
+router.get("/:roomId/messages", ...memberOnly, async (req, res) => {
+  try {
+    const { before, after, limit } = req.query;
+    const result = await listRoomMessages(req.room._id, {
+      before,
+      after,
+      limit,
+    });
+    if (!result.ok) return res.status(400).json({ error: result.error });
+
+    const { messages, hasMore } = result;
+    res.json({ messages, hasMore, before: result.before, after: result.after });
+  } catch (err) {
+    console.error("Fetch messages error:", err.message);
+    res.status(500).json({ error: "Failed to load room messages" });
+  }
+});
 
-    const memberName = nameCandidate || (userId ? "Member" : "Guest");
+const MESSAGE_STATUS = {
+  MESSAGE_NOT_FOUND: 404,
+  NOT_ALLOWED: 403,
+  MUTED: 403,
+  EDIT_WINDOW_PASSED: 403,
+  MESSAGE_REDACTED: 409,
+  EDIT_CONFLICT: 409,
+  ROOM_ARCHIVED: 409,
+};
 
-    // Find room first (so we can check membership by id)
-    const roomDoc = await Room.findOne({ code: trimmedCode });
+const messageError = (res, result) =>
+  res.status(MESSAGE_STATUS[result.error] || 400).json({ error: result.error });
 
-    if (!roomDoc) {
-      return res.status(404).json({ error: "Room not found" });
+// PATCH /api/rooms/:roomId/messages/:messageId  body: { text } (sender only)
+router.patch(
+  "/:roomId/messages/:messageId",
+  ...memberOnly,
+  async (req, res) => {
+    try {
+      const result = await editMessage(
+        req.app?.get?.("io"),
+        req.room,
+        req.auth,
+        req.params.messageId,
+        req.body?.text
+      );
+      if (!result.ok) return messageError(res, result);
+      res.json(result.message);
+    } catch (err) {
+      console.error("PATCH /api/rooms/:roomId/messages/:messageId error:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    // Ensure members array exists
-    roomDoc.members = Array.isArray(roomDoc.members) ? roomDoc.members : [];
+// POST /api/rooms/:roomId/messages/:messageId/redact  body: { reason? }
+// (moderators)
+router.post(
+  "/:roomId/messages/:messageId/redact",
+  ...memberOnly,
+  async (req, res) => {
+    try {
+      const result = await redactMessage(
+        req.app?.get?.("io"),
+        req.room,
+        req.auth,
+        req.params.messageId,
+        req.body?.reason
+      );
+      if (!result.ok) return messageError(res, result);
+      res.json(result.message);
+    } catch (err) {
+      console.error("Redact message error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    // Check if member already exists (match by id)
-    const already = roomDoc.members.some(
-      (m) => String(m.id) === String(memberId)
-    );
+// GET /api/rooms/:roomId/messages/:messageId/thread?before=|after=&limit=
+// (members) → { root, messages, hasMore, before, after }
+// :messageId may be the root or any reply in it; replies come oldest first
+router.get(
+  "/:roomId/messages/:messageId/thread",
+  ...memberOnly,
+  async (req, res) => {
+    try {
+      const { before, after, limit } = req.query;
+      const result = await listThread(req.room, req.params.messageId, {
+        before,
+        after,
+        limit,
+      });
+      if (!result.ok) return messageError(res, result);
 
-    if (!already) {
-      // push new member object
-      roomDoc.members.push({
-        id: memberId,
-        name: memberName,
-        role: userId ? "member" : "guest",
+      const { root, messages, hasMore } = result;
+      res.json({
+        root,
+        messages,
+        hasMore,
+        before: result.before,
+        after: result.after,
       });
+    } catch (err) {
+      console.error("Fetch thread error:", err);
+      res.status(500).json({ error: "Failed to load thread" });
+    }
+  }
+);
 
-      // Save the room
-      await roomDoc.save();
+// GET /api/rooms/:roomId/messages/:messageId/history (moderators)
+// → { message, edits: [{ content, replacedAt, editedBy }], redactedBy,
+//     redactReason }
+router.get(
+  "/:roomId/messages/:messageId/history",
+  ...memberOnly,
+  async (req, res) => {
+    try {
+      const result = await messageEditHistory(
+        req.room,
+        req.auth,
+        req.params.messageId
+      );
+      if (!result.ok) return messageError(res, result);
+      const { message, edits, redactedBy, redactReason } = result;
+      res.json({ message, edits, redactedBy, redactReason });
+    } catch (err) {
+      console.error("Message history error:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// ------------------ moderation ------------------
+// Owners manage roles; owners and moderators kick / ban / mute members
+// ranked below them. Same rules as the socket events (services/roomModeration.js).
 
-    // Build sanitized output room object
-    const outRoom = {
-      id: roomDoc.id || roomDoc._id?.toString() || String(roomDoc.code),
-      name: roomDoc.name,
-      code: roomDoc.code,
-      ownerId: roomDoc.ownerId,
-      allowAI: !!roomDoc.allowAI,
-      members: Array.isArray(roomDoc.members) ? roomDoc.members : [],
-      onlineCount: roomDoc.onlineCount || 0,
-    };
-
-    // Broadcast: emit the single joined event and then a full room_list_update
+const MODERATION_STATUS = {
+  NOT_ALLOWED: 403,
+  NOT_A_MEMBER: 403,
+  MEMBER_NOT_FOUND: 404,
+  BAN_NOT_FOUND: 404,
+  NOT_OWNER: 403,
+};
+
+function sendModerationResult(res, result) {
+  if (result.ok) {
+    return res.json({
+      ok: true,
+      member: result.member,
+      mutedUntil: result.mutedUntil,
+    });
+  }
+  return res
+    .status(MODERATION_STATUS[result.error] || 400)
+    .json({ error: result.error });
+}
+
+function moderationRoute(run) {
+  return async (req, res) => {
     try {
       const io = req.app?.get?.("io");
-      if (io) {
-        // notify listeners a user joined this room
-        io.emit("room_joined", {
-          room: outRoom,
-          joinedUser: { id: memberId, name: memberName },
-        });
-
-        // Fetch full rooms list and emit normalized list so clients' filter logic works
-        const rooms = await Room.find().lean();
-        const normalized = rooms.map((r) => ({
-          ...r,
-          id: r.id || r._id?.toString() || String(r.code),
-        }));
-
-        io.emit("room_list_update", normalized);
+      const result = await run(
+        io,
+        req.room,
+        req.auth,
+        req.params.memberId,
+        req
+      );
+      sendModerationResult(res, result);
+    } catch (err) {
+      console.error("Moderation route error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+// PATCH /api/rooms/:roomId/members/:memberId/role  body: { role }
+router.patch(
+  "/:roomId/members/:memberId/role",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId, req) =>
+    setMemberRole(io, room, actor, memberId, req.body?.role)
+  )
+);
+
+// POST /api/rooms/:roomId/members/:memberId/kick
+router.post(
+  "/:roomId/members/:memberId/kick",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId) =>
+    kickMember(io, room, actor, memberId)
+  )
+);
+
+// POST /api/rooms/:roomId/members/:memberId/ban  body: { reason? }
+router.post(
+  "/:roomId/members/:memberId/ban",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId, req) =>
+    banMember(io, room, actor, memberId, req.body?.reason)
+  )
+);
+
+// DELETE /api/rooms/:roomId/bans/:memberId
+router.delete(
+  "/:roomId/bans/:memberId",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId) =>
+    unbanMember(io, room, actor, memberId)
+  )
+);
+
+// POST /api/rooms/:roomId/members/:memberId/mute  body: { durationMinutes }
+router.post(
+  "/:roomId/members/:memberId/mute",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId, req) =>
+    muteMember(
+      io,
+      room,
+      actor,
+      memberId,
+      Number(req.body?.durationMinutes) * 60 * 1000
+    )
+  )
+);
+
+// DELETE /api/rooms/:roomId/members/:memberId/mute
+router.delete(
+  "/:roomId/members/:memberId/mute",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId) =>
+    muteMember(io, room, actor, memberId, 0)
+  )
+);
+
+// POST /api/rooms/:roomId/transfer-ownership  body: { memberId }
+router.post(
+  "/:roomId/transfer-ownership",
+  ...memberOnly,
+  moderationRoute((io, room, actor, memberId, req) =>
+    transferOwnership(io, room, actor, req.body?.memberId)
+  )
+);
+
+// ------------------ privacy & join requests ------------------
+// services/roomAdmission.js; same rules as the socket events
+
+const ADMISSION_STATUS = {
+  NOT_ALLOWED: 403,
+  REQUEST_NOT_FOUND: 404,
+  GUESTS_NOT_ALLOWED: 409,
+  ROOM_FULL: 409,
+};
+
+function admissionRoute(run) {
+  return async (req, res) => {
+    try {
+      const { ok, error, ...result } = await run(
+        req.app?.get?.("io"),
+        req.room,
+        req.auth,
+        req
+      );
+      if (!ok) {
+        return res.status(ADMISSION_STATUS[error] || 400).json({ error });
       }
-    } catch (e) {
-      console.warn("Emit failed:", e?.message || e);
+      res.json(result);
+    } catch (err) {
+      console.error("Admission route error:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  };
+}
 
-    return res.json(outRoom);
-  } catch (err) {
-    console.error("POST /api/rooms/join error:", err);
-    return res.status(500).json({ error: "Server error" });
-  }
+// PATCH /api/rooms/:roomId/privacy
+// body: { privacy: "open" | "password" | "approval", password? }
+router.patch(
+  "/:roomId/privacy",
+  ...memberOnly,
+  admissionRoute((io, room, actor, req) =>
+    setRoomPrivacy(io, room, actor, req.body || {})
+  )
+);
+
+// GET /api/rooms/:roomId/join-requests (owner / co-owners / moderators)
+router.get(
+  "/:roomId/join-requests",
+  ...memberOnly,
+  admissionRoute((io, room, actor) => listJoinRequests(room, actor))
+);
+
+// POST /api/rooms/:roomId/join-requests/:requestId/accept | /reject
+for (const decision of ["accept", "reject"]) {
+  router.post(
+    `/:roomId/join-requests/:requestId/${decision}`,
+    ...memberOnly,
+    admissionRoute((io, room, actor, req) =>
+      decideJoinRequest(
+        io,
+        room,
+        actor,
+        req.params.requestId,
+        decision === "accept"
+      )
+    )
+  );
+}
+
+// ------------------ lifetime ------------------
+// Owner only (services/roomLifetime.js); same rules as the socket events.
+
+function lifetimeRoute(run) {
+  return async (req, res) => {
+    try {
+      const result = await run(req.app?.get?.("io"), req.room, req.auth, req);
+      if (!result.ok) {
+        const status = result.error === "NOT_OWNER" ? 403 : 400;
+        return res.status(status).json({ error: result.error });
+      }
+      res.json(result.lifetime);
+    } catch (err) {
+      console.error("Lifetime route error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+// GET /api/rooms/:roomId/lifetime (members)
+router.get("/:roomId/lifetime", ...memberOnly, (req, res) => {
+  res.json(lifetimeView(req.room));
 });
 
-// ------------------ existing messages route ------------------
-// ✅ GET /api/rooms/:roomId/messages
-router.get("/:roomId/messages", async (req, res) => {
-  try {
-    const { roomId } = req.params;
-    const limit = parseInt(req.query.limit || "200", 10);
+// PATCH /api/rooms/:roomId/lifetime
+// body: { mode: "ephemeral" | "persistent", durationHours?, onExpire? }
+router.patch(
+  "/:roomId/lifetime",
+  ...memberOnly,
+  lifetimeRoute((io, room, actor, req) =>
+    setRoomLifetime(io, room, actor, req.body || {})
+  )
+);
 
-    const messages = await Message.find({ room: roomId })
-      .sort({ createdAt: 1 })
-      .limit(limit);
+// POST /api/rooms/:roomId/lifetime/extend  body: { hours }
+router.post(
+  "/:roomId/lifetime/extend",
+  ...memberOnly,
+  lifetimeRoute((io, room, actor, req) =>
+    extendRoomLifetime(io, room, actor, req.body?.hours)
+  )
+);
 
-    res.json(
-      messages.map((m) => ({
-        _id: m._id,
-        roomId: m.room.toString(),
-        text: m.content || "",
-        role: m.role,
-        senderUserId: m.senderUser,
-        senderGuestName: m.senderGuestName,
-        createdAt: m.createdAt,
-        reactions: m.reactions || [],
-        mediaUrl: m.mediaUrl || null,
-        mediaType: m.mediaType || null,
-      }))
-    );
-  } catch (err) {
-    console.error("Fetch messages error:", err.message);
-    res.status(500).json({ error: "Failed to load room messages" });
+// GET /api/rooms/:roomId/bans (owner / co-owners / moderators)
+router.get("/:roomId/bans", ...memberOnly, (req, res) => {
+  if (!canModerate(getRoomRole(req.room, req.auth), "member")) {
+    return res.status(403).json({ error: "NOT_ALLOWED" });
   }
+  res.json(req.room.bans || []);
 });
 
-// GET /api/rooms/for-guest/:guestId
-router.get("/for-guest/:guestId", async (req, res) => {
+// GET /api/rooms/for-guest/:guestId (the guest itself only)
+router.get("/for-guest/:guestId", authenticate, async (req, res) => {
   try {
     const { guestId } = req.params;
     if (!guestId) return res.status(400).json({ error: "Missing guestId" });
 
+    if (!req.auth?.isGuest || req.auth.guestId !== guestId) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+
     // Lookup rooms containing a member with id == guestId
     const rooms = await Room.find({ "members.id": guestId }).lean();
 
-    const out = (rooms || []).map((r) => ({
-      id: r.id || r._id?.toString() || String(r.code),
-      name: r.name,
-      code: r.code,
-      ownerId: r.ownerId,
-      allowAI: !!r.allowAI,
-      members: Array.isArray(r.members) ? r.members : [],
-      onlineCount: r.onlineCount || 0,
-    }));
-
-    return res.json(out);
+    return res.json(await roomListFor(rooms || [], req.auth));
   } catch (err) {
     console.error("GET /api/rooms/for-guest error:", err);
     return res.status(500).json({ error: "Server error" });
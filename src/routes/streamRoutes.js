@@ -1,9 +1,12 @@
 // src/routes/streamRoutes.js
 import express from "express";
 import { StreamClient } from "@stream-io/node-sdk";
+import { authenticate, requireIdentity } from "../middleware/auth.js";
 
 const router = express.Router();
 
+router.use(authenticate, requireIdentity);
+
 const STREAM_API_KEY = process.env.STREAM_API_KEY;
 const STREAM_SECRET_KEY = process.env.STREAM_SECRET_KEY;
 
@@ -20,6 +23,7 @@ const streamClient =
     : null;
 
 // POST /api/stream/token
+// Tokens are only minted for the caller's own id (userId or guest id)
 router.post("/token", async (req, res) => {
   try {
     if (!streamClient) {
@@ -28,10 +32,13 @@ router.post("/token", async (req, res) => {
         .json({ error: "Stream client not configured on server." });
     }
 
-    const { userId, name } = req.body || {};
+    const { userId: requestedId, name } = req.body || {};
+    const userId = req.auth.userId;
 
-    if (!userId) {
-      return res.status(400).json({ error: "userId is required" });
+    if (requestedId && String(requestedId) !== userId) {
+      return res
+        .status(403)
+        .json({ error: "Cannot create a token for another user" });
     }
 
     // ✅ IMPORTANT: token method expects a plain string userId
@@ -1,22 +1,104 @@
 // src/routes/uploadRoutes.js
 import express from "express";
 import multer from "multer";
+import mongoose from "mongoose";
 import cloudinary from "../config/cloudinary.js";
+import Room from "../models/Room.js";
+import { authenticate, requireIdentity } from "../middleware/auth.js";
+import { isRoomMember, getRoomRole } from "../utils/roomAccess.js";
+import { roomMediaFolder } from "../utils/roomMedia.js";
+import { roomSettings } from "../services/roomSettings.js";
+import {
+  consumeDailyQuota,
+  limitsForIdentity,
+  refundDailyQuota,
+} from "../services/quotas.js";
 
 const router = express.Router();
 
+// Logged-in users and guests (X-Guest-Token) may upload chat media
+router.use(authenticate, requireIdentity);
+
 // Memory storage - file kept in memory buffer
 const storage = multer.memoryStorage();
-const upload = multer({ storage });
+
+// One file of at most the caller's plan maxUploadBytes; bigger ones are
+// cut off while streaming with 413.
+async function uploadFile(req, res, next) {
+  try {
+    const { limits } = await limitsForIdentity(req.auth);
+    const upload = multer({
+      storage,
+      limits: { fileSize: limits.maxUploadBytes, files: 1 },
+    }).single("file");
+
+    upload(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE") {
+        return res
+          .status(413)
+          .json({ error: "File too large", limit: limits.maxUploadBytes });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message });
+      }
+      next(err);
+    });
+  } catch (err) {
+    next(err);
+  }
+}
 
 // POST /api/upload
-router.post("/", upload.single("file"), async (req, res) => {
+// Optional multipart field `roomId`: the file is stored with the room's media
+// and deleted when the room expires or is deleted (members only).
+router.post("/", uploadFile, async (req, res) => {
+  let reserved = 0;
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    const folder = process.env.CLOUDINARY_FOLDER || "lc_ai_uploads";
+    let folder = process.env.CLOUDINARY_FOLDER || "lc_ai_uploads";
+
+    const roomId = req.body?.roomId;
+    if (roomId) {
+      const room = mongoose.isValidObjectId(roomId)
+        ? await Room.findById(roomId).lean()
+        : null;
+      if (!room) return res.status(404).json({ error: "Room not found" });
+      if (!isRoomMember(room, req.auth)) {
+        return res.status(403).json({ error: "Not a member of this room" });
+      }
+      if (room.archivedAt) {
+        return res.status(409).json({ error: "Room is archived" });
+      }
+      if (
+        getRoomRole(room, req.auth) === "guest" &&
+        !roomSettings(room).guestMediaAllowed
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Guests can't share media in this room" });
+      }
+      folder = roomMediaFolder(room._id);
+    }
+
+    // 📊 daily upload bytes (plan quota)
+    const quota = await consumeDailyQuota(
+      req.auth,
+      "uploadBytesPerDay",
+      req.file.size,
+      { ip: req.ip }
+    );
+    if (!quota.ok) {
+      return res.status(429).json({
+        error: "Daily upload limit reached",
+        limit: quota.limit,
+        used: quota.used,
+        resetsAt: quota.resetsAt,
+      });
+    }
+    reserved = req.file.size;
 
     // Decide resource_type based on mimetype
     const isImage = req.file.mimetype.startsWith("image/");
@@ -49,6 +131,11 @@ router.post("/", upload.single("file"), async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Upload error:", err);
+    if (reserved) {
+      await refundDailyQuota(req.auth, "uploadBytesPerDay", reserved, {
+        ip: req.ip,
+      }).catch(() => {});
+    }
     return res.status(500).json({ error: "Upload failed" });
   }
 });
@@ -30,6 +30,88 @@ import Room from "./models/Room.js";
 import Message from "./models/Message.js";
 import streamRoutes from "./routes/streamRoutes.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
+import meRoutes from "./routes/meRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import {
+  socketAuth,
+  applyUserIdentity,
+  ensureGuestIdentity,
+  socketClientIp,
+  verifySocketToken,
+} from "./middleware/socketAuth.js";
+import {
+  isRoomOwner,
+  isRoomMember,
+  isBannedFromRoom,
+  findRoomMember,
+  activeMuteUntil,
+} from "./utils/roomAccess.js";
+import {
+  sendRoomList,
+  syncPersonalRooms,
+  emitMemberAdded,
+  emitRoomActivity,
+} from "./services/roomBroadcast.js";
+import {
+  setMemberRole,
+  kickMember,
+  banMember,
+  unbanMember,
+  muteMember,
+} from "./services/roomModeration.js";
+import { transferOwnership } from "./services/roomOwnership.js";
+import {
+  setRoomLifetime,
+  extendRoomLifetime,
+  startRoomExpirySweeper,
+} from "./services/roomLifetime.js";
+import { joinWithInvite } from "./services/roomInvites.js";
+import {
+  findRoomByCode,
+  generateInviteId,
+  withUniqueRetry,
+  rotateRoomCode,
+  setVanityCode,
+} from "./services/roomCodes.js";
+import {
+  findRoomById,
+  createRoom,
+  renameRoom,
+  setRoomAI,
+  deleteRoom,
+} from "./services/roomService.js";
+import { serializeRoom } from "./services/roomSerializer.js";
+import {
+  findMessageRoom,
+  editMessage,
+  redactMessage,
+  resolveReply,
+  broadcastNewMessage,
+  forgetDeletedMessage,
+  senderMemberIdFor,
+} from "./services/messageService.js";
+import { updateRoomListing } from "./services/roomDirectory.js";
+import { resolveMentions, notifyMentions } from "./services/notifications.js";
+import { markRoomRead, readOwnMessage } from "./services/readReceipts.js";
+import {
+  trackJoin,
+  trackLeave,
+  trackDisconnect,
+  setSocketStatus,
+  touchPresence,
+} from "./services/presence.js";
+import {
+  updateRoomSettings,
+  canPostMessage,
+  recordMessagePosted,
+} from "./services/roomSettings.js";
+import {
+  admitToRoom,
+  setRoomPrivacy,
+  decideJoinRequest,
+  roomPreview,
+  checkRoomCodeLimit,
+} from "./services/roomAdmission.js";
 
 // 🔍 Debugging: Verify key is loaded
 console.log(
@@ -40,6 +122,12 @@ console.log(
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Render/Vercel proxies req.ip is the proxy unless we trust it;
+// rate limits key on req.ip, so set TRUST_PROXY=1 (hop count) in production.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || 1);
+}
+
 // --- CORS CONFIG (replace current cors setup with this) ---
 const frontendLocal = "http://localhost:5173";
 const extraLocalHosts = [
@@ -75,8 +163,8 @@ const corsOptions = {
     console.log("❌ Blocked by CORS:", origin);
     return callback(new Error("Not allowed by CORS"), false);
   },
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Guest-Token"],
   credentials: true,
 };
 
@@ -101,6 +189,12 @@ const io = new Server(httpServer, {
   allowEIO3: false, // you use EIO=4 on client; keep false. Set to true only if you need EIO3 compatibility.
 });
 
+// 🔐 Verify the JWT from the handshake before any handler runs
+io.use(socketAuth);
+
+// Routes reach the socket server through req.app.get("io")
+app.set("io", io);
+
 // In-memory call sessions
 const callSessions = new Map();
 
@@ -129,6 +223,8 @@ app.use("/api/rooms", roomRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/stream", streamRoutes);
 app.use("/api/upload", uploadRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // ---------- Helpers ----------
 
@@ -157,63 +253,46 @@ function handleLeaveCall(io, rawRoomId, socket) {
 }
 
 /**
- * Get the list of rooms visible to a specific socket
+ * Load a room for a socket that wants to listen in on it (join_room,
+ * join_call, typing). → { roomDoc } or { error }: "ROOM_NOT_FOUND",
+ * "BANNED", "NOT_A_MEMBER", or "ROOM_ARCHIVED" when `active` is set
+ * (archived rooms stay readable, but take no calls or typing).
  */
-function filterRoomsForSocket(allRooms, socket) {
-  const userEmail = socket.data?.userEmail || null;
-  const userId = socket.data?.userId || null;
-
-  if (!userEmail && !userId) {
-    return [];
+async function loadRoomForSocket(roomId, socket, { active = false } = {}) {
+  if (!roomId || !mongoose.isValidObjectId(roomId)) {
+    return { error: "ROOM_NOT_FOUND" };
   }
 
-  return allRooms.filter((room) => {
-    const ownerId = room.ownerId;
-    const members = Array.isArray(room.members) ? room.members : [];
-    const memberIds = members.map((m) => String(m.id));
-
-    const isOwnerByEmail = userEmail && ownerId === userEmail;
-    const isOwnerById = userId && ownerId === String(userId);
-
-    const isMemberByUserId = userId && memberIds.includes(String(userId));
-    const isMemberByEmail = userEmail && memberIds.includes(userEmail);
-
-    return isOwnerByEmail || isOwnerById || isMemberByUserId || isMemberByEmail;
-  });
+  const roomDoc = await Room.findById(String(roomId))
+    .lean()
+    .catch(() => null);
+  if (!roomDoc) return { error: "ROOM_NOT_FOUND" };
+  if (isBannedFromRoom(roomDoc, socket.data)) return { error: "BANNED" };
+  if (!isRoomMember(roomDoc, socket.data)) return { error: "NOT_A_MEMBER" };
+  if (active && roomDoc.archivedAt) return { error: "ROOM_ARCHIVED" };
+  return { roomDoc };
 }
 
 /**
- * Broadcast updated room list
+ * Track a socket that entered a room in its presence (services/presence.js).
+ * Returns true when the user just arrived, false for another tab or a
+ * reconnect within the grace period.
  */
-async function broadcastRoomList(targetSocket = null) {
-  try {
-    const rooms = await Room.find().sort({ createdAt: -1 }).lean();
-
-    if (targetSocket) {
-      const visible = filterRoomsForSocket(rooms, targetSocket);
-      targetSocket.emit("room_list_update", visible);
-      return;
-    }
-
-    for (const [, s] of io.sockets.sockets) {
-      const visible = filterRoomsForSocket(rooms, s);
-      s.emit("room_list_update", visible);
-    }
-  } catch (err) {
-    console.error("Error fetching rooms for broadcast:", err);
-  }
+function enterRoomPresence(roomDoc, socket, fallbackName) {
+  const member = findRoomMember(roomDoc, socket.data);
+  return trackJoin(io, roomDoc._id.toString(), socket, {
+    id: member?.id ?? roomDoc.ownerId,
+    name: member?.name || fallbackName,
+  });
 }
 
-/**
- * Emit current online count for a room
- */
-function emitActiveUsersCount(roomKey) {
-  const key = String(roomKey);
-  const room = io.sockets.adapter.rooms.get(key);
-  const count = room ? room.size : 0;
-  io.to(key).emit("active_users_update", {
-    roomId: key,
-    count,
+function announceLeft(entry, roomKey) {
+  io.to(roomKey).emit("system_message", {
+    content: `${entry.name} left`,
+    timestamp: Date.now(),
+    roomId: roomKey,
+    type: "leave",
+    displayName: entry.name,
   });
 }
 
@@ -222,173 +301,359 @@ function emitActiveUsersCount(roomKey) {
 io.on("connection", (socket) => {
   console.log("🟢 Socket connected:", socket.id);
 
+  // personal rooms for room list deltas, then the initial snapshot
+  syncPersonalRooms(socket);
+  sendRoomList(socket);
+
   // 1️⃣ Register user
-  socket.on("register_user", ({ userId, email }) => {
-    socket.data.userId = userId ? String(userId) : null;
-    socket.data.userEmail = email || null;
+  // Identity comes from the handshake JWT. Clients that log in after
+  // connecting can pass { token } here to upgrade the socket; any
+  // userId/email in the payload is ignored.
+  socket.on("register_user", async (payload = {}) => {
+    if (payload?.token) {
+      const claims = await verifySocketToken(payload.token).catch(() => null);
+      if (!claims) {
+        socket.emit("auth_error", { reason: "INVALID_TOKEN" });
+        return;
+      }
+      applyUserIdentity(socket, claims);
+      syncPersonalRooms(socket);
+    }
     console.log("🔐 register_user:", socket.data);
 
-    broadcastRoomList(socket);
+    sendRoomList(socket);
   });
 
-  socket.on("request_room_list", () => broadcastRoomList(socket));
+  // full list on demand; changes arrive as room_added / room_updated /
+  // room_removed (services/roomBroadcast.js)
+  socket.on("request_room_list", () => sendRoomList(socket));
 
   // ------- ROOMS CRUD -------
 
-  socket.on("create_room", async (roomData) => {
-    try {
-      const ownerEmail = roomData.ownerId;
+  const CREATE_ROOM_MESSAGES = {
+    NOT_AUTHENTICATED: "You must be logged in to create a room.",
+    INVALID_NAME: "Room name must be 1-64 characters.",
+    INVALID_CODE:
+      "Room codes are 4-24 letters, digits or dashes, with at least one letter.",
+    CODE_TAKEN: "That room code is already in use.",
+    INVALID_ALLOW_AI: "allowAI must be true or false.",
+  };
 
-      if (!ownerEmail) {
-        socket.emit("room_create_failed", {
-          reason: "MISSING_OWNER",
-          message: "Owner email is required.",
-        });
-        return;
-      }
-
-      const existingCount = await Room.countDocuments({ ownerId: ownerEmail });
-      if (existingCount >= 5) {
+  socket.on("create_room", async (roomData = {}, ack) => {
+    try {
+      const result = await createRoom(io, socket.data, roomData);
+      if (!result.ok) {
         socket.emit("room_create_failed", {
-          reason: "LIMIT_REACHED",
-          message: "You can only create up to 5 rooms.",
+          reason: result.error,
+          message:
+            result.error === "LIMIT_REACHED"
+              ? `You can only create up to ${result.limit} rooms on your plan.`
+              : CREATE_ROOM_MESSAGES[result.error] || "Invalid room settings.",
         });
-        return;
+        return ack?.(result);
       }
 
-      const inviteLinkId =
-        roomData.inviteLinkId || Math.random().toString(36).substring(2, 10);
-
-      await Room.create({
-        name: roomData.name,
-        code: roomData.code,
-        ownerId: ownerEmail,
-        allowAI: roomData.allowAI,
-        inviteLinkId,
-        inviteLink: roomData.inviteLink || inviteLinkId,
-        members: roomData.members || [],
-      });
-
-      await broadcastRoomList(socket);
+      ack?.({ ok: true, room: serializeRoom(result.room, socket.data) });
     } catch (err) {
       console.error("❌ ROOM SAVE FAILED:", err.message);
       socket.emit("room_create_failed", {
         reason: "SERVER_ERROR",
         message: "Failed to create room.",
       });
+      ack?.({ ok: false, error: "SERVER_ERROR" });
     }
   });
 
-  socket.on("delete_room", async (roomId) => {
+  // Only the owner may delete (co-owners can't); this also wipes messages
+  // and uploaded media
+  socket.on("delete_room", async (roomId, ack) => {
     try {
-      await Room.findByIdAndDelete(roomId);
-      await Message.deleteMany({ room: roomId });
-      await broadcastRoomList();
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      const result = await deleteRoom(io, room, socket.data);
+      if (!result.ok) {
+        socket.emit("room_delete_failed", {
+          roomId: String(roomId),
+          reason: result.error,
+          message: "Only the room owner can delete this room.",
+        });
+      }
+      ack?.(result);
     } catch (err) {
       console.error("❌ delete_room error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
     }
   });
 
-  socket.on("rename_room", async ({ roomId, newName }) => {
+  // Owner and co-owners
+  socket.on("rename_room", async ({ roomId, newName } = {}, ack) => {
     try {
-      await Room.findByIdAndUpdate(roomId, { name: newName });
-      await broadcastRoomList();
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      const result = await renameRoom(io, room, socket.data, newName);
+      if (result.error === "NOT_OWNER") {
+        socket.emit("room_rename_failed", {
+          roomId: String(roomId),
+          reason: "NOT_OWNER",
+          message: "Only the room owner can rename this room.",
+        });
+      }
+      ack?.(result.ok ? { ok: true } : result);
     } catch (err) {
       console.error("❌ rename_room error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // Owner only: hand the room to another member (old owner → co-owner)
+  socket.on(
+    "transfer_room_ownership",
+    async ({ roomId, memberId } = {}, ack) => {
+      try {
+        const room = mongoose.isValidObjectId(roomId)
+          ? await Room.findById(roomId)
+          : null;
+        if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+        const result = await transferOwnership(io, room, socket.data, memberId);
+        ack?.(result);
+      } catch (err) {
+        console.error("❌ transfer_room_ownership error:", err.message);
+        ack?.({ ok: false, error: "SERVER_ERROR" });
+      }
+    }
+  );
+
+  // ------- ROOM LIFETIME (owner only) -------
+
+  // { roomId, mode: "ephemeral" | "persistent", durationHours?, onExpire? }
+  socket.on("set_room_lifetime", async ({ roomId, ...input } = {}, ack) => {
+    try {
+      const room = mongoose.isValidObjectId(roomId)
+        ? await Room.findById(roomId)
+        : null;
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await setRoomLifetime(io, room, socket.data, input));
+    } catch (err) {
+      console.error("❌ set_room_lifetime error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  socket.on("extend_room_lifetime", async ({ roomId, hours } = {}, ack) => {
+    try {
+      const room = mongoose.isValidObjectId(roomId)
+        ? await Room.findById(roomId)
+        : null;
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await extendRoomLifetime(io, room, socket.data, hours));
+    } catch (err) {
+      console.error("❌ extend_room_lifetime error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // ------- PRIVACY & JOIN REQUESTS -------
+
+  // Owner / co-owners: { roomId, privacy: "open" | "password" | "approval", password? }
+  socket.on("set_room_privacy", async ({ roomId, ...input } = {}, ack) => {
+    try {
+      const room = mongoose.isValidObjectId(roomId)
+        ? await Room.findById(roomId)
+        : null;
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await setRoomPrivacy(io, room, socket.data, input));
+    } catch (err) {
+      console.error("❌ set_room_privacy error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
     }
   });
 
+  // Owner / co-owners / moderators: { roomId, requestId, accept }
+  socket.on(
+    "decide_join_request",
+    async ({ roomId, requestId, accept } = {}, ack) => {
+      try {
+        const room = mongoose.isValidObjectId(roomId)
+          ? await Room.findById(roomId)
+          : null;
+        if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+        ack?.(
+          await decideJoinRequest(io, room, socket.data, requestId, !!accept)
+        );
+      } catch (err) {
+        console.error("❌ decide_join_request error:", err.message);
+        ack?.({ ok: false, error: "SERVER_ERROR" });
+      }
+    }
+  );
+
   // ------- TOGGLE ROOM AI -------
 
   socket.on("toggle_room_ai", async (roomId) => {
     try {
-      if (!roomId) return;
-      const room = await Room.findById(roomId);
+      const room = await findRoomById(roomId);
       if (!room) return;
 
-      const requesterEmail = socket.data.userEmail || null;
-      const requesterId = socket.data.userId || null;
-      const isOwnerByEmail = requesterEmail && room.ownerId === requesterEmail;
-      const isOwnerById = requesterId && room.ownerId === String(requesterId);
-
-      if (!isOwnerByEmail && !isOwnerById) {
+      const result = await setRoomAI(io, room, socket.data);
+      if (!result.ok) {
         socket.emit("room_ai_toggle_failed", {
-          reason: "NOT_OWNER",
+          reason: result.error,
           message: "Only the room owner can change AI settings.",
         });
-        return;
       }
+    } catch (err) {
+      console.error("❌ toggle_room_ai error:", err.message);
+    }
+  });
 
-      room.allowAI = !room.allowAI;
-      await room.save();
+  // ------- DIRECTORY LISTING (owner / co-owners) -------
+  socket.on("update_room_listing", async ({ roomId, listing } = {}, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
 
-      io.to(String(roomId)).emit("room_ai_toggled", {
-        roomId: String(roomId),
-        allowAI: room.allowAI,
-      });
+      ack?.(await updateRoomListing(io, room, socket.data, listing || {}));
+    } catch (err) {
+      console.error("❌ update_room_listing error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // ------- ROOM CODE (owner / co-owners) -------
+  // Rotating shuts out anyone holding the old code or default invite link;
+  // members get "room_code_changed" either way
 
-      await broadcastRoomList(socket);
+  socket.on("rotate_room_code", async (roomId, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await rotateRoomCode(io, room, socket.data));
     } catch (err) {
-      console.error("❌ toggle_room_ai error:", err.message);
+      console.error("❌ rotate_room_code error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
     }
   });
 
-  // 🔹 ROOM THEME CHANGE
-  socket.on("change_room_theme", ({ roomId, theme, changedBy }) => {
-    if (!roomId || !theme) return;
-    const key = String(roomId);
-    io.to(key).emit("room_theme_changed", { roomId: key, theme, changedBy });
-    io.to(key).emit("system_message", {
-      content: `${changedBy || "Someone"} changed the room theme to "${theme}"`,
-      timestamp: Date.now(),
-    });
+  socket.on("set_room_code", async ({ roomId, code } = {}, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await setVanityCode(io, room, socket.data, code));
+    } catch (err) {
+      console.error("❌ set_room_code error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
   });
 
+  // ------- ROOM SETTINGS (owner / co-owners) -------
+
+  // { roomId, settings: { theme?, slowModeSeconds?, maxMembers?,
+  //   allowGuests?, guestMediaAllowed?, aiPersona? } }
+  socket.on("update_room_settings", async ({ roomId, settings } = {}, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await updateRoomSettings(io, room, socket.data, settings || {}));
+    } catch (err) {
+      console.error("❌ update_room_settings error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // 🔹 ROOM THEME CHANGE: shorthand for update_room_settings { theme }
+  socket.on("change_room_theme", async ({ roomId, theme } = {}, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await updateRoomSettings(io, room, socket.data, { theme }));
+    } catch (err) {
+      console.error("❌ change_room_theme error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // → roomPreview() | null; over the room code limit
+  // { error: "TOO_MANY_REQUESTS", retryAfter }
   socket.on("verify_room_code", async (code, callback) => {
     try {
-      const room = await Room.findOne({ code }).lean();
-      callback(room || null);
+      const retryAfter = await checkRoomCodeLimit(socketClientIp(socket));
+      if (retryAfter) {
+        return callback?.({ error: "TOO_MANY_REQUESTS", retryAfter });
+      }
+
+      const room = await findRoomByCode(code, { lean: true });
+      callback?.(room ? roomPreview(room) : null);
     } catch (err) {
-      callback(null);
+      callback?.(null);
     }
   });
 
   // ------- New: Authenticated join by code -------
+  // Privacy (password / approval) is enforced by services/roomAdmission.js;
+  // approval rooms answer { ok: false, pending: true, error: "approval_pending" }
   socket.on(
     "join_room_authenticated",
-    async ({ code, userId, email, userName }, callback) => {
+    async ({ code, userName, password }, callback) => {
       try {
-        if (!code || (!userId && !email)) {
+        if (socket.data.isGuest) {
+          return callback?.({ ok: false, error: "not_authenticated" });
+        }
+
+        const email = socket.data.userEmail;
+
+        if (!code) {
           return callback?.({ ok: false, error: "missing_data" });
         }
 
-        const roomDoc = await Room.findOne({ code });
+        const retryAfter = await checkRoomCodeLimit(socketClientIp(socket));
+        if (retryAfter) {
+          return callback?.({
+            ok: false,
+            error: "too_many_requests",
+            retryAfter,
+          });
+        }
+
+        const roomDoc = await findRoomByCode(code);
         if (!roomDoc) {
           return callback?.({ ok: false, error: "room_not_found" });
         }
 
-        const roomId = roomDoc._id.toString();
-        const memberIds = (roomDoc.members || []).map((m) => String(m.id));
-        const byEmail = email && memberIds.includes(String(email));
-        const byUserId = userId && memberIds.includes(String(userId));
-
-        // Add member if not present (prefer attaching by userId if available)
-        if (!byEmail && !byUserId) {
-          roomDoc.members.push({
-            id: userId ? String(userId) : email,
-            name: userName || email || "Member",
-            role: "member",
+        const admitted = await admitToRoom(io, roomDoc, socket.data, {
+          name: userName || email,
+          password,
+          ip: socketClientIp(socket),
+        });
+        if (!admitted.ok) {
+          return callback?.({ ok: false, error: admitted.error.toLowerCase() });
+        }
+        if (admitted.status === "pending") {
+          return callback?.({
+            ok: false,
+            pending: true,
+            error: "approval_pending",
+            roomId: roomDoc._id.toString(),
           });
-          await roomDoc.save();
         }
 
+        const roomId = roomDoc._id.toString();
+
         // Join socket to room for presence/messages
         socket.join(roomId);
-        socket.data.userId = userId ? String(userId) : socket.data.userId;
-        socket.data.userEmail = email || socket.data.userEmail;
 
         // Respond with the room document so client can update UI
-        callback?.({ ok: true, room: roomDoc.toObject() });
+        callback?.({ ok: true, room: serializeRoom(roomDoc, socket.data) });
 
         // Notify room and update lists/presence
         io.to(roomId).emit("system_message", {
@@ -396,8 +661,10 @@ io.on("connection", (socket) => {
           timestamp: Date.now(),
         });
 
-        emitActiveUsersCount(roomId);
-        await broadcastRoomList();
+        enterRoomPresence(roomDoc, socket, userName || email);
+        if (!admitted.alreadyMember) {
+          await emitMemberAdded(io, roomDoc, admitted.member.id);
+        }
       } catch (err) {
         console.error("join_room_authenticated error:", err);
         callback?.({ ok: false, error: "server_error" });
@@ -406,40 +673,68 @@ io.on("connection", (socket) => {
   );
 
   // ------- GUEST JOIN -------
-  socket.on("join_room_guest", async ({ code, name, guestId }) => {
+  // approval rooms emit guest_join_pending, then join_request_decided later
+  socket.on("join_room_guest", async ({ code, name, password }) => {
     try {
       if (!code || !name) {
         socket.emit("guest_join_failed", { reason: "MISSING_DATA" });
         return;
       }
 
-      const room = await Room.findOne({ code });
+      // Logged-in sockets must keep their verified identity
+      if (!socket.data.isGuest) {
+        socket.emit("guest_join_failed", { reason: "ALREADY_AUTHENTICATED" });
+        return;
+      }
+
+      const retryAfter = await checkRoomCodeLimit(socketClientIp(socket));
+      if (retryAfter) {
+        socket.emit("guest_join_failed", {
+          reason: "TOO_MANY_REQUESTS",
+          retryAfter,
+        });
+        return;
+      }
+
+      const room = await findRoomByCode(code);
       if (!room) {
         socket.emit("guest_join_failed", { reason: "ROOM_NOT_FOUND" });
         return;
       }
 
       const roomId = room._id.toString();
-      const stableGuestId =
-        guestId || `guest_${Math.random().toString(36).substring(2, 10)}`;
 
       if (!room.inviteLinkId) {
-        room.inviteLinkId = Math.random().toString(36).substring(2, 10);
-        room.inviteLink = room.inviteLinkId;
+        await withUniqueRetry("inviteLinkId", generateInviteId, (id) => {
+          room.inviteLinkId = id;
+          room.inviteLink = id;
+          return room.save();
+        });
       }
 
-      if (!room.members.some((m) => String(m.id) === String(stableGuestId))) {
-        room.members.push({ id: stableGuestId, name, role: "guest" });
+      // set before admission so a pending request's decision reaches us;
+      // a new guest gets its id + token as "guest_identity"
+      const stableGuestId = ensureGuestIdentity(socket);
+      syncPersonalRooms(socket);
+
+      const admitted = await admitToRoom(io, room, socket.data, {
+        name,
+        password,
+        ip: socketClientIp(socket),
+      });
+      if (!admitted.ok) {
+        socket.emit("guest_join_failed", { reason: admitted.error });
+        return;
+      }
+      if (admitted.status === "pending") {
+        socket.emit("guest_join_pending", { roomId, roomName: room.name });
+        return;
       }
 
-      await room.save();
       socket.join(roomId);
 
-      socket.data.userId = stableGuestId;
-      socket.data.userEmail = null;
-
       socket.emit("guest_joined_success", {
-        room: room.toObject(),
+        room: serializeRoom(room, socket.data),
         userId: stableGuestId,
         displayName: name,
       });
@@ -449,23 +744,73 @@ io.on("connection", (socket) => {
         timestamp: Date.now(),
       });
 
-      await broadcastRoomList(socket);
-      emitActiveUsersCount(roomId);
+      if (!admitted.alreadyMember) {
+        await emitMemberAdded(io, room, admitted.member.id);
+      }
+      enterRoomPresence(room, socket, name);
     } catch (err) {
       socket.emit("guest_join_failed", { reason: "SERVER_ERROR" });
     }
   });
 
+  // ------- JOIN BY INVITE LINK (users and guests) -------
+  socket.on(
+    "join_room_invite",
+    async ({ inviteId, name, password } = {}, ack) => {
+      try {
+        if (socket.data.isGuest) {
+          ensureGuestIdentity(socket);
+          syncPersonalRooms(socket);
+        }
+
+        const result = await joinWithInvite(io, inviteId, socket.data, {
+          name,
+          password,
+          ip: socketClientIp(socket),
+        });
+        if (!result.ok) return ack?.(result);
+        if (result.status === "pending") {
+          return ack?.({
+            ok: false,
+            pending: true,
+            error: "APPROVAL_PENDING",
+            roomId: result.room._id.toString(),
+          });
+        }
+
+        const roomId = result.room._id.toString();
+        socket.join(roomId);
+
+        ack?.({
+          ok: true,
+          room: serializeRoom(result.room, socket.data),
+          alreadyMember: result.alreadyMember,
+        });
+        enterRoomPresence(result.room, socket, name);
+      } catch (err) {
+        console.error("❌ join_room_invite error:", err.message);
+        ack?.({ ok: false, error: "SERVER_ERROR" });
+      }
+    }
+  );
+
   // ------- CHAT JOIN / LEAVE -------
   socket.on("join_room", async ({ roomId, displayName }) => {
-    if (!roomId) return;
+    if (!roomId || !mongoose.isValidObjectId(roomId)) return;
     const roomKey = String(roomId);
 
+    // only members (incl. guests who joined by code) may listen in
+    const { roomDoc, error } = await loadRoomForSocket(roomKey, socket);
+    if (error) {
+      socket.emit("join_room_failed", { roomId: roomKey, reason: error });
+      return;
+    }
+
     // join socket room for presence + chat
     socket.join(roomKey);
 
-    // send a system message to everyone in the room that someone joined
-    try {
+    // announce only users who just arrived, not reloads or extra tabs
+    if (enterRoomPresence(roomDoc, socket, displayName)) {
       io.to(roomKey).emit("system_message", {
         content: `${displayName || "Someone"} joined`,
         timestamp: Date.now(),
@@ -473,8 +818,6 @@ io.on("connection", (socket) => {
         type: "join", // optional: helpful for client handling
         displayName: displayName || null,
       });
-    } catch (err) {
-      console.error("system_message emit error:", err);
     }
 
     // if a call session is live tell the just-joined socket
@@ -485,22 +828,31 @@ io.on("connection", (socket) => {
         startedBy: session.startedBy || "Someone",
       });
     }
-
-    // update presence counts for everyone
-    emitActiveUsersCount(roomKey);
-
-    // ensure server room list is broadcast to sockets (so members count etc refresh)
-    try {
-      await broadcastRoomList();
-    } catch (e) {
-      // ignore broadcast errors
-    }
   });
 
   socket.on("leave_room", ({ roomId }) => {
     const roomKey = String(roomId);
     socket.leave(roomKey);
-    emitActiveUsersCount(roomKey);
+    trackLeave(io, roomKey, socket.id, { onLeft: announceLeft });
+  });
+
+  // 🟢 PRESENCE: tabs report "online" | "idle" | "away"
+  socket.on("presence_status", ({ status } = {}, ack) => {
+    const ok = setSocketStatus(io, socket.id, status);
+    ack?.(ok ? { ok: true } : { ok: false, error: "INVALID_STATUS" });
+  });
+
+  // 👀 "I've seen everything up to messageId" (services/readReceipts.js)
+  socket.on("mark_read", async ({ roomId, messageId } = {}, ack) => {
+    try {
+      const room = await findRoomById(roomId);
+      if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+      ack?.(await markRoomRead(io, room, socket.data, messageId));
+    } catch (err) {
+      console.error("mark_read error:", err);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
   });
 
   // ------- SEND MESSAGE -------
@@ -509,59 +861,108 @@ io.on("connection", (socket) => {
       const roomKey = String(data.roomId);
       if (!roomKey) return;
 
+      // Sender identity always comes from the verified socket, never the payload
+      const isGuest = !!socket.data.isGuest;
+      if (isGuest && !socket.data.guestId) return;
+      if (!mongoose.isValidObjectId(data.roomId)) return;
+
+      const room = await Room.findById(data.roomId).lean();
+      if (!room) return;
+
+      if (!isRoomMember(room, socket.data)) {
+        socket.emit("message_rejected", {
+          roomId: roomKey,
+          reason: "NOT_A_MEMBER",
+        });
+        return;
+      }
+
+      // archived rooms stay readable but take no new messages
+      if (room.archivedAt) {
+        socket.emit("message_rejected", {
+          roomId: roomKey,
+          reason: "ROOM_ARCHIVED",
+        });
+        return;
+      }
+
+      const mutedUntil = activeMuteUntil(findRoomMember(room, socket.data));
+      if (mutedUntil) {
+        socket.emit("message_rejected", {
+          roomId: roomKey,
+          reason: "MUTED",
+          mutedUntil,
+        });
+        return;
+      }
+
+      // guest media + slow mode (room settings)
+      const blocked = await canPostMessage(room, socket.data, {
+        hasMedia: !!data.mediaUrl,
+      });
+      if (blocked) {
+        socket.emit("message_rejected", { roomId: roomKey, ...blocked });
+        return;
+      }
+
+      // 💬 optional { replyTo, threadRoot } (services/messageService.js)
+      const reply = await resolveReply(room, data);
+      if (!reply.ok) {
+        socket.emit("message_rejected", {
+          roomId: roomKey,
+          reason: reply.error,
+        });
+        return;
+      }
+
+      const mentions = resolveMentions(room, socket.data, data.text);
+
+      const senderMemberId = senderMemberIdFor(room, socket.data);
       const saved = await Message.create({
         room: data.roomId,
-        senderUser: data.senderUserId || null,
-        senderGuestName: data.senderGuestName || null,
-        role: data.role || "user",
+        senderUser: isGuest ? null : socket.data.userId,
+        senderGuestId: isGuest ? socket.data.guestId : null,
+        senderGuestName: isGuest ? data.senderGuestName || "Guest" : null,
+        senderMemberId,
+        // "ai" replies come from POST /api/chat/room, "system" is server-only
+        role: "user",
         content: data.text || "",
         mediaUrl: data.mediaUrl || null,
         mediaType: data.mediaType || null,
         mediaName: data.mediaName || null,
         mimeType: data.mimeType || null,
+        ...reply.fields,
+        ...mentions,
       });
 
-      const payload = {
-        _id: saved._id.toString(),
-        roomId: saved.room.toString(),
-        text: saved.content || "",
-        role: saved.role,
-        senderUserId: saved.senderUser || null,
-        senderGuestName: saved.senderGuestName || null,
-        createdAt: saved.createdAt,
-        reactions: saved.reactions || [],
-        mediaUrl: saved.mediaUrl || null,
-        mediaType: saved.mediaType || null,
-        mediaName: saved.mediaName || null,
-      };
-
-      io.to(roomKey).emit("receive_message", payload);
-    } catch (e) {
-      console.warn("Message save error (non-fatal):", e.message);
-      const roomKey = String(data.roomId);
-      io.to(roomKey).emit("receive_message", {
-        _id: `temp-${Date.now()}`,
-        roomId: roomKey,
-        text: data.text || "",
-        role: data.role || "user",
-        createdAt: new Date().toISOString(),
-        mediaUrl: data.mediaUrl || null,
-        mediaName: data.mediaName || null,
-        reactions: [],
+      // saved: whatever fails from here on mustn't reject (or repeat) it
+      try {
+        await recordMessagePosted(room, socket.data);
+        await broadcastNewMessage(io, saved);
+        emitRoomActivity(io, room, saved);
+        await notifyMentions(io, room, saved, senderMemberId);
+        await readOwnMessage(io, room, socket.data, saved);
+        touchPresence(io, roomKey, socket.id);
+        // directory "activity" sort
+        await Room.updateOne(
+          { _id: room._id },
+          { lastActivityAt: saved.createdAt }
+        );
+      } catch (err) {
+        console.error("send_message follow-up error:", err);
+      }
+    } catch (err) {
+      console.error("send_message error:", err);
+      socket.emit("message_rejected", {
+        roomId: String(data?.roomId),
+        reason: "SERVER_ERROR",
       });
     }
   });
 
   socket.on("delete_message", async (payload, ack) => {
     try {
-      const {
-        messageId,
-        requesterUserId = null,
-        requesterGuestName = null,
-        createdAt: payloadCreatedAt = null,
-        textSnippet = null,
-        roomId: payloadRoomId = null,
-      } = payload || {};
+      const { messageId, roomId: payloadRoomId = null } = payload || {};
 
       if (!messageId) {
         return ack?.({ ok: false, error: "MISSING_MESSAGE_ID" });
@@ -574,52 +975,23 @@ io.on("connection", (socket) => {
         .lean()
         .catch(() => null);
 
-      const socketUserId = socket.data?.userId || null;
-      const socketUserEmail = socket.data?.userEmail || null;
+      const isGuest = !!socket.data?.isGuest;
+      const socketUserId = isGuest ? null : socket.data?.userId || null;
+      const socketGuestId = isGuest ? socket.data?.guestId || null : null;
 
       const equals = (a, b) => a && b && String(a) === String(b);
 
       let allowed = false;
 
-      // 1) sender by authenticated userId
-      if (
-        socketUserId &&
-        msg.senderUser &&
-        equals(msg.senderUser, socketUserId)
-      )
-        allowed = true;
+      // 1) sender by verified userId
+      if (socketUserId && equals(msg.senderUser, socketUserId)) allowed = true;
 
-      // 2) sender by payload userId
-      if (
-        !allowed &&
-        requesterUserId &&
-        msg.senderUser &&
-        equals(msg.senderUser, requesterUserId)
-      )
+      // 2) guest sender by the guest id bound to this socket
+      if (!allowed && socketGuestId && equals(msg.senderGuestId, socketGuestId))
         allowed = true;
 
-      // 3) guest sender by name
-      if (
-        !allowed &&
-        requesterGuestName &&
-        msg.senderGuestName === requesterGuestName
-      ) {
-        if (
-          (payloadCreatedAt &&
-            String(msg.createdAt) === String(payloadCreatedAt)) ||
-          (textSnippet && (msg.content || "").startsWith(textSnippet))
-        ) {
-          allowed = true;
-        } else {
-          allowed = true; // allow without logging
-        }
-      }
-
-      // 4) owner
-      if (!allowed && room) {
-        if (socketUserEmail && room.ownerId === socketUserEmail) allowed = true;
-        if (socketUserId && equals(room.ownerId, socketUserId)) allowed = true;
-      }
+      // 3) owner
+      if (!allowed && isRoomOwner(room, socket.data)) allowed = true;
 
       if (!allowed) {
         return ack?.({ ok: false, error: "NOT_AUTHORIZED" });
@@ -629,6 +1001,7 @@ io.on("connection", (socket) => {
 
       await msg.deleteOne();
       io.to(roomId).emit("message_deleted", { messageId: String(messageId) });
+      await forgetDeletedMessage(io, msg);
 
       ack?.({ ok: true });
     } catch (err) {
@@ -637,50 +1010,130 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("typing", ({ roomId, displayName }) => {
+  // ✏️ EDIT (sender, within the edit window) / REDACT (moderators)
+  // Both broadcast "message_edited"; see services/messageService.js
+  socket.on("edit_message", async ({ messageId, text } = {}, ack) => {
+    try {
+      const room = await findMessageRoom(messageId);
+      if (!room) return ack?.({ ok: false, error: "MESSAGE_NOT_FOUND" });
+
+      ack?.(await editMessage(io, room, socket.data, messageId, text));
+    } catch (err) {
+      console.error("❌ edit_message error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  socket.on("redact_message", async ({ messageId, reason } = {}, ack) => {
+    try {
+      const room = await findMessageRoom(messageId);
+      if (!room) return ack?.({ ok: false, error: "MESSAGE_NOT_FOUND" });
+
+      ack?.(await redactMessage(io, room, socket.data, messageId, reason));
+    } catch (err) {
+      console.error("❌ redact_message error:", err.message);
+      ack?.({ ok: false, error: "SERVER_ERROR" });
+    }
+  });
+
+  // ------- MODERATION (owner / moderators) -------
+  // payload: { roomId, memberId, ... } → ack({ ok, error? })
+  const moderationEvents = {
+    set_member_role: (room, p) =>
+      setMemberRole(io, room, socket.data, p.memberId, p.role),
+    kick_member: (room, p) => kickMember(io, room, socket.data, p.memberId),
+    ban_member: (room, p) =>
+      banMember(io, room, socket.data, p.memberId, p.reason),
+    unban_member: (room, p) => unbanMember(io, room, socket.data, p.memberId),
+    mute_member: (room, p) =>
+      muteMember(
+        io,
+        room,
+        socket.data,
+        p.memberId,
+        Number(p.durationMinutes) * 60 * 1000
+      ),
+    unmute_member: (room, p) =>
+      muteMember(io, room, socket.data, p.memberId, 0),
+  };
+
+  for (const [event, run] of Object.entries(moderationEvents)) {
+    socket.on(event, async (payload = {}, ack) => {
+      try {
+        const { roomId } = payload || {};
+        const room = mongoose.isValidObjectId(roomId)
+          ? await Room.findById(roomId)
+          : null;
+        if (!room) return ack?.({ ok: false, error: "ROOM_NOT_FOUND" });
+
+        const result = await run(room, payload);
+        ack?.(
+          result.ok
+            ? { ok: true, mutedUntil: result.mutedUntil }
+            : { ok: false, error: result.error }
+        );
+      } catch (err) {
+        console.error(`❌ ${event} error:`, err.message);
+        ack?.({ ok: false, error: "SERVER_ERROR" });
+      }
+    });
+  }
+
+  socket.on("typing", async ({ roomId, displayName }) => {
     if (!roomId || !displayName) return;
     const key = String(roomId);
+    const { error } = await loadRoomForSocket(key, socket, { active: true });
+    if (error) return;
+
+    touchPresence(io, key, socket.id);
     socket.to(key).emit("typing", { roomId: key, displayName });
   });
 
-  socket.on(
-    "addReaction",
-    async ({ messageId, emoji, userId, displayName }) => {
-      try {
-        if (!messageId || !emoji || !userId) return;
-        const msg = await Message.findById(messageId);
-        if (!msg) return;
-
-        if (!Array.isArray(msg.reactions)) msg.reactions = [];
+  socket.on("addReaction", async ({ messageId, emoji, displayName }) => {
+    try {
+      const userId = socket.data.userId;
+      if (!messageId || !emoji || !userId) return;
+      const msg = await Message.findById(messageId);
+      if (!msg) return;
 
-        const existingIndex = msg.reactions.findIndex(
-          (r) => r.userId === userId && r.emoji === emoji
-        );
+      if (!Array.isArray(msg.reactions)) msg.reactions = [];
 
-        if (existingIndex !== -1) {
-          msg.reactions.splice(existingIndex, 1);
-        } else {
-          msg.reactions = msg.reactions.filter((r) => r.userId !== userId);
-          msg.reactions.push({ emoji, userId, displayName });
-        }
+      const existingIndex = msg.reactions.findIndex(
+        (r) => r.userId === userId && r.emoji === emoji
+      );
 
-        await msg.save();
-        io.to(msg.room.toString()).emit("reactionUpdated", {
-          messageId: msg._id.toString(),
-          reactions: msg.reactions,
-        });
-      } catch (err) {
-        console.error("addReaction error:", err.message);
+      if (existingIndex !== -1) {
+        msg.reactions.splice(existingIndex, 1);
+      } else {
+        msg.reactions = msg.reactions.filter((r) => r.userId !== userId);
+        msg.reactions.push({ emoji, userId, displayName });
       }
+
+      await msg.save();
+      io.to(msg.room.toString()).emit("reactionUpdated", {
+        messageId: msg._id.toString(),
+        reactions: msg.reactions,
+      });
+    } catch (err) {
+      console.error("addReaction error:", err.message);
     }
-  );
+  });
 
   // ------- VOICE / VIDEO CALL -------
-  socket.on("join_call", ({ roomId, isOwner, displayName }) => {
+  socket.on("join_call", async ({ roomId, displayName } = {}, ack) => {
     if (!roomId) return;
     const roomKey = String(roomId);
     const name = displayName || "User";
 
+    // same gate as join_room: joining the call joins the room's channel
+    const { error } = await loadRoomForSocket(roomKey, socket, {
+      active: true,
+    });
+    if (error) {
+      socket.emit("join_room_failed", { roomId: roomKey, reason: error });
+      return ack?.({ ok: false, error });
+    }
+
     let session = callSessions.get(roomKey);
     if (!session) {
       session = {
@@ -716,6 +1169,7 @@ io.on("connection", (socket) => {
       name,
       participantCount: session.participants.size,
     });
+    ack?.({ ok: true });
   });
 
   socket.on("leave_call", ({ roomId }) => handleLeaveCall(io, roomId, socket));
@@ -733,9 +1187,8 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     console.log("🔴 Socket disconnected:", socket.id);
-    [...socket.rooms].forEach((roomKey) => {
-      if (roomKey !== socket.id) emitActiveUsersCount(roomKey);
-    });
+    // reloads within the grace period don't count as leaving
+    trackDisconnect(io, socket.id, { onLeft: announceLeft });
     for (const [roomId] of callSessions.entries())
       handleLeaveCall(io, roomId, socket);
   });
@@ -746,6 +1199,7 @@ async function start() {
   try {
     await mongoose.connect(process.env.MONGO_URI, { dbName: "lc_ai" });
     console.log("✅ MongoDB connected");
+    await startRoomExpirySweeper(io);
     httpServer.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
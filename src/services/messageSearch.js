@@ -0,0 +1,180 @@
+// src/services/messageSearch.js
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { findRoomsForIdentity } from "./roomService.js";
+import { senderName } from "./messageService.js";
+import { serializeMessage } from "./messageSerializer.js";
+
+/**
+ * Full-text search over message text (the "message_content_text" index on
+ * Message), in one room or in every room the caller belongs to. Redacted
+ * messages never match; thread replies do.
+ *
+ * query: { q, sender?, role?, mediaType?, from?, to?, page?, limit? }
+ *   q          words or "a phrase"; -word excludes (MongoDB $text syntax)
+ *   sender     a userId or "guest_xxx" id
+ *   role       "user" | "ai" | "system"
+ *   mediaType  e.g. "image"; "none" for text-only messages
+ *   from / to  dates (ISO strings or timestamps), inclusive
+ *
+ * Results are best match first, then newest. Each hit has a `snippet` of
+ * the text around the first match and `highlights` ({ start, end } offsets
+ * into the snippet) for clients to mark up themselves.
+ */
+
+export const SEARCH_ROLES = ["user", "ai", "system"];
+
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_RADIUS = 60;
+
+const fail = (error) => ({ ok: false, error });
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Plain words of the query (no quotes, no -excluded words), for highlights.
+ */
+function searchTerms(q) {
+  const terms = [];
+  for (const match of q.matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim();
+    if (!term || (!match[1] && term.startsWith("-"))) continue;
+    terms.push(term.toLowerCase());
+  }
+  return [...new Set(terms)];
+}
+
+/**
+ * The text around the first term found, with every term in it located.
+ */
+export function buildSnippet(text, terms) {
+  const content = String(text || "");
+  const lower = content.toLowerCase();
+
+  const first = terms
+    .map((t) => lower.indexOf(t))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b)[0];
+
+  const start = first === undefined ? 0 : Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(
+    content.length,
+    (first === undefined ? 0 : first) + SNIPPET_RADIUS * 2
+  );
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const snippet = prefix + content.slice(start, end) + suffix;
+
+  const highlights = [];
+  const haystack = snippet.toLowerCase();
+  for (const term of terms) {
+    let at = haystack.indexOf(term);
+    while (at >= 0) {
+      highlights.push({ start: at, end: at + term.length });
+      at = haystack.indexOf(term, at + term.length);
+    }
+  }
+  highlights.sort((a, b) => a.start - b.start);
+
+  return { snippet, highlights };
+}
+
+function buildFilter(roomIds, query) {
+  const q = String(query.q || "").trim();
+  if (!q) return fail("QUERY_REQUIRED");
+  if (q.length > MAX_QUERY_LENGTH) return fail("QUERY_TOO_LONG");
+
+  const filter = {
+    room: { $in: roomIds },
+    $text: { $search: q },
+    redactedAt: null,
+  };
+
+  if (query.sender) {
+    const sender = String(query.sender);
+    if (sender.startsWith("guest_")) filter.senderGuestId = sender;
+    else if (mongoose.isValidObjectId(sender)) filter.senderUser = sender;
+    else return fail("INVALID_SENDER");
+  }
+
+  if (query.role) {
+    if (!SEARCH_ROLES.includes(query.role)) return fail("INVALID_ROLE");
+    filter.role = query.role;
+  }
+
+  if (query.mediaType) {
+    const mediaType = String(query.mediaType).trim().toLowerCase();
+    filter.mediaType = mediaType === "none" ? null : mediaType;
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return fail("INVALID_DATE");
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return { ok: true, filter, terms: searchTerms(q) };
+}
+
+async function runSearch(rooms, query) {
+  const built = buildFilter(
+    rooms.map((r) => r._id),
+    query
+  );
+  if (!built.ok) return built;
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const rows = await Message.find(built.filter, {
+    score: { $meta: "textScore" },
+  })
+    .sort({ score: { $meta: "textScore" }, createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const roomsById = new Map(rooms.map((r) => [r._id.toString(), r]));
+
+  const results = rows.slice(0, limit).map((m) => {
+    const room = roomsById.get(m.room.toString());
+    return {
+      message: serializeMessage(m),
+      roomId: m.room.toString(),
+      roomName: room?.name || null,
+      senderName: room ? senderName(room, m) : null,
+      score: m.score,
+      ...buildSnippet(m.content, built.terms),
+    };
+  });
+
+  return { ok: true, results, page, limit, hasMore: rows.length > limit };
+}
+
+/**
+ * One room (the caller's membership is checked by the route).
+ * → { ok, results, page, limit, hasMore } | { ok: false, error }
+ */
+export function searchRoomMessages(room, query = {}) {
+  return runSearch([room], query);
+}
+
+/**
+ * Every room the identity owns or belongs to.
+ */
+export async function searchMyMessages(identity, query = {}) {
+  return runSearch(await findRoomsForIdentity(identity), query);
+}
@@ -0,0 +1,53 @@
+// src/services/messageSerializer.js
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * The compact parent shown above a reply (stored as message.replyPreview).
+ * `senderName` comes from the room, since messages only keep sender ids.
+ */
+export function replyPreviewFor(message, senderName) {
+  const unavailable = !!message.redactedAt;
+  return {
+    senderName: senderName || "Someone",
+    role: message.role,
+    text: unavailable ? "" : (message.content || "").slice(0, PREVIEW_LENGTH),
+    mediaType: unavailable ? null : message.mediaType || null,
+    unavailable,
+  };
+}
+
+/**
+ * The one message shape sent to clients: the receive_message payload and
+ * GET /api/rooms/:roomId/messages alike. The edit trail is never included
+ * (see messageEditHistory).
+ */
+export function serializeMessage(message) {
+  const m =
+    typeof message.toObject === "function" ? message.toObject() : message;
+  const redacted = !!m.redactedAt;
+
+  return {
+    _id: m._id.toString(),
+    roomId: m.room.toString(),
+    text: redacted ? "" : m.content || "",
+    role: m.role,
+    senderUserId: m.senderUser || null,
+    senderGuestName: m.senderGuestName || null,
+    createdAt: m.createdAt,
+    reactions: m.reactions || [],
+    mediaUrl: redacted ? null : m.mediaUrl || null,
+    mediaType: redacted ? null : m.mediaType || null,
+    mediaName: redacted ? null : m.mediaName || null,
+    editedAt: m.editedAt || null,
+    redacted,
+    replyTo: m.replyTo ? m.replyTo.toString() : null,
+    threadRoot: m.threadRoot ? m.threadRoot.toString() : null,
+    replyPreview: m.replyPreview || null,
+    replyCount: m.replyCount || 0,
+    threadReplyCount: m.threadReplyCount || 0,
+    lastThreadReplyAt: m.lastThreadReplyAt || null,
+    mentions: m.mentions || [],
+    mentionsEveryone: !!m.mentionsEveryone,
+  };
+}
@@ -0,0 +1,500 @@
+// src/services/messageService.js
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import {
+  canModerate,
+  getRoomRole,
+  findRoomMember,
+  isRoomOwner,
+  activeMuteUntil,
+} from "../utils/roomAccess.js";
+import { serializeMessage, replyPreviewFor } from "./messageSerializer.js";
+
+/**
+ * Message history, replies / threads and edits, shared by the REST routes and the socket
+ * events in server.js. Actions resolve to { ok: true, ... } or
+ * { ok: false, error: "CODE" }.
+ *
+ * Pages are keyed by cursors, either a message id or a timestamp (ISO
+ * string or epoch ms), and ordered by (createdAt, _id) so messages with the
+ * same timestamp are never skipped or repeated:
+ *
+ *   (none)         → the newest page
+ *   before=<cursor> → the page just older than the cursor
+ *   after=<cursor>  → the page just newer than the cursor
+ *
+ * Each page is returned oldest → newest.
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const fail = (error) => ({ ok: false, error });
+
+/**
+ * → { createdAt, _id? } | null (unknown id / unparsable value)
+ */
+async function resolveCursor(roomId, cursor) {
+  const raw = String(cursor);
+
+  if (/^[0-9a-f]{24}$/i.test(raw)) {
+    const message = await Message.findOne({ _id: raw, room: roomId })
+      .select("createdAt")
+      .lean();
+    return message ? { createdAt: message.createdAt, _id: message._id } : null;
+  }
+
+  const date = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : { createdAt: date };
+}
+
+function pastCursor(cursor, direction) {
+  const op = direction === "before" ? "$lt" : "$gt";
+  if (!cursor._id) return { createdAt: { [op]: cursor.createdAt } };
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ],
+  };
+}
+
+/**
+ * One page of `baseFilter` (which must include the room). Without a cursor
+ * the page starts at the newest message, or at the oldest with
+ * `fromStart`.
+ */
+async function pageMessages(roomId, baseFilter, opts = {}, fromStart = false) {
+  if (opts.before && opts.after) return fail("INVALID_CURSOR");
+
+  const limit = Math.min(
+    Math.max(parseInt(opts.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const direction =
+    opts.after || (fromStart && !opts.before) ? "after" : "before";
+  const filter = { ...baseFilter };
+
+  const raw = opts.after || opts.before;
+  if (raw) {
+    const cursor = await resolveCursor(roomId, raw);
+    if (!cursor) return fail("INVALID_CURSOR");
+    Object.assign(filter, pastCursor(cursor, direction));
+  }
+
+  const order = direction === "before" ? -1 : 1;
+  const found = await Message.find(filter)
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = found.length > limit;
+  const page = found.slice(0, limit);
+  if (direction === "before") page.reverse();
+
+  const messages = page.map(serializeMessage);
+  return {
+    ok: true,
+    messages,
+    hasMore,
+    before: messages[0]?._id || null,
+    after: messages[messages.length - 1]?._id || null,
+  };
+}
+
+/**
+ * The room's main timeline (thread replies are folded into their root).
+ * opts: { before?, after?, limit? }
+ * → { ok, messages, hasMore, before, after } where `before` / `after` are
+ *   the cursors for the next older / newer page
+ *   | { ok: false, error: "INVALID_CURSOR" }
+ */
+export function listRoomMessages(roomId, opts = {}) {
+  return pageMessages(roomId, { room: roomId, threadRoot: null }, opts);
+}
+
+// ---------- replies / threads ----------
+
+export function senderName(room, message) {
+  if (message.role === "ai") return "AI";
+  if (message.senderGuestName) return message.senderGuestName;
+  const member = message.senderUser
+    ? findRoomMember(room, messageSender(message))
+    : null;
+  return member?.name || "Member";
+}
+
+async function loadRoomMessage(room, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return Message.findOne({ _id: messageId, room: room._id }).lean();
+}
+
+/**
+ * send_message's { replyTo, threadRoot } → { ok, fields } (the Message
+ * fields to set) | { ok: false, error }.
+ *
+ * A reply to a message inside a thread stays in that thread; a threadRoot
+ * that is itself a thread reply resolves to its root; threadRoot alone
+ * replies to the root.
+ */
+export async function resolveReply(room, { replyTo, threadRoot } = {}) {
+  if (!replyTo && !threadRoot) return { ok: true, fields: {} };
+
+  const parent = replyTo ? await loadRoomMessage(room, replyTo) : null;
+  if (replyTo && !parent) return fail("REPLY_NOT_FOUND");
+
+  let rootId = parent?.threadRoot || null;
+  if (threadRoot) {
+    const root = await loadRoomMessage(room, threadRoot);
+    if (!root) return fail("THREAD_NOT_FOUND");
+    rootId = root.threadRoot || root._id;
+  }
+
+  const quoted = parent || (await loadRoomMessage(room, rootId));
+  if (!quoted) return fail("THREAD_NOT_FOUND");
+
+  // the quoted message must be the root or already inside the same thread
+  if (
+    rootId &&
+    String(quoted._id) !== String(rootId) &&
+    String(quoted.threadRoot) !== String(rootId)
+  ) {
+    return fail("INVALID_REPLY");
+  }
+
+  return {
+    ok: true,
+    fields: {
+      replyTo: quoted._id,
+      threadRoot: rootId,
+      replyPreview: replyPreviewFor(quoted, senderName(room, quoted)),
+    },
+  };
+}
+
+function emitReplyCounts(io, message) {
+  if (!io || !message) return;
+  const roomId = message.room.toString();
+  io.to(roomId).emit("reply_count_updated", {
+    roomId,
+    messageId: message._id.toString(),
+    replyCount: message.replyCount || 0,
+    threadReplyCount: message.threadReplyCount || 0,
+    lastThreadReplyAt: message.lastThreadReplyAt || null,
+  });
+}
+
+/**
+ * Bump (delta 1) or drop (delta -1) the counts on a reply's parent and
+ * thread root, and tell the room.
+ */
+async function countReply(io, message, delta) {
+  if (!message.replyTo) return;
+
+  const parentId = String(message.replyTo);
+  const rootId = message.threadRoot ? String(message.threadRoot) : null;
+
+  const bump = (id, update) =>
+    Message.findByIdAndUpdate(id, update, { new: true }).lean();
+  const lastReply =
+    delta > 0 ? { $set: { lastThreadReplyAt: message.createdAt } } : {};
+
+  if (rootId === parentId) {
+    const inc = { replyCount: delta, threadReplyCount: delta };
+    emitReplyCounts(io, await bump(parentId, { $inc: inc, ...lastReply }));
+    return;
+  }
+
+  emitReplyCounts(io, await bump(parentId, { $inc: { replyCount: delta } }));
+  if (rootId) {
+    const inc = { threadReplyCount: delta };
+    emitReplyCounts(io, await bump(rootId, { $inc: inc, ...lastReply }));
+  }
+}
+
+/**
+ * Send a new message to the room: "receive_message" for the main timeline,
+ * "thread_reply" for thread replies so clients can fold them under the
+ * root. Reply counts follow as "reply_count_updated".
+ */
+export async function broadcastNewMessage(io, message) {
+  const serialized = serializeMessage(message);
+  const roomId = serialized.roomId;
+
+  if (serialized.threadRoot) {
+    io.to(roomId).emit("thread_reply", {
+      roomId,
+      threadRoot: serialized.threadRoot,
+      message: serialized,
+    });
+  } else {
+    io.to(roomId).emit("receive_message", serialized);
+  }
+
+  await countReply(io, message, 1);
+}
+
+/**
+ * A message was deleted: lower its parent's counts, mark the previews
+ * quoting it as unavailable and drop its mention notifications.
+ */
+export async function forgetDeletedMessage(io, message) {
+  await countReply(io, message, -1);
+  await Notification.deleteMany({ message: message._id });
+  await Message.updateMany(
+    { replyTo: message._id },
+    {
+      $set: {
+        "replyPreview.text": "",
+        "replyPreview.mediaType": null,
+        "replyPreview.unavailable": true,
+      },
+    }
+  );
+}
+
+async function refreshReplyPreviews(room, message) {
+  await Message.updateMany(
+    { replyTo: message._id },
+    {
+      $set: {
+        replyPreview: replyPreviewFor(message, senderName(room, message)),
+      },
+    }
+  );
+}
+
+/**
+ * A thread: its root and one page of replies, oldest first by default.
+ * `messageId` may be the root or any reply in the thread.
+ * opts: { before?, after?, limit? }
+ */
+export async function listThread(room, messageId, opts = {}) {
+  let root = await loadRoomMessage(room, messageId);
+  if (root?.threadRoot) root = await loadRoomMessage(room, root.threadRoot);
+  if (!root) return fail("MESSAGE_NOT_FOUND");
+
+  const page = await pageMessages(
+    room._id,
+    { room: room._id, threadRoot: root._id },
+    opts,
+    true
+  );
+  if (!page.ok) return page;
+
+  return { ...page, root: serializeMessage(root) };
+}
+
+// ---------- edits ----------
+
+const MAX_EDITS_KEPT = 50;
+
+/**
+ * MESSAGE_EDIT_WINDOW_MINUTES: how long after sending a message can be
+ * edited (default 15, 0 = no limit).
+ */
+const editWindowMs = () => {
+  const n = Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES);
+  return (Number.isFinite(n) && n >= 0 ? n : 15) * 60 * 1000;
+};
+
+const actorId = (identity) =>
+  identity.isGuest ? identity.guestId : String(identity.userId);
+
+export function isMessageSender(message, identity) {
+  if (!message || !identity) return false;
+  if (identity.isGuest) {
+    return !!identity.guestId && message.senderGuestId === identity.guestId;
+  }
+  return (
+    !!message.senderUser &&
+    String(message.senderUser) === String(identity.userId)
+  );
+}
+
+/**
+ * senderMemberId for a message `identity` is about to send: their
+ * members[].id, or the owner's email when the owner isn't listed.
+ */
+export function senderMemberIdFor(room, identity) {
+  if (identity.isGuest) return identity.guestId;
+  const member = findRoomMember(room, identity);
+  if (member) return String(member.id);
+  return isRoomOwner(room, identity)
+    ? String(room.ownerId)
+    : String(identity.userId);
+}
+
+/**
+ * The sender as an identity for utils/roomAccess.js. A senderMemberId
+ * other than the user id is their email, which is what the owner is
+ * listed (and stored as room.ownerId) under.
+ */
+export function messageSender(message) {
+  if (!message.senderUser) {
+    return { isGuest: true, guestId: message.senderGuestId };
+  }
+  const userId = String(message.senderUser);
+  const memberId = message.senderMemberId;
+  return {
+    userId,
+    userEmail: memberId && memberId !== userId ? memberId : null,
+  };
+}
+
+// older messages have no senderMemberId; their sender's email is looked up
+async function senderRole(room, message) {
+  const sender = messageSender(message);
+  if (!sender.isGuest && !sender.userEmail) {
+    const user = await User.findById(sender.userId).select("email").lean();
+    sender.userEmail = user?.email || null;
+  }
+  return getRoomRole(room, sender) || "member";
+}
+
+async function findRoomMessage(room, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  return Message.findOne({ _id: messageId, room: room._id });
+}
+
+function broadcastEdit(io, message) {
+  if (!io) return;
+  const serialized = serializeMessage(message);
+  io.to(serialized.roomId).emit("message_edited", {
+    roomId: serialized.roomId,
+    messageId: serialized._id,
+    message: serialized,
+  });
+}
+
+/**
+ * Room a message belongs to (for socket events that only carry the id).
+ */
+export async function findMessageRoom(messageId) {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+  const message = await Message.findById(messageId).select("room").lean();
+  return message ? Room.findById(message.room) : null;
+}
+
+/**
+ * The sender only, within the edit window. The old text goes to the edit
+ * trail; a concurrent edit makes this one fail with EDIT_CONFLICT.
+ */
+export async function editMessage(io, room, actor, messageId, text) {
+  const message = await findRoomMessage(room, messageId);
+  if (!message) return fail("MESSAGE_NOT_FOUND");
+  if (!isMessageSender(message, actor)) return fail("NOT_ALLOWED");
+  if (message.redactedAt) return fail("MESSAGE_REDACTED");
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+  if (activeMuteUntil(findRoomMember(room, actor))) return fail("MUTED");
+
+  const windowMs = editWindowMs();
+  if (windowMs && Date.now() - message.createdAt.getTime() > windowMs) {
+    return fail("EDIT_WINDOW_PASSED");
+  }
+
+  const content = String(text ?? "").trim();
+  if (!content && !message.mediaUrl) return fail("EMPTY_MESSAGE");
+  if (content === (message.content || "")) return fail("NO_CHANGES");
+
+  const now = new Date();
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, content: message.content ?? null, redactedAt: null },
+    {
+      $set: { content, editedAt: now },
+      $push: {
+        edits: {
+          $each: [
+            {
+              content: message.content || "",
+              replacedAt: now,
+              editedBy: actorId(actor),
+            },
+          ],
+          $slice: -MAX_EDITS_KEPT,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return fail("EDIT_CONFLICT");
+
+  await refreshReplyPreviews(room, updated);
+  broadcastEdit(io, updated);
+  return { ok: true, message: serializeMessage(updated) };
+}
+
+/**
+ * Moderators (above the sender): clear a message's text and media. What it
+ * said stays in the edit trail for moderators.
+ */
+export async function redactMessage(io, room, actor, messageId, reason) {
+  const message = await findRoomMessage(room, messageId);
+  if (!message) return fail("MESSAGE_NOT_FOUND");
+  if (!canModerate(getRoomRole(room, actor), await senderRole(room, message))) {
+    return fail("NOT_ALLOWED");
+  }
+  if (message.redactedAt) return fail("MESSAGE_REDACTED");
+
+  const now = new Date();
+  const media = message.mediaUrl ? ` [${message.mediaUrl}]` : "";
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, redactedAt: null },
+    {
+      $set: {
+        content: "",
+        mediaUrl: null,
+        mediaType: null,
+        mediaName: null,
+        redactedAt: now,
+        redactedBy: actorId(actor),
+        redactReason: reason ? String(reason).trim().slice(0, 200) : undefined,
+      },
+      $push: {
+        edits: {
+          $each: [
+            {
+              content: `${message.content || ""}${media}`,
+              replacedAt: now,
+              editedBy: actorId(actor),
+            },
+          ],
+          $slice: -MAX_EDITS_KEPT,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return fail("MESSAGE_REDACTED");
+
+  await refreshReplyPreviews(room, updated);
+  broadcastEdit(io, updated);
+  return { ok: true, message: serializeMessage(updated) };
+}
+
+/**
+ * Moderators: the message as it is now plus every replaced version, oldest
+ * first.
+ */
+export async function messageEditHistory(room, actor, messageId) {
+  if (!canModerate(getRoomRole(room, actor), "member")) {
+    return fail("NOT_ALLOWED");
+  }
+  if (!mongoose.isValidObjectId(messageId)) return fail("MESSAGE_NOT_FOUND");
+
+  const message = await Message.findOne({ _id: messageId, room: room._id })
+    .select("+edits")
+    .lean();
+  if (!message) return fail("MESSAGE_NOT_FOUND");
+
+  return {
+    ok: true,
+    message: serializeMessage(message),
+    edits: message.edits || [],
+    redactedBy: message.redactedBy || null,
+    redactReason: message.redactReason || null,
+  };
+}
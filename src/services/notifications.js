@@ -0,0 +1,263 @@
+// src/services/notifications.js
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import Notification from "../models/Notification.js";
+import {
+  canModerate,
+  findRoomMember,
+  getRoomRole,
+} from "../utils/roomAccess.js";
+import { personalRoom, personalRoomsFor } from "./roomBroadcast.js";
+import { senderName } from "./messageService.js";
+
+/**
+ * @mentions and the notification inbox.
+ *
+ * send_message resolves "@name" against room.members (case-insensitive,
+ * longest names first so "@Ann Lee" beats "@Ann") and "@everyone", and
+ * stores the member ids on message.mentions. Every mentioned member gets a
+ * Notification and a live "mention" event on their personal socket rooms,
+ * whichever room they're looking at. @everyone only counts from moderators
+ * and above; the sender is never notified.
+ *
+ * Members can mute a room (members[].notificationsMuted): they're still in
+ * message.mentions, but get no notification from it.
+ *
+ * Events to the recipient's personal rooms:
+ *   mention            { roomId, notification }
+ *   notifications_read { ids | roomId | all, unreadCount }
+ */
+
+const PREVIEW_LENGTH = 120;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+const fail = (error) => ({ ok: false, error });
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "@name" not glued to a word before it, and not followed by one
+const mentionPattern = (name, flags = "iu") =>
+  new RegExp(
+    `(^|[^\\p{L}\\p{N}_@])@${escapeRegex(name)}(?![\\p{L}\\p{N}_])`,
+    flags
+  );
+
+const EVERYONE_PATTERN = mentionPattern("everyone");
+
+/**
+ * Ids an identity can appear under as a recipient (same as members[].id).
+ */
+function recipientIdsFor(identity) {
+  if (!identity) return [];
+  if (identity.isGuest) return identity.guestId ? [identity.guestId] : [];
+  return [identity.userId && String(identity.userId), identity.userEmail]
+    .filter(Boolean)
+    .map(String);
+}
+
+export function serializeNotification(n) {
+  return {
+    id: n._id.toString(),
+    type: n.type || "mention",
+    roomId: n.room.toString(),
+    messageId: n.message.toString(),
+    roomName: n.roomName || null,
+    senderName: n.senderName || null,
+    preview: n.preview || "",
+    everyone: !!n.everyone,
+    read: !!n.readAt,
+    readAt: n.readAt || null,
+    createdAt: n.createdAt,
+  };
+}
+
+// ---------- mentions ----------
+
+/**
+ * Mentions in a message about to be sent by `sender`.
+ * → { mentions: [memberId], mentionsEveryone } (Message fields to set)
+ */
+export function resolveMentions(room, sender, text) {
+  const content = String(text || "");
+  if (!content.includes("@")) return { mentions: [], mentionsEveryone: false };
+
+  const senderId = findRoomMember(room, sender)?.id;
+  let remaining = content;
+  const mentions = [];
+
+  const byLength = [...(room.members || [])]
+    .filter((m) => m.name)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const member of byLength) {
+    if (!mentionPattern(member.name).test(remaining)) continue;
+    // blank it out so a shorter name can't match inside it
+    remaining = remaining.replace(mentionPattern(member.name, "giu"), "$1");
+    if (String(member.id) !== String(senderId)) {
+      mentions.push(String(member.id));
+    }
+  }
+
+  const mentionsEveryone =
+    EVERYONE_PATTERN.test(content) &&
+    canModerate(getRoomRole(room, sender), "member");
+
+  return { mentions: [...new Set(mentions)], mentionsEveryone };
+}
+
+/**
+ * Store and push the notifications for a message just sent by the member
+ * `senderId` (members[].id, so an owner listed under their email is
+ * skipped too).
+ */
+export async function notifyMentions(io, room, message, senderId) {
+  const mentioned = new Set(message.mentions || []);
+  if (!mentioned.size && !message.mentionsEveryone) return;
+
+  const recipients = (room.members || []).filter(
+    (m) =>
+      (mentioned.has(String(m.id)) || message.mentionsEveryone) &&
+      String(m.id) !== String(senderId) &&
+      !m.notificationsMuted
+  );
+  if (!recipients.length) return;
+
+  const base = {
+    type: "mention",
+    room: room._id,
+    message: message._id,
+    roomName: room.name,
+    senderName: senderName(room, message),
+    preview: (message.content || "").slice(0, PREVIEW_LENGTH),
+  };
+
+  const saved = await Notification.insertMany(
+    recipients.map((m) => ({
+      ...base,
+      recipientId: String(m.id),
+      everyone: !mentioned.has(String(m.id)),
+    }))
+  );
+
+  if (!io) return;
+  const roomId = room._id.toString();
+  for (const n of saved) {
+    io.to(personalRoom(n.recipientId)).emit("mention", {
+      roomId,
+      notification: serializeNotification(n),
+    });
+  }
+}
+
+// ---------- inbox ----------
+
+function unreadCount(ids) {
+  return Notification.countDocuments({
+    recipientId: { $in: ids },
+    readAt: null,
+  });
+}
+
+/**
+ * Newest first. opts: { unread?, roomId?, before?, limit? }, `before` being
+ * the id of the last notification of the previous page.
+ * → { ok, notifications, unreadCount, hasMore } | { ok: false, error }
+ */
+export async function listNotifications(identity, opts = {}) {
+  const ids = recipientIdsFor(identity);
+  if (!ids.length) return fail("NOT_AUTHENTICATED");
+
+  const limit = Math.min(
+    Math.max(parseInt(opts.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const filter = { recipientId: { $in: ids } };
+  if (opts.unread === true || opts.unread === "true") filter.readAt = null;
+
+  if (opts.roomId) {
+    if (!mongoose.isValidObjectId(opts.roomId)) return fail("INVALID_ROOM");
+    filter.room = opts.roomId;
+  }
+
+  if (opts.before) {
+    if (!mongoose.isValidObjectId(opts.before)) return fail("INVALID_CURSOR");
+    filter._id = { $lt: opts.before };
+  }
+
+  const rows = await Notification.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  return {
+    ok: true,
+    notifications: rows.slice(0, limit).map(serializeNotification),
+    unreadCount: await unreadCount(ids),
+    hasMore: rows.length > limit,
+  };
+}
+
+/**
+ * Mark as read: the given notification ids, everything from one room, or
+ * (neither) the whole inbox. The caller's other tabs get
+ * "notifications_read".
+ * target: { ids?, roomId? } → { ok, updated, unreadCount }
+ */
+export async function markNotificationsRead(io, identity, target = {}) {
+  const ids = recipientIdsFor(identity);
+  if (!ids.length) return fail("NOT_AUTHENTICATED");
+
+  const filter = { recipientId: { $in: ids }, readAt: null };
+  const scope = {};
+
+  if (target.ids !== undefined) {
+    const list = Array.isArray(target.ids) ? target.ids.map(String) : [];
+    if (!list.length || !list.every((id) => mongoose.isValidObjectId(id))) {
+      return fail("INVALID_NOTIFICATION");
+    }
+    filter._id = { $in: list };
+    scope.ids = list;
+  } else if (target.roomId) {
+    if (!mongoose.isValidObjectId(target.roomId)) return fail("INVALID_ROOM");
+    filter.room = target.roomId;
+    scope.roomId = String(target.roomId);
+  } else {
+    scope.all = true;
+  }
+
+  const res = await Notification.updateMany(filter, { readAt: new Date() });
+  const unread = await unreadCount(ids);
+
+  if (io && res.modifiedCount) {
+    io.to(personalRoomsFor(identity)).emit("notifications_read", {
+      ...scope,
+      unreadCount: unread,
+    });
+  }
+
+  return { ok: true, updated: res.modifiedCount, unreadCount: unread };
+}
+
+// ---------- preferences ----------
+
+/**
+ * Mute / unmute mention notifications from a room, for the caller only.
+ * `room` is a Room document.
+ */
+export async function setRoomNotificationsMuted(room, identity, muted) {
+  if (typeof muted !== "boolean") return fail("INVALID_MUTED");
+
+  const member = findRoomMember(room, identity);
+  if (!member) return fail("NOT_A_MEMBER");
+
+  await Room.updateOne(
+    { _id: room._id },
+    { $set: { "members.$[m].notificationsMuted": muted } },
+    { arrayFilters: [{ "m.id": member.id }] }
+  );
+  member.notificationsMuted = muted;
+
+  return { ok: true, roomId: room._id.toString(), muted };
+}
@@ -0,0 +1,248 @@
+// src/services/presence.js
+
+/**
+ * Who is in each room right now, per user rather than per socket (one user
+ * with three tabs is one person). Kept in process memory, like the call
+ * sessions in server.js.
+ *
+ *   status    "online" | "idle" | "away" (the best of the user's tabs;
+ *             clients report idle / away with the presence_status event)
+ *   lastSeen  last time any of the user's tabs was active
+ *
+ * Events to the socket.io room:
+ *   presence_joined  { roomId, user }            first tab joined
+ *   presence_left    { roomId, memberId, lastSeen }
+ *   presence_updated { roomId, user }            status changed
+ *   active_users_update { roomId, count }        (older clients)
+ *
+ * When a user's last tab disconnects they stay listed for a grace period
+ * (PRESENCE_GRACE_SECONDS, default 15), so a page reload doesn't show up
+ * as "left" and "joined" again.
+ */
+
+export const PRESENCE_STATUSES = ["online", "idle", "away"];
+
+const STATUS_RANK = { online: 2, idle: 1, away: 0 };
+
+const graceMs = () => {
+  const n = Number(process.env.PRESENCE_GRACE_SECONDS);
+  return (Number.isFinite(n) && n >= 0 ? n : 15) * 1000;
+};
+
+// roomKey → Map(userKey → entry)
+const rooms = new Map();
+// socket.id → Set(roomKey)
+const socketRooms = new Map();
+
+const userKeyFor = (identity) =>
+  identity.isGuest ? `guest:${identity.guestId}` : `user:${identity.userId}`;
+
+function bestStatus(entry) {
+  let best = "away";
+  for (const status of entry.sockets.values()) {
+    if (STATUS_RANK[status] > STATUS_RANK[best]) best = status;
+  }
+  return best;
+}
+
+function userView(entry) {
+  return {
+    memberId: entry.memberId,
+    name: entry.name,
+    isGuest: entry.isGuest,
+    status: entry.sockets.size ? bestStatus(entry) : "away",
+    lastSeen: entry.lastSeen,
+    connections: entry.sockets.size,
+  };
+}
+
+function emitCount(io, roomKey) {
+  io.to(roomKey).emit("active_users_update", {
+    roomId: roomKey,
+    count: rooms.get(roomKey)?.size || 0,
+  });
+}
+
+function findEntry(roomKey, socketId) {
+  for (const entry of rooms.get(roomKey)?.values() || []) {
+    if (entry.sockets.has(socketId)) return entry;
+  }
+  return null;
+}
+
+function removeEntry(io, roomKey, entry, onLeft) {
+  const users = rooms.get(roomKey);
+  if (!users || users.get(entry.userKey) !== entry) return;
+
+  users.delete(entry.userKey);
+  if (!users.size) rooms.delete(roomKey);
+
+  io.to(roomKey).emit("presence_left", {
+    roomId: roomKey,
+    memberId: entry.memberId,
+    lastSeen: entry.lastSeen,
+  });
+  emitCount(io, roomKey);
+  onLeft?.(entry, roomKey);
+}
+
+/**
+ * A socket entered the room. member: { id, name } from room.members.
+ * → true when the user wasn't present yet (not a reconnect within the
+ *   grace period), i.e. worth a "joined" message
+ */
+export function trackJoin(io, roomKey, socket, member) {
+  const key = String(roomKey);
+  if (!rooms.has(key)) rooms.set(key, new Map());
+  const users = rooms.get(key);
+
+  const userKey = userKeyFor(socket.data);
+  let entry = users.get(userKey);
+  const isNew = !entry;
+
+  if (!entry) {
+    entry = {
+      userKey,
+      memberId: String(member?.id ?? userKey),
+      name: member?.name || "Someone",
+      isGuest: !!socket.data.isGuest,
+      sockets: new Map(),
+      lastSeen: new Date(),
+      leaveTimer: null,
+    };
+    users.set(userKey, entry);
+  }
+
+  clearTimeout(entry.leaveTimer);
+  entry.leaveTimer = null;
+
+  const before = userView(entry).status;
+  entry.sockets.set(socket.id, "online");
+  entry.lastSeen = new Date();
+
+  if (!socketRooms.has(socket.id)) socketRooms.set(socket.id, new Set());
+  socketRooms.get(socket.id).add(key);
+
+  if (isNew) {
+    io.to(key).emit("presence_joined", { roomId: key, user: userView(entry) });
+  } else if (before !== "online") {
+    io.to(key).emit("presence_updated", { roomId: key, user: userView(entry) });
+  }
+  emitCount(io, key);
+
+  return isNew;
+}
+
+/**
+ * A socket left the room (or disconnected). The user stays until their last
+ * tab is gone; `grace` keeps them listed a little longer.
+ * `onLeft(entry, roomKey)` runs once they're actually gone.
+ */
+export function trackLeave(
+  io,
+  roomKey,
+  socketId,
+  { grace = false, onLeft } = {}
+) {
+  const key = String(roomKey);
+  socketRooms.get(socketId)?.delete(key);
+
+  const entry = findEntry(key, socketId);
+  if (!entry) return;
+
+  entry.sockets.delete(socketId);
+  entry.lastSeen = new Date();
+  if (entry.sockets.size) {
+    io.to(key).emit("presence_updated", { roomId: key, user: userView(entry) });
+    return;
+  }
+
+  if (!grace) return removeEntry(io, key, entry, onLeft);
+
+  clearTimeout(entry.leaveTimer);
+  entry.leaveTimer = setTimeout(
+    () => removeEntry(io, key, entry, onLeft),
+    graceMs()
+  );
+  entry.leaveTimer.unref?.();
+}
+
+/**
+ * Every room the socket was in, with the grace period.
+ */
+export function trackDisconnect(io, socketId, { onLeft } = {}) {
+  for (const key of socketRooms.get(socketId) || []) {
+    trackLeave(io, key, socketId, { grace: true, onLeft });
+  }
+  socketRooms.delete(socketId);
+}
+
+/**
+ * Status reported by one tab, applied in every room it's in.
+ * → false for an unknown status
+ */
+export function setSocketStatus(io, socketId, status) {
+  if (!PRESENCE_STATUSES.includes(status)) return false;
+
+  for (const key of socketRooms.get(socketId) || []) {
+    const entry = findEntry(key, socketId);
+    if (!entry) continue;
+
+    const before = userView(entry).status;
+    entry.sockets.set(socketId, status);
+    if (status === "online") entry.lastSeen = new Date();
+
+    const user = userView(entry);
+    if (user.status !== before) {
+      io.to(key).emit("presence_updated", { roomId: key, user });
+    }
+  }
+  return true;
+}
+
+/**
+ * Activity (a message, typing…) counts as being online.
+ */
+export function touchPresence(io, roomKey, socketId) {
+  const entry = findEntry(String(roomKey), socketId);
+  if (!entry) return;
+
+  entry.lastSeen = new Date();
+  if (entry.sockets.get(socketId) !== "online") {
+    setSocketStatus(io, socketId, "online");
+  }
+}
+
+/**
+ * Everyone present, online first.
+ */
+export function roomPresence(roomKey) {
+  return [...(rooms.get(String(roomKey))?.values() || [])]
+    .map(userView)
+    .sort(
+      (a, b) =>
+        STATUS_RANK[b.status] - STATUS_RANK[a.status] ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Drop a member's tabs from the room's presence (kicked / banned).
+ */
+export function forgetMember(io, roomKey, socketIds) {
+  for (const id of socketIds) trackLeave(io, roomKey, id);
+}
+
+/**
+ * The room is gone: drop its presence without announcing anything.
+ */
+export function forgetRoom(roomKey) {
+  const key = String(roomKey);
+  for (const entry of rooms.get(key)?.values() || []) {
+    clearTimeout(entry.leaveTimer);
+    for (const socketId of entry.sockets.keys()) {
+      socketRooms.get(socketId)?.delete(key);
+    }
+  }
+  rooms.delete(key);
+}
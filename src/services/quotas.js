@@ -0,0 +1,296 @@
+// src/services/quotas.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Room from "../models/Room.js";
+import UsageCounter from "../models/UsageCounter.js";
+
+/**
+ * Plan-based quotas. Every limit check in the app goes through here:
+ *
+ *   roomsOwned        → createRoom (services/roomService.js), counted in
+ *                       user.ownedRoomCount
+ *   membersPerRoom    → admissionBlocked (services/roomSettings.js), using
+ *                       the room OWNER's plan
+ *   maxUploadBytes    → POST /api/upload (size of one file)
+ *   uploadBytesPerDay → POST /api/upload
+ *   aiRequestsPerDay  → POST /api/chat
+ *
+ * Limits come from PLANS[user.plan], with per-user admin overrides in
+ * user.quotaOverrides. Guests get the "guest" tier, counted per guest id
+ * and also per client IP (GUEST_IP_FACTOR × the tier), so minting new guest
+ * ids doesn't reset the daily limits.
+ * Daily counters reset at UTC midnight (UsageCounter).
+ */
+
+const MB = 1024 * 1024;
+
+export const PLANS = {
+  guest: {
+    roomsOwned: 0,
+    membersPerRoom: 0,
+    maxUploadBytes: 10 * MB,
+    uploadBytesPerDay: 20 * MB,
+    aiRequestsPerDay: 20,
+  },
+  free: {
+    roomsOwned: 5,
+    membersPerRoom: 50,
+    maxUploadBytes: 25 * MB,
+    uploadBytesPerDay: 200 * MB,
+    aiRequestsPerDay: 100,
+  },
+  pro: {
+    roomsOwned: 50,
+    membersPerRoom: 500,
+    maxUploadBytes: 100 * MB,
+    uploadBytesPerDay: 5 * 1024 * MB,
+    aiRequestsPerDay: 2000,
+  },
+};
+
+// daily metric → UsageCounter field
+const DAILY = {
+  uploadBytesPerDay: "uploadBytes",
+  aiRequestsPerDay: "aiRequests",
+};
+
+// guests sharing one address (NAT, offices) share this many guest tiers
+const GUEST_IP_FACTOR = 3;
+
+const COUNTER_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+function nextResetAt(now = new Date()) {
+  const d = new Date(now);
+  d.setUTCHours(24, 0, 0, 0);
+  return d;
+}
+
+const subjectFor = (identity) =>
+  identity.isGuest ? `guest:${identity.guestId}` : `user:${identity.userId}`;
+
+// the counters a daily metric is charged to: [{ subject, factor }]
+function subjectsFor(identity, ip) {
+  const subjects = [{ subject: subjectFor(identity), factor: 1 }];
+  if (identity.isGuest && ip) {
+    subjects.push({ subject: `guest-ip:${ip}`, factor: GUEST_IP_FACTOR });
+  }
+  return subjects;
+}
+
+async function loadPlanUser(identity) {
+  if (!identity || identity.isGuest) return null;
+  if (!mongoose.isValidObjectId(identity.userId)) return null;
+  return User.findById(identity.userId)
+    .select("plan quotaOverrides email ownedRoomCount")
+    .lean();
+}
+
+/**
+ * Effective limits for a User document (or null → guest tier).
+ */
+export function limitsFor(user) {
+  if (!user) return { plan: "guest", limits: { ...PLANS.guest } };
+
+  const plan = PLANS[user.plan] ? user.plan : "free";
+  const limits = { ...PLANS[plan] };
+  for (const [key, value] of Object.entries(user.quotaOverrides || {})) {
+    if (key in limits && typeof value === "number" && value >= 0) {
+      limits[key] = value;
+    }
+  }
+  return { plan, limits };
+}
+
+export async function limitsForIdentity(identity) {
+  return limitsFor(await loadPlanUser(identity));
+}
+
+/**
+ * Owner's member cap for a room (room.ownerId is the owner's email).
+ */
+export async function memberLimitForRoom(room) {
+  const owner = await User.findOne({ email: room.ownerId })
+    .select("plan quotaOverrides")
+    .lean();
+  // ownerless / legacy rooms fall back to the free tier
+  return limitsFor(owner || { plan: "free" }).limits.membersPerRoom;
+}
+
+/**
+ * Take one of the user's roomsOwned slots before creating a room: a
+ * conditional $inc on user.ownedRoomCount, so concurrent creates can't
+ * pass the cap together. Hand it back with releaseRoomQuota() when the
+ * room isn't created.
+ * → { ok, limit, used } | { ok: false, error: "LIMIT_REACHED", limit }
+ */
+export async function reserveRoomQuota(identity) {
+  const user = await loadPlanUser(identity);
+  const { limits } = limitsFor(user);
+  const limit = limits.roomsOwned;
+  if (!user) return { ok: false, error: "LIMIT_REACHED", limit };
+
+  // accounts from before the counter start from their current rooms
+  if (user.ownedRoomCount === undefined) {
+    const owned = await Room.countDocuments({ ownerId: user.email });
+    await User.updateOne(
+      { _id: user._id, ownedRoomCount: { $exists: false } },
+      { $set: { ownedRoomCount: owned } }
+    );
+  }
+
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, ownedRoomCount: { $lt: limit } },
+    { $inc: { ownedRoomCount: 1 } },
+    { new: true }
+  )
+    .select("ownedRoomCount")
+    .lean();
+  if (!claimed) return { ok: false, error: "LIMIT_REACHED", limit };
+
+  return { ok: true, limit, used: claimed.ownedRoomCount };
+}
+
+/**
+ * Keep ownedRoomCount in step: -1 when a room is deleted or handed away
+ * (and for an unused reservation), +1 when one is handed to the user.
+ * `ownerEmail` is room.ownerId.
+ */
+export async function adjustOwnedRooms(ownerEmail, delta) {
+  if (!ownerEmail) return;
+  await User.updateOne(
+    {
+      email: ownerEmail,
+      ownedRoomCount: delta < 0 ? { $gt: 0 } : { $exists: true },
+    },
+    { $inc: { ownedRoomCount: delta } }
+  );
+}
+
+export function releaseRoomQuota(identity) {
+  return adjustOwnedRooms(identity.userEmail, -1);
+}
+
+// count `amount` on one subject's counter, rolled back when over `limit`
+// → the new total
+async function reserve(subject, field, amount, limit, now) {
+  const key = { subject, day: today(now) };
+  const counter = await UsageCounter.findOneAndUpdate(
+    key,
+    {
+      $inc: { [field]: amount },
+      $setOnInsert: { expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  const used = counter[field];
+  if (used > limit) {
+    await UsageCounter.updateOne(key, { $inc: { [field]: -amount } });
+  }
+  return used;
+}
+
+/**
+ * Reserve `amount` of a daily metric ("uploadBytesPerDay" |
+ * "aiRequestsPerDay"). Counted first and rolled back when it doesn't fit,
+ * so concurrent requests can't overshoot. `ip` (the client's) adds the
+ * per-IP counter for guests.
+ * → { ok, limit, used, remaining, resetsAt } | { ok: false, error: "QUOTA_EXCEEDED", ... }
+ */
+export async function consumeDailyQuota(
+  identity,
+  metric,
+  amount = 1,
+  { ip } = {}
+) {
+  const field = DAILY[metric];
+  if (!field) throw new Error(`Unknown daily quota "${metric}"`);
+
+  const { limits } = await limitsForIdentity(identity);
+  const limit = limits[metric];
+  const now = new Date();
+  const resetsAt = nextResetAt(now);
+
+  const exceeded = (used) => ({
+    ok: false,
+    error: "QUOTA_EXCEEDED",
+    metric,
+    limit,
+    used,
+    resetsAt,
+  });
+
+  const [own, ...shared] = subjectsFor(identity, ip);
+  const used = await reserve(own.subject, field, amount, limit, now);
+  if (used > limit) return exceeded(used - amount);
+
+  for (const { subject, factor } of shared) {
+    const cap = limit * factor;
+    if ((await reserve(subject, field, amount, cap, now)) > cap) {
+      await UsageCounter.updateOne(
+        { subject: own.subject, day: today(now) },
+        { $inc: { [field]: -amount } }
+      );
+      return exceeded(used - amount);
+    }
+  }
+
+  return { ok: true, limit, used, remaining: limit - used, resetsAt };
+}
+
+/**
+ * Give back a reservation whose work failed (e.g. the upload errored).
+ */
+export async function refundDailyQuota(
+  identity,
+  metric,
+  amount = 1,
+  { ip } = {}
+) {
+  const field = DAILY[metric];
+  await UsageCounter.updateMany(
+    {
+      subject: { $in: subjectsFor(identity, ip).map((s) => s.subject) },
+      day: today(),
+    },
+    { $inc: { [field]: -amount } }
+  );
+}
+
+/**
+ * Everything GET /api/me/usage shows.
+ */
+export async function usageSummary(identity) {
+  const user = await loadPlanUser(identity);
+  const { plan, limits } = limitsFor(user);
+
+  const counter = await UsageCounter.findOne({
+    subject: subjectFor(identity),
+    day: today(),
+  }).lean();
+
+  const roomsOwned = identity.isGuest
+    ? 0
+    : await Room.countDocuments({ ownerId: identity.userEmail });
+
+  const used = {
+    roomsOwned,
+    uploadBytesPerDay: counter?.uploadBytes || 0,
+    aiRequestsPerDay: counter?.aiRequests || 0,
+  };
+
+  const remaining = {};
+  for (const key of Object.keys(used)) {
+    remaining[key] = Math.max(0, limits[key] - used[key]);
+  }
+
+  return {
+    plan,
+    limits,
+    used,
+    remaining,
+    dailyResetAt: nextResetAt(),
+  };
+}
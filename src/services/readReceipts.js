@@ -0,0 +1,167 @@
+// src/services/readReceipts.js
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import ReadState from "../models/ReadState.js";
+import { findRoomMember, isRoomMember } from "../utils/roomAccess.js";
+import { isDuplicateKey } from "./roomCodes.js";
+import { personalRoomsFor } from "./roomBroadcast.js";
+import { serializeRoom } from "./roomSerializer.js";
+import { serializeMessage } from "./messageSerializer.js";
+
+/**
+ * Read positions and unread counts.
+ *
+ * Members report the newest message they've seen with the mark_read socket
+ * event; the position is stored per (room, member id), guests included, and
+ * only moves forward. Everyone in the room (and the reader's other tabs)
+ * gets:
+ *
+ *   read_receipt { roomId, memberId, name, messageId, readAt }
+ *
+ * Room list entries (room_list_update, room_added / room_updated,
+ * GET /api/rooms/mine, /for-guest) carry the viewer's `unreadCount` and the
+ * room's `lastMessage`. Both follow the main timeline: thread replies,
+ * system messages and the viewer's own messages don't count as unread.
+ * Counts stop at MAX_UNREAD_COUNT (clients show "99+").
+ */
+
+export const MAX_UNREAD_COUNT = 100;
+
+const fail = (error) => ({ ok: false, error });
+
+// members[].id when the viewer is listed, their own id otherwise (owners of
+// older rooms)
+function readerIdFor(room, identity) {
+  const member = findRoomMember(room, identity);
+  if (member) return String(member.id);
+  return identity.isGuest ? identity.guestId : String(identity.userId);
+}
+
+function receiptView(room, state) {
+  const member = (room.members || []).find(
+    (m) => String(m.id) === state.memberId
+  );
+  return {
+    roomId: room._id.toString(),
+    memberId: state.memberId,
+    name: member?.name || null,
+    messageId: state.lastReadMessage ? state.lastReadMessage.toString() : null,
+    readAt: state.lastReadAt,
+  };
+}
+
+function broadcastReceipt(io, room, identity, receipt) {
+  if (!io) return;
+  io.to([receipt.roomId, ...personalRoomsFor(identity)]).emit(
+    "read_receipt",
+    receipt
+  );
+}
+
+async function advanceReadState(io, room, identity, message) {
+  const memberId = readerIdFor(room, identity);
+  let state;
+  try {
+    state = await ReadState.findOneAndUpdate(
+      {
+        room: room._id,
+        memberId,
+        lastReadAt: { $lt: message.createdAt },
+      },
+      {
+        $set: {
+          lastReadMessage: message._id,
+          lastReadAt: message.createdAt,
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    if (!isDuplicateKey(err)) throw err;
+    // already at (or past) this message
+    state = await ReadState.findOne({ room: room._id, memberId }).lean();
+    return { ok: true, advanced: false, receipt: receiptView(room, state) };
+  }
+
+  const receipt = receiptView(room, state);
+  broadcastReceipt(io, room, identity, receipt);
+  return { ok: true, advanced: true, receipt };
+}
+
+/**
+ * mark_read: the member has seen everything up to `messageId`.
+ * → { ok, advanced, receipt } | { ok: false, error }
+ */
+export async function markRoomRead(io, room, identity, messageId) {
+  if (!isRoomMember(room, identity)) return fail("NOT_A_MEMBER");
+  if (!mongoose.isValidObjectId(messageId)) return fail("MESSAGE_NOT_FOUND");
+
+  const message = await Message.findOne({ _id: messageId, room: room._id })
+    .select("createdAt")
+    .lean();
+  if (!message) return fail("MESSAGE_NOT_FOUND");
+
+  return advanceReadState(io, room, identity, message);
+}
+
+/**
+ * Sending a message means having read up to it.
+ */
+export function readOwnMessage(io, room, identity, message) {
+  return advanceReadState(io, room, identity, message);
+}
+
+/**
+ * Everyone's position in the room, for members opening it.
+ */
+export async function roomReadReceipts(room) {
+  const states = await ReadState.find({ room: room._id }).lean();
+  return states.map((state) => receiptView(room, state));
+}
+
+// ---------- room list ----------
+
+function lastMessageOf(room) {
+  return Message.findOne({ room: room._id, threadRoot: null })
+    .sort({ createdAt: -1, _id: -1 })
+    .lean();
+}
+
+async function unreadCountFor(room, viewer) {
+  const state = await ReadState.findOne({
+    room: room._id,
+    memberId: readerIdFor(room, viewer),
+  }).lean();
+
+  const filter = {
+    room: room._id,
+    threadRoot: null,
+    role: { $ne: "system" },
+  };
+  if (state) filter.createdAt = { $gt: state.lastReadAt };
+  if (viewer.isGuest) filter.senderGuestId = { $ne: viewer.guestId };
+  else filter.senderUser = { $ne: viewer.userId };
+
+  return Message.countDocuments(filter, { limit: MAX_UNREAD_COUNT });
+}
+
+/**
+ * A room as shown in `viewer`'s room list: serializeRoom() plus
+ * unreadCount and lastMessage.
+ */
+export async function roomListEntry(room, viewer) {
+  const [last, unreadCount] = await Promise.all([
+    lastMessageOf(room),
+    viewer ? unreadCountFor(room, viewer) : 0,
+  ]);
+
+  return {
+    ...serializeRoom(room, viewer),
+    unreadCount,
+    lastMessage: last ? serializeMessage(last) : null,
+  };
+}
+
+export function roomListFor(rooms, viewer) {
+  return Promise.all(rooms.map((room) => roomListEntry(room, viewer)));
+}
@@ -0,0 +1,328 @@
+// src/services/roomAdmission.js
+import bcrypt from "bcryptjs";
+import Room from "../models/Room.js";
+import {
+  canManageRoom,
+  canModerate,
+  getRoomRole,
+  isRoomMember,
+  isBannedFromRoom,
+} from "../utils/roomAccess.js";
+import { createLimiter, createMemoryStore } from "../middleware/rateLimit.js";
+import { socketsForMember } from "./roomModeration.js";
+import { emitRoomUpdated, emitMemberAdded } from "./roomBroadcast.js";
+import { serializeRoom } from "./roomSerializer.js";
+import { admissionBlocked } from "./roomSettings.js";
+
+/**
+ * Who gets into a room, shared by the code joins (join_room_authenticated,
+ * join_room_guest, POST /api/rooms/join), the room's default invite link and
+ * the join-request decisions.
+ *
+ * room.privacy:
+ *   "open"     → added to members straight away
+ *   "password" → needs the room password (bcrypt hash, select: false)
+ *   "approval" → queued in room.joinRequests; owner / co-owners /
+ *                moderators get a live "join_request" and accept or reject,
+ *                and the requester's sockets get "join_request_decided"
+ *
+ * Results are { ok: true, ... } or { ok: false, error: "CODE" }.
+ */
+
+export const PRIVACY_MODES = ["open", "password", "approval"];
+
+const MIN_PASSWORD_LENGTH = 4;
+// wrong passwords per window, per member and per client IP (any room), so
+// new guest ids don't buy more guesses
+const PASSWORD_MAX_ATTEMPTS = 5;
+const PASSWORD_MAX_ATTEMPTS_PER_IP = 20;
+const PASSWORD_WINDOW_MS = 15 * 60 * 1000;
+const passwordAttempts = createMemoryStore();
+
+/**
+ * Room code lookups per client IP (verify_room_code, the code joins and
+ * POST /api/rooms/join), so codes can't be enumerated. Routes use
+ * rateLimit(ROOM_CODE_LIMIT), sockets checkRoomCodeLimit(ip); both share
+ * one counter.
+ */
+export const ROOM_CODE_LIMIT = {
+  name: "room-code-ip",
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+};
+export const checkRoomCodeLimit = createLimiter(ROOM_CODE_LIMIT);
+
+const fail = (error) => ({ ok: false, error });
+
+const memberIdFor = (identity) =>
+  identity.isGuest ? identity.guestId : String(identity.userId);
+
+/**
+ * Validate { privacy, password } → { ok, fields } (Room fields to set).
+ * Switching to "password" without a password keeps the current one, so
+ * `hasPassword` says whether the room already has one.
+ */
+export async function resolvePrivacy(input = {}, { hasPassword = false } = {}) {
+  const privacy = input.privacy || "open";
+  if (!PRIVACY_MODES.includes(privacy)) return fail("INVALID_PRIVACY");
+
+  const fields = { privacy };
+
+  if (privacy === "password") {
+    if (input.password) {
+      const password = String(input.password);
+      if (password.length < MIN_PASSWORD_LENGTH || password.length > 128) {
+        return fail("INVALID_PASSWORD");
+      }
+      fields.passwordHash = await bcrypt.hash(password, 10);
+    } else if (!hasPassword) {
+      return fail("PASSWORD_REQUIRED");
+    }
+  }
+
+  return { ok: true, fields };
+}
+
+/**
+ * Add the identity to room.members (room is a Room document).
+ * Guests always become "guest". → the new member
+ */
+export async function addMember(room, identity, name, role = "member") {
+  const member = {
+    id: memberIdFor(identity),
+    name: name || (identity.isGuest ? "Guest" : "Member"),
+    role: identity.isGuest ? "guest" : role,
+  };
+  room.members.push(member);
+  await room.save();
+  return member;
+}
+
+/**
+ * Sockets that should hear about join requests: owner, co-owners and
+ * moderators of the room.
+ */
+async function managerSockets(io, room) {
+  if (!io) return [];
+  const sockets = await io.fetchSockets();
+  return sockets.filter((s) =>
+    canModerate(getRoomRole(room, s.data), "member")
+  );
+}
+
+/**
+ * Only wrong passwords count; once a member or an IP is over its limit
+ * even the right password waits for the window to end.
+ */
+async function checkPassword(room, identity, password, ip) {
+  if (!password) return "PASSWORD_REQUIRED";
+
+  const limits = [
+    [`${room._id}:${memberIdFor(identity)}`, PASSWORD_MAX_ATTEMPTS],
+  ];
+  if (ip) limits.push([`ip:${ip}`, PASSWORD_MAX_ATTEMPTS_PER_IP]);
+
+  for (const [key, max] of limits) {
+    const hits = await passwordAttempts.get(key);
+    if (hits && hits.count >= max) return "TOO_MANY_ATTEMPTS";
+  }
+
+  const withHash = await Room.findById(room._id).select("+passwordHash").lean();
+  const ok =
+    !!withHash?.passwordHash &&
+    (await bcrypt.compare(String(password), withHash.passwordHash));
+
+  if (!ok) {
+    for (const [key] of limits) {
+      await passwordAttempts.increment(key, PASSWORD_WINDOW_MS);
+    }
+    return "WRONG_PASSWORD";
+  }
+
+  for (const [key] of limits) await passwordAttempts.reset(key);
+  return null;
+}
+
+/**
+ * What someone holding the room code may see before joining: no members,
+ * owner or invite ids.
+ */
+export function roomPreview(room) {
+  const privacy = room.privacy || "open";
+  return {
+    id: room._id.toString(),
+    name: room.name,
+    privacy,
+    needsPassword: privacy === "password",
+    allowAI: !!room.allowAI,
+    memberCount: (room.members || []).length,
+    archived: !!room.archivedAt,
+  };
+}
+
+/**
+ * Apply the room's privacy mode to a join attempt.
+ * opts: { name, password, ip } (ip: the client's, for password attempts)
+ * → { ok: true, status: "joined", alreadyMember, member? }
+ *   { ok: true, status: "pending" }              (approval mode)
+ *   { ok: false, error }
+ */
+export async function admitToRoom(io, room, identity, opts = {}) {
+  if (!identity || (identity.isGuest && !identity.guestId)) {
+    return fail("NOT_AUTHENTICATED");
+  }
+  if (isBannedFromRoom(room, identity)) return fail("BANNED");
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+
+  if (isRoomMember(room, identity)) {
+    return { ok: true, status: "joined", alreadyMember: true };
+  }
+
+  const blocked = await admissionBlocked(room, identity);
+  if (blocked) return fail(blocked);
+
+  const name = opts.name ? String(opts.name).trim().slice(0, 64) : null;
+  const privacy = room.privacy || "open";
+
+  if (privacy === "password") {
+    const error = await checkPassword(room, identity, opts.password, opts.ip);
+    if (error) return fail(error);
+  }
+
+  if (privacy === "approval") {
+    const request = {
+      id: memberIdFor(identity),
+      name: name || (identity.isGuest ? "Guest" : "Member"),
+      isGuest: !!identity.isGuest,
+      requestedAt: new Date(),
+    };
+
+    const res = await Room.updateOne(
+      { _id: room._id, "joinRequests.id": { $ne: request.id } },
+      { $push: { joinRequests: request } }
+    );
+
+    // only announce new requests, not repeated knocks
+    if (res.modifiedCount) {
+      const roomId = room._id.toString();
+      for (const s of await managerSockets(io, room)) {
+        s.emit("join_request", { roomId, roomName: room.name, request });
+      }
+    }
+
+    return { ok: true, status: "pending" };
+  }
+
+  const member = await addMember(room, identity, name);
+  return { ok: true, status: "joined", alreadyMember: false, member };
+}
+
+// ---------- managers ----------
+
+/**
+ * Owner / co-owners. input: { privacy, password? }
+ * Leaving approval mode keeps the queue; moderators can still decide it.
+ */
+export async function setRoomPrivacy(io, room, actor, input = {}) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const current = await Room.findById(room._id).select("+passwordHash").lean();
+  const resolved = await resolvePrivacy(input, {
+    hasPassword: !!current?.passwordHash,
+  });
+  if (!resolved.ok) return resolved;
+
+  room.set(resolved.fields);
+  await room.save();
+
+  if (io) {
+    const roomKey = room._id.toString();
+    io.to(roomKey).emit("room_privacy_changed", {
+      roomId: roomKey,
+      privacy: room.privacy,
+    });
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, privacy: room.privacy };
+}
+
+export async function listJoinRequests(room, actor) {
+  if (!canModerate(getRoomRole(room, actor), "member")) {
+    return fail("NOT_ALLOWED");
+  }
+
+  const withQueue = await Room.findById(room._id)
+    .select("+joinRequests")
+    .lean();
+  return { ok: true, requests: withQueue?.joinRequests || [] };
+}
+
+/**
+ * Accept or reject a pending request (owner / co-owners / moderators).
+ */
+export async function decideJoinRequest(io, room, actor, requestId, accept) {
+  if (!canModerate(getRoomRole(room, actor), "member")) {
+    return fail("NOT_ALLOWED");
+  }
+
+  // a full room (or guests turned off) leaves the request queued
+  if (accept) {
+    const isGuest = String(requestId).startsWith("guest_");
+    const blocked = await admissionBlocked(room, { isGuest });
+    if (blocked) return fail(blocked);
+  }
+
+  // pull it atomically so two moderators can't both decide
+  const before = await Room.findOneAndUpdate(
+    { _id: room._id, "joinRequests.id": String(requestId) },
+    { $pull: { joinRequests: { id: String(requestId) } } },
+    {
+      projection: { joinRequests: { $elemMatch: { id: String(requestId) } } },
+    }
+  ).lean();
+  const request = before?.joinRequests?.[0];
+  if (!request) return fail("REQUEST_NOT_FOUND");
+
+  const identity = request.isGuest
+    ? { isGuest: true, guestId: request.id }
+    : { isGuest: false, userId: request.id };
+
+  const admitted = accept && !isBannedFromRoom(room, identity);
+  if (admitted && !isRoomMember(room, identity)) {
+    await addMember(room, identity, request.name);
+  }
+
+  if (io) {
+    const roomKey = room._id.toString();
+
+    for (const s of await socketsForMember(io, request.id)) {
+      s.emit("join_request_decided", {
+        roomId: roomKey,
+        accepted: admitted,
+        room: admitted ? serializeRoom(room, identity) : undefined,
+      });
+    }
+
+    for (const s of await managerSockets(io, room)) {
+      s.emit("join_request_resolved", {
+        roomId: roomKey,
+        requestId: request.id,
+        accepted: admitted,
+      });
+    }
+
+    if (admitted) {
+      io.to(roomKey).emit("system_message", {
+        content: `${request.name} joined`,
+        timestamp: Date.now(),
+        roomId: roomKey,
+        type: "join",
+        displayName: request.name,
+      });
+      await emitMemberAdded(io, room, request.id);
+    }
+  }
+
+  return { ok: true, accepted: admitted, request };
+}
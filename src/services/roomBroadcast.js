@@ -0,0 +1,137 @@
+// src/services/roomBroadcast.js
+import { findRoomsForIdentity } from "./roomService.js";
+import { roomListEntry, roomListFor } from "./readReceipts.js";
+import { serializeMessage } from "./messageSerializer.js";
+
+/**
+ * Room list updates.
+ *
+ * Every socket sits in one personal socket.io room per id it can appear
+ * under in a room ("member:<userId>", "member:<email>", "member:<guestId>"),
+ * see syncPersonalRooms(). Changes go out as deltas, only to the personal
+ * rooms of the room's owner and members:
+ *
+ *   room_added   { room }
+ *   room_updated { room }
+ *   room_removed { roomId, reason }
+ *
+ * each recipient getting the room serialized for itself, with its own
+ * unreadCount (services/readReceipts.js). The full list (room_list_update)
+ * is only sent on connect / register_user and on request_room_list.
+ *
+ * New messages on a room's main timeline go out as
+ *
+ *   room_activity { roomId, lastMessage }
+ *
+ * so clients can bump unread badges without refetching the list.
+ */
+
+export const personalRoom = (memberId) => `member:${memberId}`;
+
+const isPersonalRoom = (key) => key.startsWith("member:");
+
+/**
+ * Personal socket.io rooms for an identity.
+ */
+export function personalRoomsFor(identity) {
+  if (!identity) return [];
+  if (identity.isGuest) {
+    return identity.guestId ? [personalRoom(identity.guestId)] : [];
+  }
+  return [identity.userId && String(identity.userId), identity.userEmail]
+    .filter(Boolean)
+    .map(personalRoom);
+}
+
+/**
+ * Put the socket in the personal rooms of its current identity (and out of
+ * those of a previous one). Call after every identity change.
+ */
+export function syncPersonalRooms(socket) {
+  const wanted = new Set(personalRoomsFor(socket.data));
+  for (const key of socket.rooms) {
+    if (isPersonalRoom(key) && !wanted.has(key)) socket.leave(key);
+  }
+  for (const key of wanted) socket.join(key);
+}
+
+function audienceFor(room) {
+  const ids = new Set(
+    [room.ownerId, ...(room.members || []).map((m) => m.id)]
+      .filter(Boolean)
+      .map(String)
+  );
+  return [...ids].map(personalRoom);
+}
+
+async function emitPerViewer(io, keys, event, room, skip = []) {
+  if (!io || !keys.length) return;
+  try {
+    for (const s of await io.in(keys).fetchSockets()) {
+      if (skip.some((key) => s.rooms.has(key))) continue;
+      s.emit(event, { room: await roomListEntry(room, s.data) });
+    }
+  } catch (err) {
+    console.error(`Error sending ${event}:`, err);
+  }
+}
+
+/**
+ * Full list of the socket's rooms (snapshot).
+ */
+export async function sendRoomList(socket) {
+  try {
+    const rooms = await findRoomsForIdentity(socket.data);
+    socket.emit("room_list_update", await roomListFor(rooms, socket.data));
+  } catch (err) {
+    console.error("Error fetching rooms for socket:", err);
+  }
+}
+
+export function emitRoomAdded(io, room) {
+  return emitPerViewer(io, audienceFor(room), "room_added", room);
+}
+
+/**
+ * `memberId` was just added: room_added for them, room_updated for the rest.
+ */
+export async function emitMemberAdded(io, room, memberId) {
+  const key = personalRoom(String(memberId));
+  await emitPerViewer(io, [key], "room_added", room);
+  await emitPerViewer(io, audienceFor(room), "room_updated", room, [key]);
+}
+
+/**
+ * Anything visible in the list changed (name, members, settings…).
+ */
+export function emitRoomUpdated(io, room) {
+  return emitPerViewer(io, audienceFor(room), "room_updated", room);
+}
+
+/**
+ * The room is gone for `memberIds` (kicked, banned…), or for everyone in it
+ * when they're left out (deleted, expired).
+ */
+export function emitRoomRemoved(io, room, { memberIds, reason } = {}) {
+  if (!io) return;
+  const keys = memberIds
+    ? memberIds.filter(Boolean).map((id) => personalRoom(String(id)))
+    : audienceFor(room);
+  if (!keys.length) return;
+
+  io.to(keys).emit("room_removed", {
+    roomId: room._id.toString(),
+    reason: reason || null,
+  });
+}
+
+/**
+ * A message was posted on the room's main timeline.
+ */
+export function emitRoomActivity(io, room, message) {
+  if (!io || message.threadRoot) return;
+  io.to(audienceFor(room)).emit("room_activity", {
+    roomId: room._id.toString(),
+    lastMessage: serializeMessage(message),
+  });
+}
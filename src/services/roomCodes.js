@@ -0,0 +1,164 @@
+// src/services/roomCodes.js
+import crypto from "crypto";
+import Room from "../models/Room.js";
+import { canManageRoom } from "../utils/roomAccess.js";
+import { emitRoomUpdated } from "./roomBroadcast.js";
+
+/**
+ * Room codes and invite link ids are always generated here, never taken
+ * from the client. Both are unique indexes on Room, so writes that set them
+ * go through withUniqueRetry(): on a duplicate-key error a fresh value is
+ * drawn and the write retried.
+ *
+ * Generated codes are 6 digits. Owners can pick a vanity code instead
+ * (letters, digits and dashes, at least one letter, so it never clashes
+ * with a generated one), stored lowercase and matched case-insensitively.
+ * Rotating a code replaces it and the room's default invite link id with
+ * fresh random ones, which shuts out anyone still holding the old code or
+ * link; members already in the room stay.
+ */
+
+const VANITY_PATTERN = /^[a-z0-9][a-z0-9-]{2,22}[a-z0-9]$/;
+const MAX_ATTEMPTS = 5;
+
+const fail = (error) => ({ ok: false, error });
+
+export const generateRoomCode = () =>
+  crypto.randomInt(100000, 1000000).toString();
+
+export const generateInviteId = (bytes = 6) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+export const isDuplicateKey = (err, field) =>
+  err?.code === 11000 && (!field || !!err.keyPattern?.[field]);
+
+/**
+ * What users type → what is stored. Generated codes are digits, so only
+ * vanity codes change.
+ */
+export const normalizeCode = (code) =>
+  String(code ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Room for a typed code. Codes from before vanity codes may have been
+ * stored with their original case, so the raw value is tried too.
+ */
+export function findRoomByCode(code, { lean = false } = {}) {
+  const raw = String(code ?? "").trim();
+  if (!raw) return Promise.resolve(null);
+
+  const query = Room.findOne({ code: { $in: [raw, normalizeCode(raw)] } });
+  return lean ? query.lean() : query;
+}
+
+/**
+ * → { ok, code } (normalized) | { ok: false, error: "INVALID_CODE" }
+ */
+export function validateVanityCode(code) {
+  const normalized = normalizeCode(code);
+  if (!VANITY_PATTERN.test(normalized) || !/[a-z]/.test(normalized)) {
+    return fail("INVALID_CODE");
+  }
+  return { ok: true, code: normalized };
+}
+
+/**
+ * → { ok, code, available } | { ok: false, error: "INVALID_CODE" }
+ */
+export async function checkCodeAvailability(code) {
+  const valid = validateVanityCode(code);
+  if (!valid.ok) return valid;
+
+  const taken = await findRoomByCode(valid.code, { lean: true });
+  return { ok: true, code: valid.code, available: !taken };
+}
+
+/**
+ * Run `write(value)` with values from `generate()` until one doesn't hit
+ * the unique index on `field` (any unique index when null). Other errors
+ * are rethrown.
+ * → the write's result, or null when every attempt collided
+ */
+export async function withUniqueRetry(field, generate, write) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    try {
+      return await write(generate());
+    } catch (err) {
+      if (!isDuplicateKey(err, field)) throw err;
+    }
+  }
+  return null;
+}
+
+function announceCode(io, room, changedBy) {
+  if (!io) return;
+  const roomKey = room._id.toString();
+  io.to(roomKey).emit("room_code_changed", {
+    roomId: roomKey,
+    code: room.code,
+    inviteLinkId: room.inviteLinkId || null,
+    changedBy,
+  });
+}
+
+/**
+ * Owner / co-owners: replace the code and the default invite link id with
+ * fresh random ones in one write. Extra invites (RoomInvite) keep working.
+ * → { ok, code, inviteLinkId }
+ */
+export async function rotateRoomCode(io, room, actor) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const { code, inviteLinkId, inviteLink } = room;
+  const fresh = () => ({
+    code: generateRoomCode(),
+    inviteLinkId: generateInviteId(),
+  });
+  const saved = await withUniqueRetry(null, fresh, (values) => {
+    room.code = values.code;
+    room.inviteLinkId = values.inviteLinkId;
+    room.inviteLink = values.inviteLinkId;
+    return room.save();
+  });
+  if (!saved) {
+    Object.assign(room, { code, inviteLinkId, inviteLink });
+    return fail("CODE_GENERATION_FAILED");
+  }
+
+  if (io) {
+    announceCode(io, room, actor.userEmail);
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, code: room.code, inviteLinkId: room.inviteLinkId };
+}
+
+/**
+ * Owner / co-owners: switch to a vanity code.
+ */
+export async function setVanityCode(io, room, actor, code) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const valid = validateVanityCode(code);
+  if (!valid.ok) return valid;
+  if (valid.code === room.code) return { ok: true, code: room.code };
+
+  const previous = room.code;
+  room.code = valid.code;
+  try {
+    await room.save();
+  } catch (err) {
+    room.code = previous;
+    if (isDuplicateKey(err, "code")) return fail("CODE_TAKEN");
+    throw err;
+  }
+
+  if (io) {
+    announceCode(io, room, actor.userEmail);
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, code: room.code };
+}
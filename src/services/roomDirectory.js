@@ -0,0 +1,204 @@
+// src/services/roomDirectory.js
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import { canManageRoom } from "../utils/roomAccess.js";
+import { emitRoomUpdated } from "./roomBroadcast.js";
+import { roomSettings } from "./roomSettings.js";
+import { roomPresence } from "./presence.js";
+
+/**
+ * Public room directory. Owners / co-owners list a room with
+ * room.listing ({ isPublic, description, tags, language }); listed,
+ * non-archived rooms show up in GET /api/rooms/public. Joining from there
+ * goes through the normal admission rules (privacy, bans, member cap).
+ *
+ * Sorts: "activity" (last message, default), "online" (users present right
+ * now, from services/presence.js) and "newest".
+ */
+
+export const DIRECTORY_SORTS = ["activity", "online", "newest"];
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const MAX_PAGE_SIZE = 50;
+// "online" can't be sorted in Mongo; rank this many of the most active
+const ONLINE_CANDIDATES = 500;
+
+const fail = (error) => ({ ok: false, error });
+
+const PUBLIC_FIELDS =
+  "name privacy members.id listing settings lastActivityAt createdAt";
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+export function listingView(room) {
+  const listing = room?.listing || {};
+  return {
+    isPublic: !!listing.isPublic,
+    description: listing.description || "",
+    tags: listing.tags || [],
+    language: listing.language || null,
+  };
+}
+
+/**
+ * Validate a partial listing → { ok, fields } | { ok: false, error }
+ */
+export function validateListing(patch = {}) {
+  const fields = {};
+
+  if (patch.isPublic !== undefined) {
+    if (typeof patch.isPublic !== "boolean") return fail("INVALID_LISTING");
+    fields.isPublic = patch.isPublic;
+  }
+
+  if (patch.description !== undefined) {
+    const description = String(patch.description ?? "").trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return fail("INVALID_DESCRIPTION");
+    }
+    fields.description = description;
+  }
+
+  if (patch.tags !== undefined) {
+    if (!Array.isArray(patch.tags) || patch.tags.length > MAX_TAGS) {
+      return fail("INVALID_TAGS");
+    }
+    const tags = [...new Set(patch.tags.map(normalizeTag))];
+    if (!tags.every((t) => TAG_PATTERN.test(t))) return fail("INVALID_TAGS");
+    fields.tags = tags;
+  }
+
+  if (patch.language !== undefined) {
+    if (patch.language === null || patch.language === "") {
+      fields.language = null;
+    } else {
+      const language = String(patch.language).trim().toLowerCase();
+      if (!LANGUAGE_PATTERN.test(language)) return fail("INVALID_LANGUAGE");
+      fields.language = language;
+    }
+  }
+
+  if (!Object.keys(fields).length) return fail("NO_CHANGES");
+  return { ok: true, fields };
+}
+
+/**
+ * Owner and co-owners.
+ */
+export async function updateRoomListing(io, room, actor, patch) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const validated = validateListing(patch);
+  if (!validated.ok) return validated;
+
+  for (const [key, value] of Object.entries(validated.fields)) {
+    room.set(`listing.${key}`, value);
+  }
+  await room.save();
+
+  if (io) await emitRoomUpdated(io, room);
+  return { ok: true, listing: listingView(room) };
+}
+
+/**
+ * A room as shown in the directory: no code, invite link or member list.
+ */
+export function directoryEntry(room) {
+  const id = room._id.toString();
+  return {
+    id,
+    name: room.name,
+    ...listingView(room),
+    privacy: room.privacy || "open",
+    allowGuests: roomSettings(room).allowGuests,
+    memberCount: (room.members || []).length,
+    online: roomPresence(id).length,
+    lastActivityAt: room.lastActivityAt || null,
+    createdAt: room.createdAt,
+  };
+}
+
+/**
+ * query: { q?, tags?, language?, sort?, page?, limit? }
+ * `tags` is a comma-separated string or an array; rooms need all of them.
+ * → { ok, rooms, page, limit, hasMore } | { ok: false, error }
+ */
+export async function listPublicRooms(query = {}) {
+  const sort = query.sort || "activity";
+  if (!DIRECTORY_SORTS.includes(sort)) return fail("INVALID_SORT");
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const filter = { "listing.isPublic": true, archivedAt: null };
+
+  const q = String(query.q || "").trim();
+  if (q) filter.$text = { $search: q.slice(0, 100) };
+
+  const tags = (
+    Array.isArray(query.tags) ? query.tags : String(query.tags || "").split(",")
+  )
+    .map(normalizeTag)
+    .filter(Boolean);
+  if (tags.length) filter["listing.tags"] = { $all: tags.slice(0, MAX_TAGS) };
+
+  if (query.language) {
+    filter["listing.language"] = String(query.language).trim().toLowerCase();
+  }
+
+  const byActivity = { lastActivityAt: -1, createdAt: -1 };
+
+  if (sort === "online") {
+    const candidates = await Room.find(filter)
+      .select(PUBLIC_FIELDS)
+      .sort(byActivity)
+      .limit(ONLINE_CANDIDATES)
+      .lean();
+
+    const ranked = candidates
+      .map(directoryEntry)
+      .sort((a, b) => b.online - a.online);
+    const start = (page - 1) * limit;
+
+    return {
+      ok: true,
+      rooms: ranked.slice(start, start + limit),
+      page,
+      limit,
+      hasMore: ranked.length > start + limit,
+    };
+  }
+
+  const rooms = await Room.find(filter)
+    .select(PUBLIC_FIELDS)
+    .sort(sort === "newest" ? { createdAt: -1 } : byActivity)
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  return {
+    ok: true,
+    rooms: rooms.slice(0, limit).map(directoryEntry),
+    page,
+    limit,
+    hasMore: rooms.length > limit,
+  };
+}
+
+/**
+ * A listed room by id, for joining from the directory (null otherwise).
+ */
+export async function findPublicRoom(roomId) {
+  if (!mongoose.isValidObjectId(roomId)) return null;
+  return Room.findOne({
+    _id: roomId,
+    "listing.isPublic": true,
+    archivedAt: null,
+  });
+}
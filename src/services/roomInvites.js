@@ -0,0 +1,318 @@
+// src/services/roomInvites.js
+import Room from "../models/Room.js";
+import RoomInvite, { MAX_INVITE_USAGES } from "../models/RoomInvite.js";
+import {
+  canManageRoom,
+  isRoomMember,
+  isBannedFromRoom,
+} from "../utils/roomAccess.js";
+import { emitMemberAdded } from "./roomBroadcast.js";
+import { admitToRoom, addMember } from "./roomAdmission.js";
+import { admissionBlocked } from "./roomSettings.js";
+import { generateInviteId, withUniqueRetry } from "./roomCodes.js";
+
+/**
+ * Invite links, shared by the REST routes (roomRoutes.js) and the
+ * join_room_invite socket event (server.js).
+ *
+ * Besides the RoomInvite documents, every room still has its original
+ * room.inviteLinkId. It resolves as the room's "default" invite: no expiry,
+ * no use limit, joins as a member, and (like joining by code) goes through
+ * the room's privacy mode. Revoking it rotates the id. Created invites are
+ * an explicit grant and skip the password / approval step.
+ *
+ * Results are { ok: true, ... } or { ok: false, error: "CODE" }.
+ */
+
+const MAX_INVITE_HOURS = 30 * 24; // 30 days
+const MAX_INVITE_USES = 1000;
+const MAX_ACTIVE_INVITES = 50;
+
+const fail = (error) => ({ ok: false, error });
+
+const newInviteId = () => generateInviteId(9);
+
+function isUsable(invite, now = new Date()) {
+  if (invite.revokedAt) return "INVITE_REVOKED";
+  if (invite.expiresAt && invite.expiresAt <= now) return "INVITE_EXPIRED";
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    return "INVITE_EXHAUSTED";
+  }
+  return null;
+}
+
+/**
+ * Invite as shown to the room's managers.
+ */
+export function inviteView(invite, { withUsages = false } = {}) {
+  if (invite.isDefault) {
+    return {
+      inviteId: invite.inviteId,
+      isDefault: true,
+      role: "member",
+      expiresAt: null,
+      maxUses: null,
+      uses: null,
+      revokedAt: null,
+    };
+  }
+
+  return {
+    inviteId: invite.inviteId,
+    isDefault: false,
+    label: invite.label || null,
+    role: invite.role,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    revokedAt: invite.revokedAt,
+    status: isUsable(invite) || "ACTIVE",
+    ...(withUsages ? { usages: invite.usages || [] } : {}),
+  };
+}
+
+/**
+ * inviteId → { room, invite } where invite is a RoomInvite or the room's
+ * default link ({ isDefault: true }).
+ */
+async function findInvite(inviteId) {
+  if (!inviteId || typeof inviteId !== "string") return null;
+
+  const invite = await RoomInvite.findOne({ inviteId });
+  if (invite) {
+    const room = await Room.findById(invite.room);
+    return room ? { room, invite } : null;
+  }
+
+  const room = await Room.findOne({ inviteLinkId: inviteId });
+  return room ? { room, invite: { isDefault: true, inviteId } } : null;
+}
+
+// ---------- managers ----------
+
+/**
+ * opts: { role?: "member" | "guest", expiresInHours?, maxUses?, label? }
+ */
+export async function createInvite(room, actor, opts = {}) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+
+  const role = opts.role || "member";
+  if (!["member", "guest"].includes(role)) return fail("INVALID_ROLE");
+
+  let expiresAt = null;
+  if (opts.expiresInHours !== undefined && opts.expiresInHours !== null) {
+    const h = Number(opts.expiresInHours);
+    if (!Number.isFinite(h) || h <= 0 || h > MAX_INVITE_HOURS) {
+      return fail("INVALID_EXPIRY");
+    }
+    expiresAt = new Date(Date.now() + h * 60 * 60 * 1000);
+  }
+
+  let maxUses = null;
+  if (opts.maxUses !== undefined && opts.maxUses !== null) {
+    maxUses = Number(opts.maxUses);
+    if (
+      !Number.isInteger(maxUses) ||
+      maxUses < 1 ||
+      maxUses > MAX_INVITE_USES
+    ) {
+      return fail("INVALID_MAX_USES");
+    }
+  }
+
+  const active = await RoomInvite.countDocuments({
+    room: room._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (active >= MAX_ACTIVE_INVITES) return fail("TOO_MANY_INVITES");
+
+  const invite = await withUniqueRetry("inviteId", newInviteId, (inviteId) =>
+    RoomInvite.create({
+      room: room._id,
+      inviteId,
+      createdBy: String(actor.userId),
+      label: opts.label ? String(opts.label).trim().slice(0, 64) : undefined,
+      role,
+      expiresAt,
+      maxUses,
+    })
+  );
+  if (!invite) return fail("INVITE_GENERATION_FAILED");
+
+  return { ok: true, invite: inviteView(invite) };
+}
+
+/**
+ * Default link first, then the room's invites (newest first) with their
+ * usage history.
+ */
+export async function listInvites(room, actor) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const invites = await RoomInvite.find({ room: room._id }).sort({
+    createdAt: -1,
+  });
+
+  return {
+    ok: true,
+    invites: [
+      inviteView({ isDefault: true, inviteId: room.inviteLinkId }),
+      ...invites.map((i) => inviteView(i, { withUsages: true })),
+    ],
+  };
+}
+
+export async function revokeInvite(room, actor, inviteId) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  if (inviteId && inviteId === room.inviteLinkId) {
+    const saved = await withUniqueRetry(
+      "inviteLinkId",
+      generateInviteId,
+      (id) => {
+        room.inviteLinkId = id;
+        room.inviteLink = id;
+        return room.save();
+      }
+    );
+    if (!saved) return fail("INVITE_GENERATION_FAILED");
+    return {
+      ok: true,
+      invite: inviteView({ isDefault: true, inviteId: room.inviteLinkId }),
+    };
+  }
+
+  const invite = await RoomInvite.findOneAndUpdate(
+    { room: room._id, inviteId: String(inviteId) },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (!invite) return fail("INVITE_NOT_FOUND");
+
+  return { ok: true, invite: inviteView(invite) };
+}
+
+// ---------- joiners ----------
+
+/**
+ * Public preview for /invite/:inviteId (no auth): enough to render
+ * "Join <room>?" without exposing the room code or member list.
+ */
+export async function previewInvite(inviteId) {
+  const found = await findInvite(inviteId);
+  if (!found) return fail("INVITE_NOT_FOUND");
+
+  const { room, invite } = found;
+  const unusable = invite.isDefault ? null : isUsable(invite);
+  if (unusable) return fail(unusable);
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+
+  return {
+    ok: true,
+    preview: {
+      inviteId: invite.inviteId,
+      role: invite.isDefault ? "member" : invite.role,
+      expiresAt: invite.expiresAt || null,
+      usesLeft: invite.maxUses ? invite.maxUses - invite.uses : null,
+      room: {
+        id: room._id.toString(),
+        name: room.name,
+        allowAI: !!room.allowAI,
+        memberCount: (room.members || []).length,
+      },
+    },
+  };
+}
+
+/**
+ * Join `identity` to the invite's room. Joining a room you're already in
+ * succeeds without using up the invite.
+ * opts: { name, password, ip } (password / ip only matter for the default
+ * link)
+ * → { ok: true, room, status: "joined" | "pending", alreadyMember }
+ *   | { ok: false, error }
+ */
+export async function joinWithInvite(io, inviteId, identity, opts = {}) {
+  if (!identity) return fail("NOT_AUTHENTICATED");
+
+  const found = await findInvite(inviteId);
+  if (!found) return fail("INVITE_NOT_FOUND");
+
+  const { room, invite } = found;
+  const name = opts.name;
+
+  if (invite.isDefault) {
+    const admitted = await admitToRoom(io, room, identity, opts);
+    if (!admitted.ok) return admitted;
+    if (admitted.status === "joined" && !admitted.alreadyMember) {
+      const { id, name: memberName } = admitted.member;
+      await announceJoin(io, room, id, memberName);
+    }
+    return { ...admitted, room };
+  }
+
+  if (isBannedFromRoom(room, identity)) return fail("BANNED");
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+
+  if (isRoomMember(room, identity)) {
+    return { ok: true, room, status: "joined", alreadyMember: true };
+  }
+
+  const blocked = await admissionBlocked(room, identity);
+  if (blocked) return fail(blocked);
+
+  const memberId = identity.isGuest
+    ? identity.guestId
+    : String(identity.userId);
+  const memberName =
+    (name && String(name).trim().slice(0, 64)) ||
+    (identity.isGuest ? "Guest" : "Member");
+
+  // claim one use atomically so concurrent joins can't exceed maxUses
+  const now = new Date();
+  const claimed = await RoomInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        {
+          $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+        },
+      ],
+    },
+    {
+      $inc: { uses: 1 },
+      $push: {
+        usages: {
+          $each: [{ memberId, name: memberName, usedAt: now }],
+          $slice: -MAX_INVITE_USAGES,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return fail(isUsable(invite) || "INVITE_EXHAUSTED");
+
+  await addMember(room, identity, memberName, invite.role);
+  await announceJoin(io, room, memberId, memberName);
+
+  return { ok: true, room, status: "joined", alreadyMember: false };
+}
+
+async function announceJoin(io, room, memberId, name) {
+  if (!io) return;
+  const roomKey = room._id.toString();
+  io.to(roomKey).emit("system_message", {
+    content: `${name} joined via invite`,
+    timestamp: Date.now(),
+    roomId: roomKey,
+    type: "join",
+    displayName: name,
+  });
+  await emitMemberAdded(io, room, memberId);
+}
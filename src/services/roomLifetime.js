@@ -0,0 +1,329 @@
+// src/services/roomLifetime.js
+import Room from "../models/Room.js";
+import Message from "../models/Message.js";
+import RoomInvite from "../models/RoomInvite.js";
+import Notification from "../models/Notification.js";
+import ReadState from "../models/ReadState.js";
+import { isRoomOwner } from "../utils/roomAccess.js";
+import { deleteRoomMedia } from "../utils/roomMedia.js";
+import { emitRoomUpdated, emitRoomRemoved } from "./roomBroadcast.js";
+import { adjustOwnedRooms } from "./quotas.js";
+import { forgetRoom } from "./presence.js";
+
+/**
+ * Room lifetime: every room is either
+ *   - "ephemeral" → expires at room.expiresAt (the owner can extend it), or
+ *   - "persistent" → never expires.
+ *
+ * A sweeper (startRoomExpirySweeper) warns members shortly before expiry and
+ * then deletes the room with its messages and media, or archives it
+ * (read-only, kept forever) depending on room.expireAction.
+ *
+ * Env:
+ *   ROOM_DEFAULT_LIFETIME_HOURS   (default 5, the old fixed TTL)
+ *   ROOM_MAX_LIFETIME_HOURS       (default 168 = 7 days)
+ *   ROOM_EXPIRY_WARNING_MINUTES   (default 15)
+ *   ROOM_SWEEP_INTERVAL_SECONDS   (default 60)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const defaultLifetimeHours = () =>
+  envNumber("ROOM_DEFAULT_LIFETIME_HOURS", 5);
+export const maxLifetimeHours = () => envNumber("ROOM_MAX_LIFETIME_HOURS", 168);
+const warningMs = () => envNumber("ROOM_EXPIRY_WARNING_MINUTES", 15) * 60000;
+
+const fail = (error) => ({ ok: false, error });
+
+/**
+ * Validate a client lifetime request:
+ *   { mode?: "ephemeral" | "persistent", durationHours?, onExpire? }
+ * → { ok: true, fields } (Room fields to set) | { ok: false, error }
+ * Missing values fall back to an ephemeral room with the default duration.
+ */
+export function resolveLifetime(input = {}) {
+  const mode = input.mode || "ephemeral";
+  if (!["ephemeral", "persistent"].includes(mode)) return fail("INVALID_MODE");
+
+  const onExpire = input.onExpire || "delete";
+  if (!["delete", "archive"].includes(onExpire)) {
+    return fail("INVALID_EXPIRE_ACTION");
+  }
+
+  if (mode === "persistent") {
+    return {
+      ok: true,
+      fields: {
+        expiryMode: "persistent",
+        expiresAt: null,
+        expireAction: onExpire,
+        expiryWarnedAt: null,
+      },
+    };
+  }
+
+  const hours =
+    input.durationHours === undefined || input.durationHours === null
+      ? defaultLifetimeHours()
+      : Number(input.durationHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > maxLifetimeHours()) {
+    return fail("INVALID_DURATION");
+  }
+
+  return {
+    ok: true,
+    fields: {
+      expiryMode: "ephemeral",
+      expiresAt: new Date(Date.now() + hours * HOUR_MS),
+      expireAction: onExpire,
+      expiryWarnedAt: null,
+    },
+  };
+}
+
+/**
+ * Lifetime fields the clients care about.
+ */
+export function lifetimeView(room) {
+  return {
+    roomId: room._id.toString(),
+    expiryMode: room.expiryMode || "ephemeral",
+    expiresAt: room.expiresAt || null,
+    expireAction: room.expireAction || "delete",
+    archivedAt: room.archivedAt || null,
+  };
+}
+
+function announce(io, room, event, content) {
+  if (!io) return;
+  const roomKey = room._id.toString();
+  io.to(roomKey).emit(event, lifetimeView(room));
+  io.to(roomKey).emit("system_message", {
+    content,
+    timestamp: Date.now(),
+    roomId: roomKey,
+    type: "lifetime",
+  });
+}
+
+// ---------- owner actions ----------
+
+/**
+ * Replace the policy (switch mode, pick a new duration, change the expire
+ * action). Owner only: expiry can delete the room, which co-owners can't.
+ * Also reopens an archived room.
+ */
+export async function setRoomLifetime(io, room, actor, input) {
+  if (!isRoomOwner(room, actor)) return fail("NOT_OWNER");
+
+  const resolved = resolveLifetime(input);
+  if (!resolved.ok) return resolved;
+
+  room.set({ ...resolved.fields, archivedAt: null });
+  await room.save();
+
+  announce(
+    io,
+    room,
+    "room_lifetime_updated",
+    room.expiryMode === "persistent"
+      ? "This room no longer expires"
+      : `This room now expires at ${room.expiresAt.toISOString()}`
+  );
+  if (io) await emitRoomUpdated(io, room);
+
+  return { ok: true, lifetime: lifetimeView(room) };
+}
+
+/**
+ * Push an ephemeral room's expiry back by `hours`, never past
+ * ROOM_MAX_LIFETIME_HOURS from now. Owner only.
+ */
+export async function extendRoomLifetime(io, room, actor, hours) {
+  if (!isRoomOwner(room, actor)) return fail("NOT_OWNER");
+  if (room.archivedAt) return fail("ROOM_ARCHIVED");
+  if (room.expiryMode === "persistent") return fail("ROOM_IS_PERSISTENT");
+
+  const h = Number(hours);
+  if (!Number.isFinite(h) || h <= 0) return fail("INVALID_DURATION");
+
+  const now = Date.now();
+  const from = Math.max(now, new Date(room.expiresAt || now).getTime());
+  const latest = now + maxLifetimeHours() * HOUR_MS;
+
+  room.expiresAt = new Date(Math.min(from + h * HOUR_MS, latest));
+  room.expiryWarnedAt = null;
+  await room.save();
+
+  announce(
+    io,
+    room,
+    "room_lifetime_updated",
+    `Room extended until ${room.expiresAt.toISOString()}`
+  );
+  if (io) await emitRoomUpdated(io, room);
+
+  return { ok: true, lifetime: lifetimeView(room) };
+}
+
+// ---------- teardown ----------
+
+/**
+ * Remove a room for good: the room, its messages, invites, notifications,
+ * read positions and uploaded media.
+ * Used by expiry, delete_room and account deletion.
+ */
+export async function destroyRoom(room) {
+  const res = await Room.deleteOne({ _id: room._id });
+  if (res.deletedCount) await adjustOwnedRooms(room.ownerId, -1);
+  await purgeRoomData(room);
+}
+
+/**
+ * Everything that belongs to a room, once the room document is gone.
+ * New per-room collections get cleaned up here, and only here.
+ */
+async function purgeRoomData(room) {
+  await Message.deleteMany({ room: room._id });
+  await RoomInvite.deleteMany({ room: room._id });
+  await Notification.deleteMany({ room: room._id });
+  await ReadState.deleteMany({ room: room._id });
+  await deleteRoomMedia(room._id.toString());
+}
+
+function evictRoom(io, room, reason) {
+  if (!io) return;
+  const roomKey = room._id.toString();
+  io.to(roomKey).emit("room_expired", { roomId: roomKey, action: reason });
+  io.to(roomKey).emit("room_deleted", { roomId: roomKey, reason: "EXPIRED" });
+  io.in(roomKey).socketsLeave(roomKey);
+  forgetRoom(roomKey);
+  emitRoomRemoved(io, room, { reason: "EXPIRED" });
+}
+
+// ---------- sweeper ----------
+
+/**
+ * One pass:
+ *   1. warn rooms that expire within the warning window (once per expiry)
+ *   2. delete / archive rooms whose expiresAt has passed
+ * Each step is conditional on the expiresAt we read, so an extension that
+ * lands mid-sweep (or another server instance) wins.
+ */
+export async function sweepRooms(io, now = new Date()) {
+  const warnBefore = new Date(now.getTime() + warningMs());
+  const expiring = await Room.find({
+    expiryMode: "ephemeral",
+    archivedAt: null,
+    expiryWarnedAt: null,
+    expiresAt: { $gt: now, $lte: warnBefore },
+  });
+
+  for (const room of expiring) {
+    const res = await Room.updateOne(
+      { _id: room._id, expiresAt: room.expiresAt, expiryWarnedAt: null },
+      { expiryWarnedAt: now }
+    );
+    if (!res.modifiedCount) continue;
+
+    const minutes = Math.max(1, Math.round((room.expiresAt - now) / 60000));
+    announce(
+      io,
+      room,
+      "room_expiring",
+      room.expireAction === "archive"
+        ? `This room will be archived in ${minutes} min`
+        : `This room will be deleted in ${minutes} min`
+    );
+  }
+
+  const expired = await Room.find({
+    expiryMode: "ephemeral",
+    archivedAt: null,
+    expiresAt: { $ne: null, $lte: now },
+  });
+
+  for (const room of expired) {
+    if (room.expireAction === "archive") {
+      const res = await Room.updateOne(
+        { _id: room._id, expiresAt: room.expiresAt, archivedAt: null },
+        { archivedAt: now, expiresAt: null }
+      );
+      if (!res.modifiedCount) continue;
+
+      room.archivedAt = now;
+      room.expiresAt = null;
+      announce(io, room, "room_archived", "This room has been archived");
+      if (io) await emitRoomUpdated(io, room);
+    } else {
+      const res = await Room.deleteOne({
+        _id: room._id,
+        expiresAt: room.expiresAt,
+      });
+      if (!res.deletedCount) continue;
+
+      await adjustOwnedRooms(room.ownerId, -1);
+      await purgeRoomData(room);
+      evictRoom(io, room, "deleted");
+    }
+  }
+}
+
+/**
+ * Rooms created before lifetimes existed relied on a TTL index
+ * (createdAt + 5h). Give them the same expiry and drop that index so Mongo
+ * stops deleting rooms behind the sweeper's back.
+ */
+async function migrateLegacyRooms() {
+  try {
+    await Room.collection.dropIndex("createdAt_1");
+    console.log("🧹 Dropped legacy room TTL index");
+  } catch {
+    // already gone
+  }
+
+  await Room.updateMany({ expiryMode: { $exists: false } }, [
+    {
+      $set: {
+        expiryMode: "ephemeral",
+        expireAction: "delete",
+        expiresAt: { $add: ["$createdAt", 5 * HOUR_MS] },
+      },
+    },
+  ]);
+}
+
+/**
+ * Start sweeping every ROOM_SWEEP_INTERVAL_SECONDS. Call after Mongo
+ * connects. → stop()
+ */
+export async function startRoomExpirySweeper(io) {
+  await migrateLegacyRooms();
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepRooms(io);
+    } catch (err) {
+      console.error("❌ Room sweep failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(
+    tick,
+    envNumber("ROOM_SWEEP_INTERVAL_SECONDS", 60) * 1000
+  );
+  timer.unref?.();
+  tick();
+
+  return () => clearInterval(timer);
+}
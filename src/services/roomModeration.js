@@ -0,0 +1,259 @@
+// src/services/roomModeration.js
+import {
+  getRoomRole,
+  canModerate,
+  roleRank,
+  memberMatchesIdentity,
+} from "../utils/roomAccess.js";
+import {
+  personalRoom,
+  emitRoomUpdated,
+  emitRoomRemoved,
+} from "./roomBroadcast.js";
+import { forgetMember } from "./presence.js";
+
+/**
+ * Moderation actions shared by the socket events (server.js) and the REST
+ * routes (roomRoutes.js).
+ *
+ * Every action takes the Room document, the acting identity
+ * ({ userId, userEmail, isGuest, guestId }) and the target members[].id,
+ * and resolves to { ok: true, ... } or { ok: false, error: "CODE" }.
+ * When `io` is given, the room and the target's sockets are updated live.
+ */
+
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const fail = (error) => ({ ok: false, error });
+
+function targetRole(room, member) {
+  if (member.role === "owner" || String(member.id) === room.ownerId) {
+    return "owner";
+  }
+  return member.role || "member";
+}
+
+/**
+ * Resolve actor role + target member, or an error code.
+ */
+function resolve(room, actor, memberId) {
+  const actorRole = getRoomRole(room, actor);
+  if (!actorRole) return { error: "NOT_A_MEMBER" };
+
+  const target = (room.members || []).find(
+    (m) => String(m.id) === String(memberId)
+  );
+  if (!target) return { error: "MEMBER_NOT_FOUND" };
+
+  if (memberMatchesIdentity(target.id, actor))
+    return { error: "CANNOT_TARGET_SELF" };
+
+  return { actorRole, target, role: targetRole(room, target) };
+}
+
+function actorName(room, actor) {
+  const me = (room.members || []).find((m) =>
+    memberMatchesIdentity(m.id, actor)
+  );
+  return me?.name || actor.userEmail || "A moderator";
+}
+
+/**
+ * Live sockets that belong to a member id (a user may have several tabs).
+ */
+export async function socketsForMember(io, memberId) {
+  if (!io) return [];
+  return io.in(personalRoom(String(memberId))).fetchSockets();
+}
+
+function systemMessage(io, roomKey, content) {
+  io.to(roomKey).emit("system_message", {
+    content,
+    timestamp: Date.now(),
+    roomId: roomKey,
+    type: "moderation",
+  });
+}
+
+/**
+ * Pull the target's sockets out of the socket.io room and tell them why.
+ */
+async function removeLive(io, room, target, reason, by) {
+  if (!io) return;
+  const roomKey = room._id.toString();
+
+  const sockets = await socketsForMember(io, target.id);
+  for (const s of sockets) {
+    s.leave(roomKey);
+    s.emit("removed_from_room", { roomId: roomKey, reason, by });
+  }
+  forgetMember(
+    io,
+    roomKey,
+    sockets.map((s) => s.id)
+  );
+
+  io.to(roomKey).emit("member_removed", {
+    roomId: roomKey,
+    memberId: String(target.id),
+    reason,
+  });
+  systemMessage(
+    io,
+    roomKey,
+    `${target.name} was ${reason === "banned" ? "banned" : "removed"} by ${by}`
+  );
+  await emitRoomUpdated(io, room);
+  emitRoomRemoved(io, room, { memberIds: [target.id], reason });
+}
+
+// ---------- promote / demote ----------
+
+/**
+ * role: "co-owner" | "moderator" | "member".
+ * The owner can hand out any of them; co-owners only roles below their own
+ * (so only the owner names co-owners). Guests can't be promoted (they have
+ * no account to hold the role).
+ */
+export async function setMemberRole(io, room, actor, memberId, role) {
+  if (!["co-owner", "moderator", "member"].includes(role)) {
+    return fail("INVALID_ROLE");
+  }
+
+  const r = resolve(room, actor, memberId);
+  if (r.error) return fail(r.error);
+  if (r.role === "guest") return fail("GUESTS_CANNOT_BE_PROMOTED");
+
+  const rank = roleRank(r.actorRole);
+  const allowed =
+    rank >= roleRank("co-owner") &&
+    rank > roleRank(r.role) &&
+    rank > roleRank(role);
+  if (!allowed) return fail("NOT_ALLOWED");
+
+  r.target.role = role;
+  await room.save();
+
+  if (io) {
+    const roomKey = room._id.toString();
+    io.to(roomKey).emit("member_role_changed", {
+      roomId: roomKey,
+      memberId: String(r.target.id),
+      role,
+    });
+    systemMessage(
+      io,
+      roomKey,
+      role === "member"
+        ? `${r.target.name} is now a regular member`
+        : `${r.target.name} is now a ${role}`
+    );
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, member: r.target };
+}
+
+// ---------- kick ----------
+
+export async function kickMember(io, room, actor, memberId) {
+  const r = resolve(room, actor, memberId);
+  if (r.error) return fail(r.error);
+  if (!canModerate(r.actorRole, r.role)) return fail("NOT_ALLOWED");
+
+  room.members = room.members.filter(
+    (m) => String(m.id) !== String(r.target.id)
+  );
+  await room.save();
+
+  await removeLive(io, room, r.target, "kicked", actorName(room, actor));
+  return { ok: true, member: r.target };
+}
+
+// ---------- ban / unban ----------
+
+export async function banMember(io, room, actor, memberId, reason) {
+  const r = resolve(room, actor, memberId);
+  if (r.error) return fail(r.error);
+  if (!canModerate(r.actorRole, r.role)) return fail("NOT_ALLOWED");
+
+  const by = actorName(room, actor);
+
+  room.members = room.members.filter(
+    (m) => String(m.id) !== String(r.target.id)
+  );
+  if (!room.bans.some((b) => String(b.id) === String(r.target.id))) {
+    room.bans.push({
+      id: String(r.target.id),
+      name: r.target.name,
+      bannedBy: String(actor.userId),
+      reason: reason ? String(reason).slice(0, 200) : undefined,
+    });
+  }
+  await room.save();
+
+  await removeLive(io, room, r.target, "banned", by);
+  return { ok: true, member: r.target };
+}
+
+export async function unbanMember(io, room, actor, memberId) {
+  const actorRole = getRoomRole(room, actor);
+  if (!canModerate(actorRole, "member")) return fail("NOT_ALLOWED");
+
+  const before = room.bans.length;
+  room.bans = room.bans.filter((b) => String(b.id) !== String(memberId));
+  if (room.bans.length === before) return fail("BAN_NOT_FOUND");
+  await room.save();
+
+  if (io) {
+    const roomKey = room._id.toString();
+    io.to(roomKey).emit("member_unbanned", {
+      roomId: roomKey,
+      memberId: String(memberId),
+    });
+  }
+
+  return { ok: true };
+}
+
+// ---------- mute / unmute ----------
+
+/**
+ * durationMs <= 0 (or null) lifts the mute. Capped at MAX_MUTE_MS.
+ */
+export async function muteMember(io, room, actor, memberId, durationMs) {
+  const r = resolve(room, actor, memberId);
+  if (r.error) return fail(r.error);
+  if (!canModerate(r.actorRole, r.role)) return fail("NOT_ALLOWED");
+
+  const ms = Math.min(Number(durationMs) || 0, MAX_MUTE_MS);
+  const mutedUntil = ms > 0 ? new Date(Date.now() + ms) : null;
+
+  r.target.mutedUntil = mutedUntil;
+  await room.save();
+
+  if (io) {
+    const roomKey = room._id.toString();
+    const payload = {
+      roomId: roomKey,
+      memberId: String(r.target.id),
+      mutedUntil,
+    };
+
+    io.to(roomKey).emit("member_muted", payload);
+    // also reach the target's tabs that aren't viewing the room right now
+    for (const s of await socketsForMember(io, r.target.id)) {
+      s.emit("muted_in_room", payload);
+    }
+
+    systemMessage(
+      io,
+      roomKey,
+      mutedUntil
+        ? `${r.target.name} was muted until ${mutedUntil.toISOString()}`
+        : `${r.target.name} was unmuted`
+    );
+  }
+
+  return { ok: true, member: r.target, mutedUntil };
+}
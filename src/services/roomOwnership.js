@@ -0,0 +1,135 @@
+// src/services/roomOwnership.js
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { isRoomOwner, memberMatchesIdentity } from "../utils/roomAccess.js";
+import { emitRoomUpdated } from "./roomBroadcast.js";
+import { adjustOwnedRooms } from "./quotas.js";
+
+/**
+ * room.ownerId is always an EMAIL, while members[].id may be a userId or an
+ * email. Resolve a member entry to its User (null for guests / unknown).
+ */
+export async function resolveMemberAccount(member) {
+  if (!member || member.role === "guest") return null;
+  const id = String(member.id);
+  const query = mongoose.isValidObjectId(id)
+    ? User.findById(id)
+    : User.findOne({ email: id });
+  return query.select("email name").lean();
+}
+
+// Who inherits a room first when its owner goes away
+const SUCCESSION_ORDER = ["co-owner", "moderator", "member"];
+
+/**
+ * Pick the next owner: co-owners first, then moderators, then members,
+ * earliest-joined first within each role. Skips ids in `excludeIds`.
+ * → { member, user } or null
+ */
+export async function pickSuccessor(room, excludeIds = []) {
+  const members = (room.members || []).filter(
+    (m) => !excludeIds.includes(String(m.id))
+  );
+
+  for (const role of SUCCESSION_ORDER) {
+    for (const member of members.filter((m) => m.role === role)) {
+      const user = await resolveMemberAccount(member);
+      if (user) return { member, user };
+    }
+  }
+  return null;
+}
+
+/**
+ * Make `member` (whose account is `user`) the owner. The previous owner's
+ * entry becomes "co-owner", or is dropped when `keepPrevious` is false.
+ */
+export function applyOwnership(
+  room,
+  member,
+  user,
+  { previousOwner, keepPrevious }
+) {
+  room.ownerId = user.email;
+
+  room.members = room.members.filter((m) => {
+    if (!previousOwner || !memberMatchesIdentity(m.id, previousOwner)) {
+      return true;
+    }
+    return keepPrevious;
+  });
+
+  for (const m of room.members) {
+    if (String(m.id) === String(member.id)) {
+      m.role = "owner";
+    } else if (previousOwner && memberMatchesIdentity(m.id, previousOwner)) {
+      m.role = "co-owner";
+    } else if (m.role === "owner") {
+      m.role = "co-owner";
+    }
+  }
+
+  // The old owner may never have had a members entry (ownerId only)
+  const hasEntry = room.members.some(
+    (m) => previousOwner && memberMatchesIdentity(m.id, previousOwner)
+  );
+  if (keepPrevious && previousOwner && !hasEntry) {
+    room.members.push({
+      id: String(previousOwner.userId),
+      name: previousOwner.name || previousOwner.userEmail || "Owner",
+      role: "co-owner",
+    });
+  }
+}
+
+/**
+ * Owner only: hand the room to another logged-in member.
+ * The old owner stays as a co-owner.
+ *
+ * → { ok: true } or { ok: false, error }
+ */
+export async function transferOwnership(io, room, actor, memberId) {
+  if (!isRoomOwner(room, actor)) return { ok: false, error: "NOT_OWNER" };
+
+  const target = (room.members || []).find(
+    (m) => String(m.id) === String(memberId)
+  );
+  if (!target) return { ok: false, error: "MEMBER_NOT_FOUND" };
+  if (memberMatchesIdentity(target.id, actor)) {
+    return { ok: false, error: "CANNOT_TARGET_SELF" };
+  }
+
+  const user = await resolveMemberAccount(target);
+  if (!user) return { ok: false, error: "TARGET_NOT_A_USER" };
+
+  const previousEntry = room.members.find((m) =>
+    memberMatchesIdentity(m.id, actor)
+  );
+
+  const previousOwnerId = room.ownerId;
+  applyOwnership(room, target, user, {
+    previousOwner: { ...actor, name: previousEntry?.name },
+    keepPrevious: true,
+  });
+  await room.save();
+  await adjustOwnedRooms(previousOwnerId, -1);
+  await adjustOwnedRooms(room.ownerId, 1);
+
+  if (io) {
+    const roomKey = room._id.toString();
+    io.to(roomKey).emit("room_owner_changed", {
+      roomId: roomKey,
+      ownerId: room.ownerId,
+      memberId: String(target.id),
+    });
+    io.to(roomKey).emit("system_message", {
+      content: `${target.name} is now the owner of this room`,
+      timestamp: Date.now(),
+      roomId: roomKey,
+      type: "moderation",
+    });
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,61 @@
+// src/services/roomSerializer.js
+import {
+  canModerate,
+  findRoomMember,
+  getRoomRole,
+} from "../utils/roomAccess.js";
+import { roomSettings } from "./roomSettings.js";
+import { listingView } from "./roomDirectory.js";
+
+/**
+ * The one room shape sent to clients, over REST and sockets alike
+ * (room_list_update, room_added / room_updated, join acks, /api/rooms…).
+ *
+ * `viewer` is the identity receiving it; bans are only included for those
+ * who can moderate. Secrets (passwordHash, joinRequests) are never loaded
+ * by default and never copied here.
+ */
+export function serializeRoom(room, viewer = null) {
+  const r = typeof room.toObject === "function" ? room.toObject() : room;
+  const id = r._id.toString();
+  const settings = roomSettings(r);
+
+  const out = {
+    _id: id,
+    id,
+    name: r.name,
+    code: r.code,
+    ownerId: r.ownerId,
+    inviteLinkId: r.inviteLinkId,
+    inviteLink: r.inviteLink || r.inviteLinkId,
+    allowAI: !!r.allowAI,
+    theme: settings.theme,
+    settings,
+    privacy: r.privacy || "open",
+    listing: listingView(r),
+    members: (r.members || []).map((m) => ({
+      id: String(m.id),
+      name: m.name,
+      role: m.role || "member",
+      mutedUntil: m.mutedUntil || null,
+    })),
+    expiryMode: r.expiryMode || "ephemeral",
+    expiresAt: r.expiresAt || null,
+    expireAction: r.expireAction || "delete",
+    archivedAt: r.archivedAt || null,
+    lastActivityAt: r.lastActivityAt || null,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+
+  // the viewer's own preference (services/notifications.js)
+  if (viewer) {
+    out.notificationsMuted = !!findRoomMember(r, viewer)?.notificationsMuted;
+  }
+
+  if (viewer && canModerate(getRoomRole(r, viewer), "member")) {
+    out.bans = r.bans || [];
+  }
+
+  return out;
+}
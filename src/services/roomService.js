@@ -0,0 +1,239 @@
+// src/services/roomService.js
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import { isRoomOwner, canManageRoom } from "../utils/roomAccess.js";
+import {
+  emitRoomAdded,
+  emitRoomUpdated,
+  emitRoomRemoved,
+} from "./roomBroadcast.js";
+import { resolveLifetime, destroyRoom } from "./roomLifetime.js";
+import { resolvePrivacy } from "./roomAdmission.js";
+import { validateSettings, announceSettings } from "./roomSettings.js";
+import { reserveRoomQuota, releaseRoomQuota } from "./quotas.js";
+import { forgetRoom } from "./presence.js";
+import { validateListing } from "./roomDirectory.js";
+import {
+  generateRoomCode,
+  generateInviteId,
+  validateVanityCode,
+  isDuplicateKey,
+} from "./roomCodes.js";
+
+/**
+ * Room lifecycle (create / rename / AI / delete), shared by the
+ * socket events in server.js and the REST routes in roomRoutes.js.
+ *
+ * Actions take the acting identity ({ userId, userEmail, isGuest, guestId })
+ * and resolve to { ok: true, room } or { ok: false, error: "CODE" }.
+ * When `io` is given, connected clients are updated live.
+ */
+
+const MAX_NAME_LENGTH = 64;
+
+const fail = (error) => ({ ok: false, error });
+
+// a real boolean only: the string "false" must not switch the AI on
+const isAllowAI = (value) => value === undefined || typeof value === "boolean";
+
+export async function findRoomById(roomId) {
+  return mongoose.isValidObjectId(roomId) ? Room.findById(roomId) : null;
+}
+
+/**
+ * Rooms the identity owns or is a member of, newest first.
+ */
+export function findRoomsForIdentity(identity) {
+  if (!identity) return Promise.resolve([]);
+
+  const filter = identity.isGuest
+    ? { "members.id": identity.guestId }
+    : {
+        $or: [
+          { ownerId: identity.userEmail },
+          {
+            "members.id": {
+              $in: [String(identity.userId), identity.userEmail],
+            },
+          },
+        ],
+      };
+
+  return Room.find(filter).sort({ createdAt: -1 }).lean();
+}
+
+function cleanName(name) {
+  const trimmed = String(name || "").trim();
+  return trimmed && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * data: { name, vanityCode?, allowAI?, ownerName?, members?, lifetime?,
+ *         privacy?, password?, listing? }
+ * Only logged-in users create rooms; the creator becomes the owner member.
+ * The code and invite link id are generated (a client `code` is ignored)
+ * and regenerated on collision. A vanity code is kept when free,
+ * CODE_TAKEN otherwise.
+ */
+export async function createRoom(io, actor, data = {}) {
+  const ownerEmail = actor && !actor.isGuest ? actor.userEmail : null;
+  if (!ownerEmail) return fail("NOT_AUTHENTICATED");
+
+  const name = cleanName(data.name);
+  if (!name) return fail("INVALID_NAME");
+  if (!isAllowAI(data.allowAI)) return fail("INVALID_ALLOW_AI");
+
+  const lifetime = resolveLifetime(data.lifetime);
+  if (!lifetime.ok) return lifetime;
+
+  const privacy = await resolvePrivacy(data);
+  if (!privacy.ok) return privacy;
+
+  const listing = data.listing ? validateListing(data.listing) : null;
+  if (listing && !listing.ok && listing.error !== "NO_CHANGES") return listing;
+
+  // older clients send the owner as members[0]; keep the name they picked
+  const ownerEntry = Array.isArray(data.members)
+    ? data.members.find((m) => m && String(m.id) === ownerEmail)
+    : null;
+  const ownerName =
+    cleanName(data.ownerName) || cleanName(ownerEntry?.name) || ownerEmail;
+
+  let vanityCode = null;
+  if (data.vanityCode) {
+    const valid = validateVanityCode(data.vanityCode);
+    if (!valid.ok) return valid;
+    vanityCode = valid.code;
+  }
+
+  // the slot goes back unless the room is created
+  const quota = await reserveRoomQuota(actor);
+  if (!quota.ok) return quota;
+  let created = false;
+
+  try {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const inviteLinkId = generateInviteId();
+      try {
+        const room = await Room.create({
+          name,
+          code: vanityCode || generateRoomCode(),
+          ownerId: ownerEmail,
+          allowAI: data.allowAI ?? true,
+          inviteLinkId,
+          inviteLink: inviteLinkId,
+          members: [{ id: ownerEmail, name: ownerName, role: "owner" }],
+          ...lifetime.fields,
+          ...privacy.fields,
+          ...(listing?.ok && { listing: listing.fields }),
+        });
+
+        created = true;
+        if (io) await emitRoomAdded(io, room);
+        return { ok: true, room };
+      } catch (err) {
+        if (!isDuplicateKey(err)) throw err;
+        if (vanityCode && isDuplicateKey(err, "code")) {
+          return fail("CODE_TAKEN");
+        }
+      }
+    }
+
+    return fail("CODE_GENERATION_FAILED");
+  } finally {
+    if (!created) await releaseRoomQuota(actor);
+  }
+}
+
+/**
+ * Owner and co-owners.
+ */
+export async function renameRoom(io, room, actor, newName) {
+  const name = cleanName(newName);
+  if (!name) return fail("INVALID_NAME");
+  if (!canManageRoom(room, actor)) return fail("NOT_OWNER");
+
+  room.name = name;
+  await room.save();
+
+  if (io) await emitRoomUpdated(io, room);
+  return { ok: true, room };
+}
+
+/**
+ * Owner and co-owners. `allowAI` undefined → toggle.
+ */
+export async function setRoomAI(io, room, actor, allowAI) {
+  if (!canManageRoom(room, actor)) return fail("NOT_OWNER");
+  if (!isAllowAI(allowAI)) return fail("INVALID_ALLOW_AI");
+
+  room.allowAI = allowAI === undefined ? !room.allowAI : allowAI;
+  await room.save();
+
+  if (io) {
+    announceAI(io, room);
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, room };
+}
+
+function announceAI(io, room) {
+  const roomKey = room._id.toString();
+  io.to(roomKey).emit("room_ai_toggled", {
+    roomId: roomKey,
+    allowAI: room.allowAI,
+  });
+}
+
+/**
+ * PATCH-style update: { name?, allowAI?, theme? } (owner and co-owners).
+ * Every field is checked before anything is written, so a rejected field
+ * leaves the room as it was. The theme is a room setting. Saved once, then
+ * announced with a single room_updated carrying the final room.
+ */
+export async function updateRoom(io, room, actor, patch = {}) {
+  const { name, allowAI, theme } = patch;
+
+  if (!canManageRoom(room, actor)) return fail("NOT_OWNER");
+  const newName = name === undefined ? undefined : cleanName(name);
+  if (newName === null) return fail("INVALID_NAME");
+  if (!isAllowAI(allowAI)) return fail("INVALID_ALLOW_AI");
+  let settings = null;
+  if (theme !== undefined) {
+    settings = validateSettings({ theme });
+    if (!settings.ok) return settings;
+  }
+
+  if (newName !== undefined) room.name = newName;
+  if (allowAI !== undefined) room.allowAI = allowAI;
+  if (settings) room.set("settings.theme", settings.fields.theme);
+  await room.save();
+
+  if (io) {
+    if (allowAI !== undefined) announceAI(io, room);
+    if (settings) announceSettings(io, room, actor, settings.fields);
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, room };
+}
+
+/**
+ * Owner only (co-owners can't). Removes messages, invites and media too.
+ */
+export async function deleteRoom(io, room, actor) {
+  if (!isRoomOwner(room, actor)) return fail("NOT_OWNER");
+
+  const roomKey = room._id.toString();
+  await destroyRoom(room);
+
+  if (io) {
+    io.to(roomKey).emit("room_deleted", { roomId: roomKey });
+    io.in(roomKey).socketsLeave(roomKey);
+    forgetRoom(roomKey);
+    emitRoomRemoved(io, room, { reason: "DELETED" });
+  }
+
+  return { ok: true };
+}
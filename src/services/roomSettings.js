@@ -0,0 +1,236 @@
+// src/services/roomSettings.js
+import {
+  canManageRoom,
+  canModerate,
+  getRoomRole,
+  findRoomMember,
+} from "../utils/roomAccess.js";
+import { createMemoryStore } from "../middleware/rateLimit.js";
+import { emitRoomUpdated } from "./roomBroadcast.js";
+import { memberLimitForRoom } from "./quotas.js";
+
+/**
+ * Persisted per-room settings (room.settings), changed through
+ * updateRoomSettings(): the update_room_settings socket event and
+ * PATCH /api/rooms/:roomId/settings (the theme also via updateRoom()).
+ * Owner and co-owners.
+ *
+ *   theme             chat theme ("default", "love", "midnight", …)
+ *   slowModeSeconds   min. seconds between two messages per member (0 = off;
+ *                     moderators and up are exempt)
+ *   maxMembers        member cap for new joins (null = the owner's plan
+ *                     limit, which also caps any value set here)
+ *   allowGuests       may guests join at all
+ *   guestMediaAllowed may guests post / upload media
+ *   aiPersona         extra instructions for the room's AI
+ *
+ * Enforced by send_message (canPostMessage, then recordMessagePosted), the
+ * join paths (admissionBlocked) and POST /api/upload.
+ */
+
+export const DEFAULT_SETTINGS = {
+  theme: "default",
+  slowModeSeconds: 0,
+  maxMembers: null,
+  allowGuests: true,
+  guestMediaAllowed: true,
+  aiPersona: "",
+};
+
+const MAX_SLOW_MODE_SECONDS = 60 * 60;
+const MAX_MEMBERS_LIMIT = 1000;
+const MAX_PERSONA_LENGTH = 2000;
+const THEME_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+const fail = (error) => ({ ok: false, error });
+
+const lastMessageAt = createMemoryStore();
+
+/**
+ * Effective settings, defaults filled in. Rooms from before settings
+ * existed kept their theme in room.theme.
+ */
+export function roomSettings(room) {
+  const stored = room?.settings || {};
+  const out = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (stored[key] !== undefined && stored[key] !== null) {
+      out[key] = stored[key];
+    }
+  }
+  if (!stored.theme && room?.theme) out.theme = room.theme;
+  return out;
+}
+
+/**
+ * Validate a partial settings object → { ok, fields } with only the keys
+ * that were sent, or { ok: false, error }.
+ */
+export function validateSettings(patch = {}) {
+  const fields = {};
+
+  if (patch.theme !== undefined) {
+    if (!THEME_PATTERN.test(String(patch.theme))) return fail("INVALID_THEME");
+    fields.theme = String(patch.theme);
+  }
+
+  if (patch.slowModeSeconds !== undefined) {
+    const n = Number(patch.slowModeSeconds);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_SLOW_MODE_SECONDS) {
+      return fail("INVALID_SLOW_MODE");
+    }
+    fields.slowModeSeconds = n;
+  }
+
+  if (patch.maxMembers !== undefined) {
+    if (patch.maxMembers === null || patch.maxMembers === 0) {
+      fields.maxMembers = null;
+    } else {
+      const n = Number(patch.maxMembers);
+      if (!Number.isInteger(n) || n < 2 || n > MAX_MEMBERS_LIMIT) {
+        return fail("INVALID_MAX_MEMBERS");
+      }
+      fields.maxMembers = n;
+    }
+  }
+
+  for (const key of ["allowGuests", "guestMediaAllowed"]) {
+    if (patch[key] !== undefined) {
+      if (typeof patch[key] !== "boolean") return fail("INVALID_SETTINGS");
+      fields[key] = patch[key];
+    }
+  }
+
+  if (patch.aiPersona !== undefined) {
+    const persona = String(patch.aiPersona ?? "").trim();
+    if (persona.length > MAX_PERSONA_LENGTH) return fail("INVALID_AI_PERSONA");
+    fields.aiPersona = persona;
+  }
+
+  if (!Object.keys(fields).length) return fail("NO_CHANGES");
+  return { ok: true, fields };
+}
+
+/**
+ * Owner and co-owners. `changedBy` is looked up from the room, never taken
+ * from the client.
+ */
+export async function updateRoomSettings(io, room, actor, patch) {
+  if (!canManageRoom(room, actor)) return fail("NOT_ALLOWED");
+
+  const validated = validateSettings(patch);
+  if (!validated.ok) return validated;
+
+  for (const [key, value] of Object.entries(validated.fields)) {
+    room.set(`settings.${key}`, value);
+  }
+  await room.save();
+
+  const settings = roomSettings(room);
+
+  if (io) {
+    announceSettings(io, room, actor, validated.fields);
+    await emitRoomUpdated(io, room);
+  }
+
+  return { ok: true, settings };
+}
+
+/**
+ * In-room events for saved settings (`fields` as validated). The room list
+ * update (room_updated) is left to the caller.
+ */
+export function announceSettings(io, room, actor, fields) {
+  const roomKey = room._id.toString();
+  const settings = roomSettings(room);
+  const changedBy =
+    findRoomMember(room, actor)?.name || actor.userEmail || "Someone";
+
+  io.to(roomKey).emit("room_settings_updated", {
+    roomId: roomKey,
+    settings,
+    changed: Object.keys(fields),
+    changedBy,
+  });
+
+  // older clients only listen for the theme event
+  if (fields.theme) {
+    io.to(roomKey).emit("room_theme_changed", {
+      roomId: roomKey,
+      theme: settings.theme,
+      changedBy,
+    });
+    io.to(roomKey).emit("system_message", {
+      content: `${changedBy} changed the room theme to "${settings.theme}"`,
+      timestamp: Date.now(),
+      roomId: roomKey,
+    });
+  }
+}
+
+// ---------- enforcement ----------
+
+/**
+ * Settings (and the owner's plan) that keep a new member out.
+ * → error code or null
+ */
+export async function admissionBlocked(room, identity) {
+  const settings = roomSettings(room);
+  if (identity?.isGuest && !settings.allowGuests) return "GUESTS_NOT_ALLOWED";
+
+  const count = (room.members || []).length;
+  if (settings.maxMembers && count >= settings.maxMembers) return "ROOM_FULL";
+  if (count >= (await memberLimitForRoom(room))) return "ROOM_FULL";
+
+  return null;
+}
+
+/**
+ * Guest media + slow mode for one outgoing message.
+ * → null when allowed, else { reason, retryAfter? }
+ * Only checks: the slow-mode slot is taken by recordMessagePosted() once
+ * the message is saved, so a rejected message never costs the sender one.
+ */
+export async function canPostMessage(room, identity, { hasMedia } = {}) {
+  const settings = roomSettings(room);
+  const role = getRoomRole(room, identity);
+
+  if (hasMedia && role === "guest" && !settings.guestMediaAllowed) {
+    return { reason: "GUEST_MEDIA_DISABLED" };
+  }
+
+  const key = slowModeKey(room, identity);
+  const last = key && (await lastMessageAt.get(key));
+  if (last) {
+    return {
+      reason: "SLOW_MODE",
+      retryAfter: Math.ceil((last.resetAt - Date.now()) / 1000),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Starts the sender's slow-mode wait (no-op when slow mode is off or the
+ * sender is exempt). Call after the message is saved.
+ */
+export async function recordMessagePosted(room, identity) {
+  const key = slowModeKey(room, identity);
+  if (key) {
+    await lastMessageAt.increment(
+      key,
+      roomSettings(room).slowModeSeconds * 1000
+    );
+  }
+}
+
+// null when slow mode doesn't apply to this sender
+function slowModeKey(room, identity) {
+  const { slowModeSeconds } = roomSettings(room);
+  if (!(slowModeSeconds > 0)) return null;
+  if (canModerate(getRoomRole(room, identity), "member")) return null;
+
+  const who = identity.isGuest ? identity.guestId : identity.userId;
+  return `${room._id}:${who}`;
+}
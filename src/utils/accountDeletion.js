@@ -0,0 +1,125 @@
+// src/utils/accountDeletion.js
+import Room from "../models/Room.js";
+import Message from "../models/Message.js";
+import Session from "../models/Session.js";
+import Notification from "../models/Notification.js";
+import ReadState from "../models/ReadState.js";
+import User from "../models/User.js";
+import { pickSuccessor, applyOwnership } from "../services/roomOwnership.js";
+import { destroyRoom } from "../services/roomLifetime.js";
+import { emitRoomUpdated, emitRoomRemoved } from "../services/roomBroadcast.js";
+import { forgetRoom } from "../services/presence.js";
+import { adjustOwnedRooms } from "../services/quotas.js";
+
+/**
+ * Remove a user and everything that points at them.
+ *
+ * - owned rooms → handed to the next co-owner / moderator / member, or
+ *   deleted with their messages and media when nobody is left to inherit them
+ * - membership in other rooms → removed
+ * - messages → kept for the conversation, but detached from the user
+ * - sessions, notifications and read positions → deleted
+ *
+ * With `io`, the other members hear about it the way they would from
+ * delete_room / transfer_ownership / a kick (room_deleted + room_removed,
+ * room_owner_changed, room_updated). The user's own sockets are the
+ * caller's to disconnect.
+ *
+ * → { transferredRooms: [roomId], deletedRooms: [roomId] }
+ */
+export async function deleteUserAccount(user, io = null) {
+  const userId = user._id.toString();
+  const ownIds = [userId, user.email];
+
+  const transferredRooms = [];
+  const deletedRooms = [];
+
+  const owned = await Room.find({ ownerId: user.email });
+  for (const room of owned) {
+    const successor = await pickSuccessor(room, ownIds);
+
+    const roomKey = room._id.toString();
+
+    if (!successor) {
+      await destroyRoom(room);
+      deletedRooms.push(roomKey);
+      if (io) {
+        io.to(roomKey).emit("room_deleted", { roomId: roomKey });
+        io.in(roomKey).socketsLeave(roomKey);
+        forgetRoom(roomKey);
+        emitRoomRemoved(io, room, { reason: "DELETED" });
+      }
+      continue;
+    }
+
+    applyOwnership(room, successor.member, successor.user, {
+      previousOwner: { userId, userEmail: user.email, isGuest: false },
+      keepPrevious: false,
+    });
+    await room.save();
+    await adjustOwnedRooms(room.ownerId, 1);
+    transferredRooms.push(roomKey);
+    if (io) {
+      io.to(roomKey).emit("room_owner_changed", {
+        roomId: roomKey,
+        ownerId: room.ownerId,
+        memberId: String(successor.member.id),
+      });
+      await emitRoomUpdated(io, room);
+    }
+  }
+
+  const joined = await Room.find({ "members.id": { $in: ownIds } });
+  await Room.updateMany(
+    { "members.id": { $in: ownIds } },
+    { $pull: { members: { id: { $in: ownIds } } } }
+  );
+  if (io) {
+    for (const room of joined) {
+      room.members = room.members.filter((m) => !ownIds.includes(String(m.id)));
+      await emitRoomUpdated(io, room);
+    }
+  }
+
+  await Message.updateMany(
+    { senderUser: user._id },
+    {
+      $unset: { senderUser: 1, senderMemberId: 1 },
+      $set: { senderGuestName: "Deleted user" },
+    }
+  );
+
+  await Message.updateMany(
+    { "reactions.userId": { $in: ownIds } },
+    { $pull: { reactions: { userId: { $in: ownIds } } } }
+  );
+
+  await Notification.deleteMany({ recipientId: { $in: ownIds } });
+  await ReadState.deleteMany({ memberId: { $in: ownIds } });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  return { transferredRooms, deletedRooms };
+}
+
+/**
+ * Rooms store the owner's EMAIL (ownerId) and sometimes emails as member
+ * ids, so an email change has to be carried over to them.
+ */
+export async function renameUserEmail(oldEmail, newEmail) {
+  await Room.updateMany({ ownerId: oldEmail }, { ownerId: newEmail });
+  await Room.updateMany(
+    { "members.id": oldEmail },
+    { $set: { "members.$[m].id": newEmail } },
+    { arrayFilters: [{ "m.id": oldEmail }] }
+  );
+  await Notification.updateMany(
+    { recipientId: oldEmail },
+    { recipientId: newEmail }
+  );
+  await ReadState.updateMany({ memberId: oldEmail }, { memberId: newEmail });
+  await Message.updateMany(
+    { senderMemberId: oldEmail },
+    { senderMemberId: newEmail }
+  );
+}
@@ -0,0 +1,128 @@
+// src/utils/googleAuth.js
+import crypto from "crypto";
+import { readFile } from "fs/promises";
+import jwt from "jsonwebtoken";
+
+const DEFAULT_JWKS_URI = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const JWKS_CACHE_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Where the signing keys come from. Defaults to Google's JWKS endpoint.
+ *
+ * GOOGLE_JWKS_URI may point to another https URL or to a local
+ * "file:///path/to/jwks.json" key set (handy for tests / offline dev).
+ * Tests can also swap the loader directly with setGoogleJwksSource().
+ */
+let jwksSource = null;
+let cachedKeys = null;
+let cachedAt = 0;
+
+async function loadJwksFromUri(uri) {
+  if (uri.startsWith("file://")) {
+    const raw = await readFile(new URL(uri), "utf8");
+    return JSON.parse(raw);
+  }
+
+  const resp = await fetch(uri);
+  if (!resp.ok) throw new Error(`JWKS fetch failed (${resp.status})`);
+  return resp.json();
+}
+
+function defaultJwksSource() {
+  return loadJwksFromUri(process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI);
+}
+
+/**
+ * Override the key loader: `async () => ({ keys: [...] })`.
+ * Pass null to go back to GOOGLE_JWKS_URI / Google.
+ */
+export function setGoogleJwksSource(source) {
+  jwksSource = source;
+  cachedKeys = null;
+  cachedAt = 0;
+}
+
+async function getKeys({ forceRefresh = false } = {}) {
+  const fresh = cachedKeys && Date.now() - cachedAt < JWKS_CACHE_MS;
+  if (fresh && !forceRefresh) return cachedKeys;
+
+  const jwks = await (jwksSource || defaultJwksSource)();
+  if (!Array.isArray(jwks?.keys)) throw new Error("JWKS has no keys");
+
+  cachedKeys = jwks.keys;
+  cachedAt = Date.now();
+  return cachedKeys;
+}
+
+function googleTokenError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 401;
+  return err;
+}
+
+/**
+ * Verify a Google ID token (signature, audience, issuer, expiry).
+ *
+ * Returns the verified claims:
+ *   { sub, email, emailVerified, name, picture }
+ *
+ * Throws an Error with `code`:
+ *   MALFORMED_TOKEN | UNKNOWN_KEY | INVALID_TOKEN | TOKEN_EXPIRED | NOT_CONFIGURED
+ */
+export async function verifyGoogleIdToken(idToken) {
+  const audience = process.env.GOOGLE_CLIENT_ID;
+  if (!audience) {
+    const err = googleTokenError(
+      "NOT_CONFIGURED",
+      "GOOGLE_CLIENT_ID is not configured"
+    );
+    err.status = 500;
+    throw err;
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw googleTokenError("MALFORMED_TOKEN", "Malformed Google ID token");
+  }
+
+  // Google rotates keys: refetch once if the kid isn't in our cached set
+  let keys = await getKeys();
+  let jwk = keys.find((k) => k.kid === decoded.header.kid);
+  if (!jwk) {
+    keys = await getKeys({ forceRefresh: true });
+    jwk = keys.find((k) => k.kid === decoded.header.kid);
+  }
+  if (!jwk) {
+    throw googleTokenError("UNKNOWN_KEY", "Unknown Google signing key");
+  }
+
+  let claims;
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      audience: audience.split(",").map((a) => a.trim()),
+      issuer: GOOGLE_ISSUERS,
+    });
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      throw googleTokenError("TOKEN_EXPIRED", "Google ID token expired");
+    }
+    throw googleTokenError("INVALID_TOKEN", "Invalid Google ID token");
+  }
+
+  if (!claims.sub || !claims.email) {
+    throw googleTokenError("INVALID_TOKEN", "Google ID token has no email");
+  }
+
+  return {
+    sub: String(claims.sub),
+    email: String(claims.email),
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || null,
+    picture: claims.picture || null,
+  };
+}
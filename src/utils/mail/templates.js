@@ -0,0 +1,100 @@
+// src/utils/mail/templates.js
+
+/**
+ * Every template returns { subject, html, text }.
+ * Anything request-controlled (actions, user agents) is escaped before it goes
+ * into the HTML version.
+ */
+
+const APP_NAME = "LC_Ai";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Shared wrapper so every email looks the same
+function layout(title, bodyHtml) {
+  return `
+    <div style="font-family:Arial,sans-serif;max-width:480px;margin:auto">
+      <h2>${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="color:#888;font-size:12px">— ${APP_NAME}</p>
+    </div>
+  `;
+}
+
+function codeBlock(code) {
+  return `<h1 style="letter-spacing:4px">${escapeHtml(code)}</h1>`;
+}
+
+// ✅ Signup / email-change verification
+function verification({ code, minutes = 10 }) {
+  return {
+    subject: `Your ${APP_NAME} verification code`,
+    html: layout(
+      `${APP_NAME} verification code`,
+      `${codeBlock(code)}
+      <p>Enter this code to verify your email. It expires in ${minutes} minutes.</p>
+      <p>If you didn't request this, you can ignore this email.</p>`
+    ),
+    text: [
+      `Your ${APP_NAME} verification code: ${code}`,
+      `It expires in ${minutes} minutes.`,
+      "If you didn't request this, you can ignore this email.",
+    ].join("\n\n"),
+  };
+}
+
+// 🔑 Password reset
+function passwordReset({ code, minutes = 10 }) {
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    html: layout(
+      "Password reset",
+      `<p>Use this code to choose a new password:</p>
+      ${codeBlock(code)}
+      <p>It expires in ${minutes} minutes. If you didn't ask for a reset,
+      your password is unchanged and you can ignore this email.</p>`
+    ),
+    text: [
+      `Use this code to reset your ${APP_NAME} password: ${code}`,
+      `It expires in ${minutes} minutes.`,
+      "If you didn't ask for a reset, your password is unchanged and you can ignore this email.",
+    ].join("\n\n"),
+  };
+}
+
+// 🚨 Security alert (password changed, email changed, Google linked…)
+function securityAlert({ action, when = new Date(), ip, userAgent }) {
+  const details = [
+    `When: ${new Date(when).toUTCString()}`,
+    ip ? `IP: ${ip}` : null,
+    userAgent ? `Device: ${userAgent}` : null,
+  ].filter(Boolean);
+
+  return {
+    subject: `${APP_NAME} security alert: ${action}`,
+    html: layout(
+      "Security alert",
+      `<p>${escapeHtml(action)} on your ${APP_NAME} account.</p>
+      <ul>${details.map((d) => `<li>${escapeHtml(d)}</li>`).join("")}</ul>
+      <p>If this wasn't you, reset your password right away.</p>`
+    ),
+    text: [
+      `${action} on your ${APP_NAME} account.`,
+      details.join("\n"),
+      "If this wasn't you, reset your password right away.",
+    ].join("\n\n"),
+  };
+}
+
+export const templates = {
+  verification,
+  passwordReset,
+  securityAlert,
+};
@@ -0,0 +1,137 @@
+// src/utils/mail/transports.js
+import axios from "axios";
+import nodemailer from "nodemailer";
+import path from "path";
+import { mkdir, writeFile } from "fs/promises";
+
+/**
+ * A transport is { name, isDev, send(message) } where message is
+ * { from: { name, email }, to, subject, html, text }.
+ * send() resolves on success and throws on failure.
+ */
+
+// Brevo HTTP API (no SMTP) — sender must be verified in Brevo
+export function createBrevoTransport({ apiKey }) {
+  return {
+    name: "brevo",
+    isDev: false,
+    async send({ from, to, subject, html, text }) {
+      const res = await axios.post(
+        "https://api.brevo.com/v3/smtp/email",
+        {
+          sender: from,
+          to: [{ email: to }],
+          subject,
+          htmlContent: html,
+          textContent: text,
+        },
+        {
+          headers: {
+            "api-key": apiKey,
+            "content-type": "application/json",
+          },
+          timeout: 15000,
+        }
+      );
+      return { id: res.data?.messageId };
+    },
+  };
+}
+
+// Plain SMTP through nodemailer
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    isDev: false,
+    async send({ from, to, subject, html, text }) {
+      const info = await transporter.sendMail({
+        from: `"${from.name}" <${from.email}>`,
+        to,
+        subject,
+        html,
+        text,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+// Local dev: write each email to <dir>/<timestamp>-<to>.json
+export function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    isDev: true,
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+      const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await writeFile(file, JSON.stringify(message, null, 2));
+      return { id: file };
+    },
+  };
+}
+
+// Local dev: print the plain-text version to the server console
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    isDev: true,
+    async send({ to, subject, text }) {
+      console.log(`📧 [mail:console] to=${to} subject="${subject}"\n${text}`);
+      return { id: null };
+    },
+  };
+}
+
+const DEV_TRANSPORTS = ["file", "console"];
+
+/**
+ * Pick a transport from env:
+ *   MAIL_TRANSPORT = brevo | smtp | file | console
+ * Without it: Brevo if BREVO_API_KEY is set, then SMTP if SMTP_HOST is set.
+ * The dev transports (which let routes echo codes back) are never picked
+ * implicitly, and refused when NODE_ENV=production; a missing mail config
+ * is an error rather than a silent fallback.
+ */
+export function createTransportFromEnv(env = process.env) {
+  const kind =
+    env.MAIL_TRANSPORT ||
+    (env.BREVO_API_KEY ? "brevo" : env.SMTP_HOST ? "smtp" : null);
+
+  if (!kind) {
+    throw new Error(
+      "No mail transport configured: set BREVO_API_KEY, SMTP_HOST or MAIL_TRANSPORT=console|file"
+    );
+  }
+  if (DEV_TRANSPORTS.includes(kind) && env.NODE_ENV === "production") {
+    throw new Error(`MAIL_TRANSPORT "${kind}" is not allowed in production`);
+  }
+
+  switch (kind) {
+    case "brevo":
+      return createBrevoTransport({ apiKey: env.BREVO_API_KEY });
+    case "smtp":
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({
+        dir: env.MAIL_FILE_DIR || path.resolve(".mail"),
+      });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+  }
+}
@@ -1,45 +1,82 @@
 // src/utils/mailer.js
-import axios from "axios";
+import { createTransportFromEnv } from "./mail/transports.js";
+import { templates } from "./mail/templates.js";
 
 /**
- * Sends OTP via Brevo HTTP API (NO SMTP)
- * Returns true on success, false on failure
+ * Templated email on top of an interchangeable transport
+ * (see utils/mail/transports.js). The transport is created lazily from env
+ * so dotenv has run by the time we read it; tests can swap it with
+ * setMailTransport().
  */
-export async function sendOtpEmail(toEmail, otpCode) {
-  try {
-    const res = await axios.post(
-      "https://api.brevo.com/v3/smtp/email",
-      {
-        sender: {
-          name: "LC_Ai",
-          email: process.env.SMTP_FROM, // must be verified in Brevo
-        },
-        to: [{ email: toEmail }],
-        subject: "Your LC_Ai OTP Code",
-        htmlContent: `
-          <div style="font-family:Arial,sans-serif">
-            <h2>LC_Ai Verification Code</h2>
-            <h1>${otpCode}</h1>
-            <p>This code expires in 10 minutes.</p>
-          </div>
-        `,
-      },
-      {
-        headers: {
-          "api-key": process.env.BREVO_API_KEY,
-          "content-type": "application/json",
-        },
-        timeout: 15000,
-      }
-    );
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+}
+
+export function setMailTransport(next) {
+  transport = next;
+}
 
-    console.log("✅ OTP email sent via Brevo API:", res.data?.messageId);
+/**
+ * True for the file / console transports (opted into with MAIL_TRANSPORT).
+ * Only then may routes echo codes back (devOtp / devResetToken), since no
+ * real email is delivered. Never true in production.
+ */
+export function isDevMailTransport() {
+  if (process.env.NODE_ENV === "production") return false;
+  return !!getTransport().isDev;
+}
+
+/**
+ * sendMail(to, templateName, data)
+ * Returns true on success, false when the transport fails.
+ */
+export async function sendMail(to, templateName, data = {}) {
+  const render = templates[templateName];
+  if (!render) throw new Error(`Unknown email template "${templateName}"`);
+
+  const { subject, html, text } = render(data);
+  let t = null;
+
+  try {
+    // creating the transport can throw too (missing / bad env)
+    t = getTransport();
+    const result = await t.send({
+      from: { name: "LC_Ai", email: process.env.SMTP_FROM },
+      to,
+      subject,
+      html,
+      text,
+    });
+    console.log(`✅ Email "${templateName}" sent via ${t.name}:`, result?.id);
     return true;
   } catch (err) {
     console.error(
-      "❌ OTP email failed via Brevo API:",
+      `❌ Email "${templateName}" failed via ${t?.name || "(no transport)"}:`,
       err.response?.data || err.message
     );
     return false;
   }
 }
+
+export function sendVerificationEmail(toEmail, code) {
+  return sendMail(toEmail, "verification", { code });
+}
+
+export function sendPasswordResetEmail(toEmail, code) {
+  return sendMail(toEmail, "passwordReset", { code });
+}
+
+/**
+ * Fire-and-forget: a failed alert must never fail the request itself.
+ * `req` (optional) adds IP / device details.
+ */
+export function sendSecurityAlertEmail(toEmail, action, req) {
+  sendMail(toEmail, "securityAlert", {
+    action,
+    ip: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+  }).catch(() => {});
+}
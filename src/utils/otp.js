@@ -1,3 +1,80 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+
+export const MAX_CODE_ATTEMPTS = 5;
+export const CODE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+
 export function generateOtpCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+/**
+ * Constant-time comparison so response timing doesn't leak digits.
+ */
+export function codesMatch(expected, provided) {
+  if (!expected || provided === undefined || provided === null) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Which User fields back each kind of one-time code
+const CODE_FIELDS = {
+  otp: {
+    attempts: "otpAttempts",
+    lockedUntil: "otpLockedUntil",
+    code: "otpCode",
+    expiresAt: "otpExpiresAt",
+  },
+  reset: {
+    attempts: "resetAttempts",
+    lockedUntil: "resetLockedUntil",
+    code: "resetPasswordToken",
+    expiresAt: "resetPasswordExpiresAt",
+  },
+  email: {
+    attempts: "emailChangeAttempts",
+    lockedUntil: "emailChangeLockedUntil",
+    code: "emailChangeCode",
+    expiresAt: "emailChangeExpiresAt",
+  },
+};
+
+export function isCodeLocked(user, kind) {
+  const lockedUntil = user?.[CODE_FIELDS[kind].lockedUntil];
+  return !!lockedUntil && lockedUntil > new Date();
+}
+
+/**
+ * Count a wrong guess atomically (parallel requests can't skip the count).
+ * On the MAX_CODE_ATTEMPTS-th failure the code is thrown away and the
+ * account is locked for CODE_LOCK_MS — a new code must be requested after.
+ *
+ * → { locked, attemptsLeft }
+ */
+export async function registerFailedAttempt(user, kind) {
+  const f = CODE_FIELDS[kind];
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { [f.attempts]: 1 } },
+    { new: true }
+  );
+  const attempts = updated?.[f.attempts] || 0;
+
+  if (attempts >= MAX_CODE_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          [f.attempts]: 0,
+          [f.lockedUntil]: new Date(Date.now() + CODE_LOCK_MS),
+        },
+        $unset: { [f.code]: 1, [f.expiresAt]: 1 },
+      }
+    );
+    return { locked: true, attemptsLeft: 0 };
+  }
+
+  return { locked: false, attemptsLeft: MAX_CODE_ATTEMPTS - attempts };
 }
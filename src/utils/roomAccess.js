@@ -0,0 +1,117 @@
+// src/utils/roomAccess.js
+
+/**
+ * Identity shape shared by sockets (socket.data) and REST (req.auth):
+ *   { userId, userEmail, isGuest, guestId }
+ *
+ * Rooms store ownerId as the owner's EMAIL, and members[].id as either the
+ * userId, the email (older rooms) or a "guest_xxx" id.
+ */
+
+export function isRoomOwner(room, identity) {
+  if (!room || !identity || identity.isGuest) return false;
+  const ownerId = String(room.ownerId);
+  return (
+    (!!identity.userEmail && ownerId === identity.userEmail) ||
+    (!!identity.userId && ownerId === String(identity.userId))
+  );
+}
+
+export function findRoomMember(room, identity) {
+  if (!room || !identity) return null;
+  const members = Array.isArray(room.members) ? room.members : [];
+
+  if (identity.isGuest) {
+    if (!identity.guestId) return null;
+    return members.find((m) => String(m.id) === identity.guestId) || null;
+  }
+
+  return (
+    members.find(
+      (m) =>
+        (identity.userId && String(m.id) === String(identity.userId)) ||
+        (identity.userEmail && String(m.id) === identity.userEmail)
+    ) || null
+  );
+}
+
+export function isRoomMember(room, identity) {
+  return isRoomOwner(room, identity) || !!findRoomMember(room, identity);
+}
+
+// ---------- Roles ----------
+
+/**
+ * owner     → the account in room.ownerId (exactly one)
+ * co-owner  → named by the owner; manages the room like the owner, but
+ *             can't delete it, transfer it or name other co-owners
+ * moderator → kick / ban / mute members and guests
+ */
+export const ROOM_ROLES = ["owner", "co-owner", "moderator", "member", "guest"];
+
+const ROLE_RANK = {
+  owner: 4,
+  "co-owner": 3,
+  moderator: 2,
+  member: 1,
+  guest: 0,
+};
+
+/**
+ * "owner" | "co-owner" | "moderator" | "member" | "guest" | null (not in the room)
+ */
+export function getRoomRole(room, identity) {
+  if (isRoomOwner(room, identity)) return "owner";
+  const member = findRoomMember(room, identity);
+  if (!member) return null;
+  return ROLE_RANK[member.role] !== undefined && member.role !== "owner"
+    ? member.role
+    : "member";
+}
+
+export function roleRank(role) {
+  return ROLE_RANK[role] ?? -1;
+}
+
+/**
+ * Rename, AI toggle, settings…: the owner and co-owners.
+ */
+export function canManageRoom(room, identity) {
+  return roleRank(getRoomRole(room, identity)) >= ROLE_RANK["co-owner"];
+}
+
+/**
+ * Owners and moderators can moderate anyone strictly below them.
+ */
+export function canModerate(actorRole, targetRole) {
+  return (
+    roleRank(actorRole) >= ROLE_RANK.moderator &&
+    roleRank(actorRole) > roleRank(targetRole)
+  );
+}
+
+/**
+ * Does a members[].id / bans[].id value belong to the identity? Used to find a target's sockets and to enforce bans.
+ */
+export function memberMatchesIdentity(memberId, identity) {
+  if (!memberId || !identity) return false;
+  const id = String(memberId);
+  if (identity.isGuest) return !!identity.guestId && id === identity.guestId;
+  return (
+    (!!identity.userId && id === String(identity.userId)) ||
+    (!!identity.userEmail && id === identity.userEmail)
+  );
+}
+
+export function isBannedFromRoom(room, identity) {
+  const bans = Array.isArray(room?.bans) ? room.bans : [];
+  return bans.some((b) => memberMatchesIdentity(b.id, identity));
+}
+
+/**
+ * → Date while the member is muted, otherwise null
+ */
+export function activeMuteUntil(member) {
+  const until = member?.mutedUntil ? new Date(member.mutedUntil) : null;
+  return until && until > new Date() ? until : null;
+}
@@ -0,0 +1,38 @@
+// src/utils/roomMedia.js
+import cloudinary from "../config/cloudinary.js";
+
+/**
+ * Uploads made for a room live under <CLOUDINARY_FOLDER>/rooms/<roomId>, so
+ * everything a room uploaded can be removed together with the room.
+ */
+export function roomMediaFolder(roomId) {
+  const folder = process.env.CLOUDINARY_FOLDER || "lc_ai_uploads";
+  return `${folder}/rooms/${roomId}`;
+}
+
+/**
+ * Delete every asset in the room's folder. Never throws: a Cloudinary
+ * outage must not keep an expired room around.
+ */
+export async function deleteRoomMedia(roomId) {
+  const prefix = `${roomMediaFolder(roomId)}/`;
+
+  for (const resource_type of ["image", "video", "raw"]) {
+    try {
+      await cloudinary.api.delete_resources_by_prefix(prefix, {
+        resource_type,
+      });
+    } catch (err) {
+      console.error(
+        `❌ Media cleanup (${resource_type}) failed for room ${roomId}:`,
+        err.message || err
+      );
+    }
+  }
+
+  try {
+    await cloudinary.api.delete_folder(roomMediaFolder(roomId));
+  } catch {
+    // folder never existed (no uploads) or still has derived assets
+  }
+}
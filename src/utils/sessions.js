@@ -0,0 +1,170 @@
+// src/utils/sessions.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { signToken } from "./token.js";
+
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Pull device info from the request for the "active sessions" list.
+ */
+function deviceInfo(req) {
+  return {
+    deviceName: req?.body?.deviceName
+      ? String(req.body.deviceName).slice(0, 64)
+      : undefined,
+    userAgent: req?.get?.("user-agent")?.slice(0, 256),
+    ip: req?.ip,
+  };
+}
+
+/**
+ * Start a new session for `user` and return both tokens.
+ * → { token, refreshToken, session }
+ */
+export async function createSession(user, req) {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...deviceInfo(req),
+  });
+
+  return {
+    token: signToken(user, session._id.toString()),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ *
+ * The secret is swapped in one conditional update, so of two concurrent
+ * refreshes with the same token exactly one wins. Presenting an old
+ * (already rotated) refresh token means it was copied, so the whole session
+ * is revoked.
+ *
+ * → { token, refreshToken, session, user } or { error }
+ */
+export async function rotateSession(rawRefreshToken, req) {
+  const [sessionId, secret] = String(rawRefreshToken || "").split(".");
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: "INVALID_REFRESH_TOKEN" };
+  }
+
+  const now = new Date();
+  const live = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+  const next = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    { ...live, refreshTokenHash: hashSecret(secret) },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(next),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...(req?.ip ? { ip: req.ip } : {}),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // a live session with another secret → this token was already used
+    const reused = await Session.updateOne(live, {
+      revokedAt: now,
+      revokedReason: "token_reuse",
+    });
+    return {
+      error: reused.modifiedCount ? "REFRESH_TOKEN_REUSED" : "SESSION_REVOKED",
+    };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) return { error: "SESSION_REVOKED" };
+
+  return {
+    token: signToken(user, session._id.toString()),
+    refreshToken: `${session._id}.${next}`,
+    session,
+    user,
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout without a valid
+ * access token). The secret must match, so a bare session id isn't enough.
+ */
+export async function revokeByRefreshToken(rawRefreshToken, reason = "logout") {
+  const [sessionId, secret] = String(rawRefreshToken || "").split(".");
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * True while the session behind an access token's `sid` is usable.
+ */
+export async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.findById(sessionId)
+    .select("revokedAt expiresAt")
+    .lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+export async function revokeSession(sessionId, userId, reason = "logout") {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere"),
+ * optionally keeping one (the caller's current session).
+ */
+export async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+}
+
+export async function listActiveSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
@@ -0,0 +1,99 @@
+// src/utils/token.js
+import jwt from "jsonwebtoken";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const GUEST_TOKEN_TTL = process.env.GUEST_TOKEN_TTL || "30d";
+
+/**
+ * Issue the short-lived access JWT handed to the frontend.
+ * Claims: { userId, email, sid } — `sid` is the Session it belongs to
+ * (see utils/sessions.js); the refresh token renews it.
+ */
+export function signToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a JWT issued by signToken.
+ * Returns { userId, email, sessionId } or null when the token is missing,
+ * malformed, expired, signed with another secret or has no session.
+ *
+ * This only checks the signature; callers that must honour logout also
+ * check isSessionActive(sessionId).
+ */
+export function verifyToken(token) {
+  if (!token || typeof token !== "string") return null;
+
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET);
+    // single-purpose tokens (see signPurposeToken) are never login tokens
+    if (!claims?.userId || !claims.sid || claims.purpose) return null;
+
+    return {
+      userId: String(claims.userId),
+      email: claims.email || null,
+      sessionId: String(claims.sid),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Short-lived token for one specific step (e.g. "google-link").
+ * Rejected by verifyToken, so it can't be used to log in.
+ */
+export function signPurposeToken(purpose, payload, expiresIn = "10m") {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, {
+    expiresIn,
+  });
+}
+
+/**
+ * Returns the payload if the token is valid AND was issued for `purpose`.
+ */
+export function verifyPurposeToken(token, purpose) {
+  if (!token || typeof token !== "string") return null;
+
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET);
+    return claims?.purpose === purpose ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Proof of a guest identity, handed out by the server with the "guest_xxx"
+ * id it minted (POST /api/auth/guest, join_room_guest). Guests send it back
+ * as `X-Guest-Token` or the socket handshake's `auth.guestToken`; a bare
+ * guest id is never trusted, since member ids are visible to everyone.
+ */
+export function signGuestToken(guestId) {
+  return signPurposeToken("guest", { guestId }, GUEST_TOKEN_TTL);
+}
+
+/**
+ * → the guest id, or null when the token isn't a valid guest token
+ */
+export function verifyGuestToken(token) {
+  const claims = verifyPurposeToken(token, "guest");
+  const guestId = claims?.guestId;
+  return typeof guestId === "string" && guestId.startsWith("guest_")
+    ? guestId
+    : null;
+}
+
+/**
+ * "Bearer abc.def.ghi" → "abc.def.ghi"
+ */
+export function extractBearerToken(header) {
+  if (!header || typeof header !== "string") return null;
+  const [scheme, value] = header.split(" ");
+  if (!/^Bearer$/i.test(scheme) || !value) return null;
+  return value.trim();
+}
@@ -0,0 +1,161 @@
+// test/account.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import authRoutes from "../src/routes/authRoutes.js";
+import { signToken } from "../src/utils/token.js";
+import { setMailTransport } from "../src/utils/mailer.js";
+import { deleteUserAccount } from "../src/utils/accountDeletion.js";
+import {
+  fakeDb,
+  fakeIo,
+  fakeSocket,
+  roomDoc,
+  serve,
+} from "./helpers/fixtures.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const userId = "64b000000000000000000001";
+const ann = {
+  _id: userId,
+  name: "Ann",
+  email: "ann@example.com",
+  provider: "local",
+};
+const session = (fields = {}) => ({
+  user: userId,
+  refreshTokenHash: "x",
+  expiresAt: new Date(Date.now() + 60000),
+  revokedAt: null,
+  ...fields,
+});
+
+test("confirming an email change signs out every device", async (t) => {
+  const db = fakeDb(t, {
+    users: [
+      {
+        ...ann,
+        pendingEmail: "new@example.com",
+        emailChangeCode: "123456",
+        emailChangeExpiresAt: new Date(Date.now() + 60000),
+      },
+    ],
+    sessions: [session(), session()],
+    rooms: [
+      roomDoc({
+        name: "Lobby",
+        ownerId: ann.email,
+        members: [{ id: ann.email, name: "Ann", role: "owner" }],
+      }),
+    ],
+  });
+  const [current, other] = db.sessions;
+  const phone = fakeSocket({
+    data: { userId, sessionId: String(other._id), isGuest: false },
+  });
+  const request = await serve(t, authRoutes, {
+    io: fakeIo({ sockets: [phone] }),
+  });
+
+  const res = await request("POST", "/me/email/confirm", {
+    headers: { authorization: `Bearer ${signToken(ann, String(current._id))}` },
+    body: { code: "123456" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.email, "new@example.com");
+  assert.ok(res.body.token);
+  assert.equal(db.sessions.length, 3);
+  assert.ok(current.revokedAt && other.revokedAt);
+  assert.equal(db.sessions[2].revokedAt, null);
+  assert.equal(phone.disconnected, true);
+  // rooms keep pointing at the account
+  assert.equal(db.rooms[0].ownerId, "new@example.com");
+  assert.equal(db.rooms[0].members[0].id, "new@example.com");
+});
+
+test("password reset answers the same whether or not the email went out", async (t) => {
+  fakeDb(t, { users: [ann] });
+  const request = await serve(t, authRoutes);
+  setMailTransport({
+    name: "broken",
+    send: async () => {
+      throw new Error("SMTP down");
+    },
+  });
+  t.after(() => setMailTransport(null));
+  t.mock.method(console, "error", () => {});
+
+  const known = await request("POST", "/password-reset/request", {
+    body: { email: ann.email },
+  });
+  const unknown = await request("POST", "/password-reset/request", {
+    body: { email: "nobody@example.com" },
+  });
+
+  assert.equal(known.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+});
+
+test("deleting an account hands owned rooms on and detaches the rest", async (t) => {
+  const db = fakeDb(t, {
+    users: [
+      ann,
+      { _id: "64b000000000000000000002", name: "Cy", email: "cy@example.com" },
+    ],
+    sessions: [session()],
+    rooms: [
+      roomDoc({
+        name: "Shared",
+        ownerId: ann.email,
+        members: [
+          { id: ann.email, name: "Ann", role: "owner" },
+          { id: "64b000000000000000000002", name: "Cy", role: "co-owner" },
+        ],
+      }),
+      roomDoc({
+        name: "Solo",
+        ownerId: ann.email,
+        members: [{ id: ann.email, name: "Ann", role: "owner" }],
+      }),
+      roomDoc({
+        name: "Elsewhere",
+        ownerId: "cy@example.com",
+        members: [
+          { id: "cy@example.com", name: "Cy", role: "owner" },
+          { id: userId, name: "Ann", role: "member" },
+        ],
+      }),
+    ],
+    messages: [
+      {
+        room: "64b0000000000000000000aa",
+        role: "user",
+        content: "hi",
+        senderUser: userId,
+      },
+    ],
+  });
+  const [shared, solo, elsewhere] = db.rooms;
+  const io = fakeIo();
+
+  const result = await deleteUserAccount(db.users[0], io);
+
+  assert.deepEqual(result.transferredRooms, [String(shared._id)]);
+  assert.deepEqual(result.deletedRooms, [String(solo._id)]);
+  assert.equal(db.rooms.length, 2);
+  assert.equal(shared.ownerId, "cy@example.com");
+  assert.deepEqual(
+    elsewhere.members.map((m) => m.id),
+    ["cy@example.com"]
+  );
+  assert.equal(db.messages[0].senderUser, undefined);
+  assert.equal(db.messages[0].senderGuestName, "Deleted user");
+  assert.equal(db.sessions.length, 0);
+  assert.deepEqual(
+    db.users.map((u) => u.email),
+    ["cy@example.com"]
+  );
+  assert.equal(io.events("room_deleted").length, 1);
+  assert.equal(io.events("room_owner_changed")[0].ownerId, "cy@example.com");
+});
@@ -0,0 +1,140 @@
+// test/auth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Session from "../src/models/Session.js";
+import Room from "../src/models/Room.js";
+import {
+  signToken,
+  signGuestToken,
+  signPurposeToken,
+} from "../src/utils/token.js";
+import {
+  authenticate,
+  requireUser,
+  requireIdentity,
+  requireRoomMember,
+} from "../src/middleware/auth.js";
+import {
+  fakeModel,
+  fakeReq,
+  roomDoc,
+  runMiddleware,
+} from "./helpers/fixtures.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const user = { _id: "64b000000000000000000001", email: "ann@example.com" };
+
+function sessions(t, fields = {}) {
+  return fakeModel(t, Session, [
+    {
+      user: user._id,
+      refreshTokenHash: "x",
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      ...fields,
+    },
+  ]);
+}
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+test("a bearer token with a live session sets req.auth", async (t) => {
+  const [session] = sessions(t);
+  const req = fakeReq(bearer(signToken(user, String(session._id))));
+
+  const { nextCalled, error } = await runMiddleware(authenticate, req);
+  assert.equal(nextCalled, true);
+  assert.equal(error, null);
+  assert.deepEqual(req.auth, {
+    userId: user._id,
+    userEmail: user.email,
+    isGuest: false,
+    guestId: null,
+    sessionId: String(session._id),
+  });
+});
+
+test("bad, purpose-only and revoked tokens get a 401", async (t) => {
+  const [session] = sessions(t, { revokedAt: new Date() });
+  const tokens = [
+    "nope",
+    signPurposeToken("google-link", { userId: user._id }),
+    signToken(user, String(session._id)),
+  ];
+
+  for (const token of tokens) {
+    const { res, nextCalled } = await runMiddleware(
+      authenticate,
+      fakeReq(bearer(token))
+    );
+    assert.equal(res.statusCode, 401);
+    assert.equal(nextCalled, false);
+  }
+});
+
+test("guests need a signed X-Guest-Token, a bare guest id is refused", async () => {
+  const req = fakeReq({
+    headers: { "X-Guest-Token": signGuestToken("guest_abc") },
+  });
+  await runMiddleware(authenticate, req);
+  assert.equal(req.auth.isGuest, true);
+  assert.equal(req.auth.guestId, "guest_abc");
+  assert.equal(req.auth.userEmail, null);
+
+  const forged = await runMiddleware(
+    authenticate,
+    fakeReq({ headers: { "X-Guest-Token": "guest_abc" } })
+  );
+  assert.equal(forged.res.statusCode, 401);
+});
+
+test("no credentials leave the request anonymous", async () => {
+  const req = fakeReq();
+  const { nextCalled } = await runMiddleware(authenticate, req);
+  assert.equal(nextCalled, true);
+  assert.equal(req.auth, null);
+});
+
+test("requireUser turns guests away, requireIdentity lets them in", async () => {
+  const guest = fakeReq({ auth: { isGuest: true, guestId: "guest_abc" } });
+
+  assert.equal((await runMiddleware(requireUser, guest)).res.statusCode, 401);
+  assert.equal((await runMiddleware(requireIdentity, guest)).nextCalled, true);
+  assert.equal(
+    (await runMiddleware(requireIdentity, fakeReq({ auth: null }))).res
+      .statusCode,
+    401
+  );
+});
+
+test("requireRoomMember loads the room for members only", async (t) => {
+  const [room] = fakeModel(t, Room, [
+    roomDoc({
+      name: "Lobby",
+      ownerId: "o@example.com",
+      members: [{ id: user._id, name: "Ann", role: "member" }],
+    }),
+  ]);
+  const check = requireRoomMember();
+  const params = { roomId: String(room._id) };
+
+  const member = fakeReq({ auth: { userId: user._id }, params });
+  assert.equal((await runMiddleware(check, member)).nextCalled, true);
+  assert.equal(member.room.name, "Lobby");
+
+  const outsider = fakeReq({ auth: { userId: "someone-else" }, params });
+  assert.equal((await runMiddleware(check, outsider)).res.statusCode, 403);
+
+  const missing = fakeReq({
+    auth: { userId: user._id },
+    params: { roomId: "64b0000000000000000000ff" },
+  });
+  assert.equal((await runMiddleware(check, missing)).res.statusCode, 404);
+
+  const invalid = fakeReq({
+    auth: { userId: user._id },
+    params: { roomId: "x" },
+  });
+  assert.equal((await runMiddleware(check, invalid)).res.statusCode, 400);
+});
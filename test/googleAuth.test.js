@@ -0,0 +1,144 @@
+// test/googleAuth.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../src/models/User.js";
+import Session from "../src/models/Session.js";
+import authRoutes from "../src/routes/authRoutes.js";
+import {
+  verifyGoogleIdToken,
+  setGoogleJwksSource,
+} from "../src/utils/googleAuth.js";
+import { fakeModel, serve } from "./helpers/fixtures.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "k1", alg: "RS256" };
+
+const savedClientId = process.env.GOOGLE_CLIENT_ID;
+before(() => {
+  process.env.GOOGLE_CLIENT_ID = "client-123";
+  setGoogleJwksSource(async () => ({ keys: [jwk] }));
+});
+after(() => {
+  setGoogleJwksSource(null);
+  if (savedClientId === undefined) delete process.env.GOOGLE_CLIENT_ID;
+  else process.env.GOOGLE_CLIENT_ID = savedClientId;
+});
+
+function idToken(claims = {}, { kid = "k1", expiresIn = "5m" } = {}) {
+  return jwt.sign(
+    {
+      sub: "g-1",
+      email: "ann@example.com",
+      email_verified: true,
+      name: "Ann",
+      ...claims,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      audience: "client-123",
+      issuer: "https://accounts.google.com",
+      expiresIn,
+    }
+  );
+}
+
+const code = (promise) =>
+  promise.then(
+    () => null,
+    (err) => err.code
+  );
+
+test("verifyGoogleIdToken returns the verified claims", async () => {
+  assert.deepEqual(await verifyGoogleIdToken(idToken()), {
+    sub: "g-1",
+    email: "ann@example.com",
+    emailVerified: true,
+    name: "Ann",
+    picture: null,
+  });
+});
+
+test("verifyGoogleIdToken refuses forged, foreign and expired tokens", async () => {
+  const forged = jwt.sign({ sub: "g-1", email: "a@b.c" }, "secret", {
+    keyid: "k1",
+  });
+  const foreign = jwt.sign({ sub: "g-1", email: "a@b.c" }, privateKey, {
+    algorithm: "RS256",
+    keyid: "k1",
+    audience: "someone-else",
+    issuer: "https://accounts.google.com",
+  });
+
+  assert.equal(await code(verifyGoogleIdToken("junk")), "MALFORMED_TOKEN");
+  assert.equal(await code(verifyGoogleIdToken(forged)), "INVALID_TOKEN");
+  assert.equal(await code(verifyGoogleIdToken(foreign)), "INVALID_TOKEN");
+  assert.equal(
+    await code(verifyGoogleIdToken(idToken({}, { expiresIn: -10 }))),
+    "TOKEN_EXPIRED"
+  );
+  assert.equal(
+    await code(verifyGoogleIdToken(idToken({}, { kid: "k2" }))),
+    "UNKNOWN_KEY"
+  );
+});
+
+// ---------- POST /google ----------
+
+async function google(t, users) {
+  const stored = fakeModel(t, User, users);
+  fakeModel(t, Session);
+  const request = await serve(t, authRoutes);
+  return { stored, post: (body) => request("POST", "/google", { body }) };
+}
+
+test("a new Google user gets an account and a session", async (t) => {
+  const { stored, post } = await google(t, []);
+  const res = await post({ idToken: idToken() });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token && res.body.refreshToken);
+  assert.equal(res.body.user.provider, "google");
+  assert.equal(stored[0].googleId, "g-1");
+});
+
+test("a local account with that email must confirm the link first", async (t) => {
+  const { stored, post } = await google(t, [
+    { name: "Ann", email: "ann@example.com", provider: "local" },
+  ]);
+  const res = await post({ idToken: idToken() });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "LINK_REQUIRED");
+  assert.ok(res.body.linkToken);
+  assert.equal(stored[0].googleId, undefined);
+});
+
+test("an account linked to another Google id is never re-pointed", async (t) => {
+  const { stored, post } = await google(t, [
+    {
+      name: "Ann",
+      email: "ann@example.com",
+      provider: "google",
+      googleId: "g-0",
+    },
+  ]);
+  const res = await post({ idToken: idToken() });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "GOOGLE_ACCOUNT_CONFLICT");
+  assert.equal(stored[0].googleId, "g-0");
+});
+
+test("unverified Google emails can't sign up", async (t) => {
+  const { post } = await google(t, []);
+  const res = await post({ idToken: idToken({ email_verified: false }) });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,732 @@
+// test/helpers/fixtures.js
+import express from "express";
+import mongoose from "mongoose";
+import cloudinary from "../../src/config/cloudinary.js";
+import Message from "../../src/models/Message.js";
+import Notification from "../../src/models/Notification.js";
+import ReadState from "../../src/models/ReadState.js";
+import Room from "../../src/models/Room.js";
+import RoomInvite from "../../src/models/RoomInvite.js";
+import Session from "../../src/models/Session.js";
+import UsageCounter from "../../src/models/UsageCounter.js";
+import User from "../../src/models/User.js";
+
+/**
+ * Shared test doubles. Nothing here talks to MongoDB or a real socket
+ * server; every fake is installed with `t.mock` and undone after the test.
+ */
+
+// ---------- an in-memory collection behind a Mongoose model ----------
+
+const isPlainObject = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  (value.constructor === Object || Object.getPrototypeOf(value) === null);
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, clone(v)])
+    );
+  }
+  return value;
+}
+
+function same(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    return String(a) === String(b);
+  }
+  return a === b;
+}
+
+function order(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// "members.id" on { members: [{ id }] } → every member's id
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.flatMap((item) => item?.[key]);
+    }
+    return value[key];
+  }, doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+const isOperatorObject = (cond) =>
+  isPlainObject(cond) &&
+  Object.keys(cond).length > 0 &&
+  Object.keys(cond).every((key) => key.startsWith("$"));
+
+function exprValue(doc, operand) {
+  return typeof operand === "string" && operand.startsWith("$")
+    ? getPath(doc, operand.slice(1))
+    : operand;
+}
+
+function matchesValue(value, cond) {
+  if (cond instanceof RegExp) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.some((v) => typeof v === "string" && cond.test(v));
+  }
+  if (isOperatorObject(cond)) {
+    return Object.entries(cond).every(([op, arg]) =>
+      matchesOperator(value, op, arg, cond)
+    );
+  }
+  if (Array.isArray(value) && !Array.isArray(cond)) {
+    return value.some((v) => matchesValue(v, cond));
+  }
+  if (Array.isArray(cond)) {
+    return (
+      Array.isArray(value) &&
+      value.length === cond.length &&
+      value.every((v, i) => same(v, cond[i]))
+    );
+  }
+  return same(value, cond);
+}
+
+function matchesOperator(value, op, arg, cond) {
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case "$eq":
+      return matchesValue(value, arg);
+    case "$ne":
+      return !matchesValue(value, arg);
+    case "$in":
+      return arg.some((a) => matchesValue(value, a));
+    case "$nin":
+      return !arg.some((a) => matchesValue(value, a));
+    case "$lt":
+      return values.some((v) => v != null && order(v, arg) < 0);
+    case "$lte":
+      return values.some((v) => v != null && order(v, arg) <= 0);
+    case "$gt":
+      return values.some((v) => v != null && order(v, arg) > 0);
+    case "$gte":
+      return values.some((v) => v != null && order(v, arg) >= 0);
+    case "$exists":
+      return (value !== undefined) === !!arg;
+    case "$all":
+      return arg.every((a) => matchesValue(value, a));
+    case "$size":
+      return Array.isArray(value) && value.length === arg;
+    case "$elemMatch":
+      return (
+        Array.isArray(value) &&
+        value.some((item) =>
+          isOperatorObject(arg) ? matchesValue(item, arg) : matches(item, arg)
+        )
+      );
+    case "$regex": {
+      const pattern = new RegExp(arg, cond.$options || "");
+      return values.some((v) => typeof v === "string" && pattern.test(v));
+    }
+    case "$options":
+      return true;
+    default:
+      throw new Error(`fakeModel: unsupported query operator ${op}`);
+  }
+}
+
+const EXPR = {
+  $lt: (a, b) => order(a, b) < 0,
+  $lte: (a, b) => order(a, b) <= 0,
+  $gt: (a, b) => order(a, b) > 0,
+  $gte: (a, b) => order(a, b) >= 0,
+  $eq: (a, b) => same(a, b),
+  $ne: (a, b) => !same(a, b),
+};
+
+/**
+ * Does a plain document match a Mongo filter? Covers the operators the
+ * services use ($in, $gt, $or, $elemMatch, $expr comparisons, …).
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter || {}).every(([field, cond]) => {
+    if (field === "$or") return cond.some((f) => matches(doc, f));
+    if (field === "$and") return cond.every((f) => matches(doc, f));
+    if (field === "$nor") return !cond.some((f) => matches(doc, f));
+    if (field === "$expr") {
+      return Object.entries(cond).every(([op, [a, b]]) =>
+        EXPR[op](exprValue(doc, a), exprValue(doc, b))
+      );
+    }
+    if (field === "$text") return true;
+    return matchesValue(getPath(doc, field), cond);
+  });
+}
+
+// $set on "members.$[m].id" with arrayFilters [{ "m.id": … }]
+function setFiltered(doc, path, value, arrayFilters = []) {
+  const [, arrayPath, name, rest] = path.match(/^(.+)\.\$\[(\w+)\]\.(.+)$/);
+  const filter = Object.fromEntries(
+    arrayFilters
+      .flatMap((f) => Object.entries(f))
+      .filter(([key]) => key.startsWith(`${name}.`))
+      .map(([key, cond]) => [key.slice(name.length + 1), cond])
+  );
+  for (const item of getPath(doc, arrayPath) || []) {
+    if (matches(item, filter)) setPath(item, rest, clone(value));
+  }
+}
+
+/**
+ * Apply an update ({ $set, $inc, $push, … } or plain fields) in place.
+ */
+export function applyUpdate(
+  doc,
+  update = {},
+  { inserting = false, arrayFilters } = {}
+) {
+  const ops = Object.keys(update).some((key) => key.startsWith("$"))
+    ? update
+    : { $set: update };
+
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [path, arg] of Object.entries(fields || {})) {
+      if (op === "$set" && path.includes(".$[")) {
+        setFiltered(doc, path, arg, arrayFilters);
+        continue;
+      }
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(arg));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(arg));
+          break;
+        case "$unset":
+          setPath(doc, path, undefined);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + arg);
+          break;
+        case "$max":
+          if (current == null || order(arg, current) > 0) {
+            setPath(doc, path, clone(arg));
+          }
+          break;
+        case "$push": {
+          const list = Array.isArray(current) ? current : [];
+          const each = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          let next = [...list, ...each.map(clone)];
+          if (isPlainObject(arg) && "$slice" in arg) {
+            next = arg.$slice < 0 ? next.slice(arg.$slice) : next;
+            if (arg.$slice >= 0) next = next.slice(0, arg.$slice);
+          }
+          setPath(doc, path, next);
+          break;
+        }
+        case "$addToSet": {
+          const list = Array.isArray(current) ? current : [];
+          const each = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          const next = [...list];
+          for (const item of each) {
+            if (!next.some((v) => same(v, item))) next.push(clone(item));
+          }
+          setPath(doc, path, next);
+          break;
+        }
+        case "$pull": {
+          const list = Array.isArray(current) ? current : [];
+          setPath(
+            doc,
+            path,
+            list.filter((item) =>
+              isPlainObject(arg) && !isOperatorObject(arg)
+                ? !matches(item, arg)
+                : !matchesValue(item, arg)
+            )
+          );
+          break;
+        }
+        default:
+          throw new Error(`fakeModel: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+function sortDocs(docs, spec) {
+  const keys = Object.entries(spec || {}).filter(
+    ([, dir]) => typeof dir === "number"
+  );
+  return [...docs].sort((a, b) => {
+    for (const [path, dir] of keys) {
+      const diff = order(getPath(a, path) ?? "", getPath(b, path) ?? "");
+      if (diff) return dir * diff;
+    }
+    return 0;
+  });
+}
+
+// fields a plain filter pins down, used as the base of an upsert
+function equalityFields(filter) {
+  const doc = {};
+  for (const [path, cond] of Object.entries(filter || {})) {
+    if (!path.startsWith("$") && !isOperatorObject(cond)) {
+      setPath(doc, path, clone(cond));
+    }
+  }
+  return doc;
+}
+
+/**
+ * fakeModel(t, Model, docs?)
+ *
+ * Swaps the model's query statics (find, findOne, updateOne,
+ * findOneAndUpdate, create, deleteMany, …) and document save / deleteOne
+ * for an in-memory collection, for the length of test `t`. Queries honour
+ * sort / skip / limit / lean; without lean they resolve to hydrated
+ * documents whose save() writes back to the collection.
+ *
+ * → the live array of stored (plain) documents
+ */
+export function fakeModel(t, Model, docs = []) {
+  const store = docs.map((doc) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...clone(doc),
+  }));
+  const timestamps = !!Model.schema.options.timestamps;
+
+  const hydrate = (doc) => (doc ? Model.hydrate(clone(doc)) : null);
+  const findAll = (filter) => store.filter((doc) => matches(doc, filter));
+  const indexOf = (id) => store.findIndex((doc) => same(doc._id, id));
+
+  // `single`: findOne-style, the first match once sorted / skipped
+  function query(run, { single = false } = {}) {
+    let spec = null;
+    let skip = 0;
+    let limit = Infinity;
+    let lean = false;
+
+    const exec = async () => {
+      let result = run();
+      if (single) {
+        result = sortDocs(result, spec)[skip] ?? null;
+      } else if (Array.isArray(result)) {
+        result = sortDocs(result, spec).slice(skip, skip + limit);
+        return result.map((doc) => (lean ? clone(doc) : hydrate(doc)));
+      }
+      if (result && typeof result === "object" && "_id" in result) {
+        return lean ? clone(result) : hydrate(result);
+      }
+      return result ?? null;
+    };
+
+    const chain = {
+      sort(next) {
+        spec = next;
+        return chain;
+      },
+      skip(n) {
+        skip = n;
+        return chain;
+      },
+      limit(n) {
+        limit = n || Infinity;
+        return chain;
+      },
+      lean() {
+        lean = true;
+        return chain;
+      },
+      select: () => chain,
+      populate: () => chain,
+      session: () => chain,
+      collation: () => chain,
+      exec,
+      then: (resolve, reject) => exec().then(resolve, reject),
+      catch: (reject) => exec().catch(reject),
+    };
+    return chain;
+  }
+
+  async function insert(data) {
+    const doc = data instanceof Model ? data : new Model(data);
+    await doc.save();
+    return doc;
+  }
+
+  function updateFirst(filter, update, options = {}) {
+    let doc = store.find((d) => matches(d, filter));
+    const before = doc ? clone(doc) : null;
+
+    if (!doc && options.upsert) {
+      doc = { _id: new mongoose.Types.ObjectId(), ...equalityFields(filter) };
+      applyUpdate(doc, update, { inserting: true });
+      doc = clone(new Model(doc).toObject());
+      checkUnique(doc);
+      store.push(doc);
+      return { doc, before: null, upserted: true };
+    }
+    if (doc) {
+      applyUpdate(doc, update, options);
+      if (timestamps) doc.updatedAt = new Date();
+    }
+    return { doc, before, upserted: false };
+  }
+
+  // only { field: { $elemMatch } } projections change the result
+  function project(doc, { projection } = {}) {
+    if (!doc || !projection) return doc;
+    const out = { _id: doc._id };
+    for (const [field, spec] of Object.entries(projection)) {
+      const list = getPath(doc, field) || [];
+      out[field] = spec?.$elemMatch
+        ? list.filter((item) => matches(item, spec.$elemMatch)).slice(0, 1)
+        : list;
+    }
+    return out;
+  }
+
+  const returnsNew = (options = {}) =>
+    options.new === true || options.returnDocument === "after";
+
+  t.mock.method(Model, "find", (filter) => query(() => findAll(filter)));
+  t.mock.method(Model, "findOne", (filter) =>
+    query(() => findAll(filter), { single: true })
+  );
+  t.mock.method(Model, "findById", (id) =>
+    query(() => store[indexOf(id)] || null)
+  );
+  t.mock.method(Model, "exists", (filter) =>
+    query(() => {
+      const doc = store.find((d) => matches(d, filter));
+      return doc ? { _id: doc._id } : null;
+    })
+  );
+  t.mock.method(Model, "countDocuments", (filter) =>
+    query(() => findAll(filter).length)
+  );
+  t.mock.method(Model, "create", async (data) =>
+    Array.isArray(data) ? Promise.all(data.map(insert)) : insert(data)
+  );
+  t.mock.method(Model, "insertMany", async (list) =>
+    Promise.all(list.map(insert))
+  );
+  t.mock.method(Model, "updateOne", (filter, update, options) =>
+    query(() => {
+      const { doc, upserted } = updateFirst(filter, update, options);
+      return {
+        acknowledged: true,
+        matchedCount: doc && !upserted ? 1 : 0,
+        modifiedCount: doc && !upserted ? 1 : 0,
+        upsertedCount: upserted ? 1 : 0,
+      };
+    })
+  );
+  t.mock.method(Model, "updateMany", (filter, update, options = {}) =>
+    query(() => {
+      const found = findAll(filter);
+      for (const doc of found) applyUpdate(doc, update, options);
+      return {
+        acknowledged: true,
+        matchedCount: found.length,
+        modifiedCount: found.length,
+      };
+    })
+  );
+  t.mock.method(Model, "findOneAndUpdate", (filter, update, options) =>
+    query(() => {
+      const { doc, before, upserted } = updateFirst(filter, update, options);
+      return project(returnsNew(options) || upserted ? doc : before, options);
+    })
+  );
+  t.mock.method(Model, "findByIdAndUpdate", (id, update, options) =>
+    Model.findOneAndUpdate({ _id: id }, update, options)
+  );
+  t.mock.method(Model, "deleteOne", (filter) =>
+    query(() => {
+      const doc = store.find((d) => matches(d, filter));
+      if (doc) store.splice(store.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    })
+  );
+  t.mock.method(Model, "deleteMany", (filter) =>
+    query(() => {
+      const found = findAll(filter);
+      for (const doc of found) store.splice(store.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: found.length };
+    })
+  );
+  t.mock.method(Model, "findOneAndDelete", (filter) =>
+    query(() => {
+      const doc = store.find((d) => matches(d, filter));
+      if (doc) store.splice(store.indexOf(doc), 1);
+      return doc || null;
+    })
+  );
+
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields, options]) => ({
+      paths: Object.keys(fields),
+      sparse: !!options.sparse,
+    }));
+
+  // what MongoDB would throw for a duplicate on a unique index
+  function checkUnique(plain) {
+    for (const { paths, sparse } of uniqueIndexes) {
+      const values = paths.map((path) => getPath(plain, path));
+      if (sparse && values.some((v) => v === undefined || v === null)) {
+        continue;
+      }
+      const clash = store.some(
+        (doc) =>
+          !same(doc._id, plain._id) &&
+          paths.every((path, i) => same(getPath(doc, path), values[i]))
+      );
+      if (clash) {
+        const err = new Error(`E11000 duplicate key (${paths.join(", ")})`);
+        err.code = 11000;
+        err.keyPattern = Object.fromEntries(paths.map((path) => [path, 1]));
+        throw err;
+      }
+    }
+  }
+
+  t.mock.method(Model.prototype, "save", async function save() {
+    await this.validate();
+    if (timestamps) {
+      const now = new Date();
+      if (this.isNew && !this.get("createdAt")) this.set("createdAt", now);
+      this.set("updatedAt", now);
+    }
+
+    const plain = clone(this.toObject({ depopulate: true }));
+    checkUnique(plain);
+    const stored = store[indexOf(this._id)];
+    if (!stored) store.push(plain);
+    else {
+      // in place, so tests holding the stored object see the change
+      for (const key of Object.keys(stored)) delete stored[key];
+      Object.assign(stored, plain);
+    }
+    this.isNew = false;
+    return this;
+  });
+  t.mock.method(Model.prototype, "deleteOne", async function deleteOne() {
+    const at = indexOf(this._id);
+    if (at !== -1) store.splice(at, 1);
+    return { acknowledged: true, deletedCount: at === -1 ? 0 : 1 };
+  });
+
+  return store;
+}
+
+let roomSeq = 0;
+
+/**
+ * A valid Room document to seed fakeModel / fakeDb with.
+ */
+export function roomDoc(fields = {}) {
+  roomSeq += 1;
+  return {
+    name: `Room ${roomSeq}`,
+    code: `room-${roomSeq}`,
+    inviteLinkId: `invite-${roomSeq}`,
+    ownerId: "owner@example.com",
+    members: [],
+    ...fields,
+  };
+}
+
+/**
+ * Every model faked at once (seeded from `seed`, keyed like the result),
+ * plus Cloudinary's delete calls, for code that cascades across
+ * collections (room deletion, account deletion, …).
+ * → the stores by collection (rooms, users, messages, …) and
+ *   media: [deleted prefixes / folders]
+ */
+export function fakeDb(t, seed = {}) {
+  const media = [];
+  t.mock.method(cloudinary.api, "delete_resources_by_prefix", async (p) => {
+    media.push(p);
+  });
+  t.mock.method(cloudinary.api, "delete_folder", async (folder) => {
+    media.push(folder);
+  });
+
+  return {
+    rooms: fakeModel(t, Room, seed.rooms),
+    users: fakeModel(t, User, seed.users),
+    messages: fakeModel(t, Message, seed.messages),
+    sessions: fakeModel(t, Session, seed.sessions),
+    invites: fakeModel(t, RoomInvite, seed.invites),
+    notifications: fakeModel(t, Notification, seed.notifications),
+    readStates: fakeModel(t, ReadState, seed.readStates),
+    usage: fakeModel(t, UsageCounter, seed.usage),
+    media,
+  };
+}
+
+// ---------- Express and Socket.IO stand-ins ----------
+
+/**
+ * A req with just what the routes and middleware read.
+ */
+export function fakeReq({ headers = {}, ...rest } = {}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    ip: "127.0.0.1",
+    body: {},
+    params: {},
+    query: {},
+    headers: lower,
+    get: (name) => lower[name.toLowerCase()],
+    ...rest,
+  };
+}
+
+/**
+ * A res recording status, headers and the JSON body.
+ */
+export function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Run one middleware. → { res, nextCalled, error }
+ */
+export async function runMiddleware(middleware, req, res = fakeRes()) {
+  let nextCalled = false;
+  let error = null;
+  await middleware(req, res, (err) => {
+    nextCalled = true;
+    error = err || null;
+  });
+  return { res, nextCalled, error };
+}
+
+/**
+ * Mount `router` on a throwaway Express app listening on a free local port
+ * (closed after the test), with `io` set the way server.js sets it.
+ * → request(method, path, { body, headers }) → { status, headers, body }
+ */
+export async function serve(t, router, { io = null } = {}) {
+  const app = express();
+  app.set("io", io);
+  app.use(express.json());
+  app.use(router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return async (method, path, { body, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+}
+
+/**
+ * An io that records what is emitted: `io.emitted` lists
+ * { to, event, payload } ("to" is null for io.emit), sockets can be
+ * added for fetchSockets / in(room).
+ */
+export function fakeIo({ sockets = [] } = {}) {
+  const emitted = [];
+  const target = (to) => ({
+    emit: (event, payload) => emitted.push({ to, event, payload }),
+    to: (more) => target([].concat(to, more)),
+    fetchSockets: async () =>
+      sockets.filter((s) => [].concat(to).some((room) => s.rooms?.has(room))),
+    socketsLeave: () => {},
+  });
+
+  return {
+    emitted,
+    sockets: { sockets: new Map(sockets.map((s) => [s.id, s])) },
+    emit: (event, payload) => emitted.push({ to: null, event, payload }),
+    to: (room) => target(room),
+    in: (room) => target(room),
+    fetchSockets: async () => sockets,
+    events: (name) =>
+      emitted.filter((e) => e.event === name).map((e) => e.payload),
+  };
+}
+
+/**
+ * A connected socket: `socket.emitted` lists { event, payload }.
+ */
+export function fakeSocket({ id = "sock-1", data = {}, handshake = {} } = {}) {
+  const emitted = [];
+  return {
+    id,
+    data: { ...data },
+    handshake: { auth: {}, headers: {}, address: "127.0.0.1", ...handshake },
+    rooms: new Set([id]),
+    emitted,
+    emit: (event, payload) => emitted.push({ event, payload }),
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    disconnected: false,
+    disconnect() {
+      this.disconnected = true;
+    },
+  };
+}
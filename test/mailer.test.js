@@ -0,0 +1,112 @@
+// test/mailer.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  sendMail,
+  sendPasswordResetEmail,
+  setMailTransport,
+  isDevMailTransport,
+} from "../src/utils/mailer.js";
+import { createTransportFromEnv } from "../src/utils/mail/transports.js";
+import { templates } from "../src/utils/mail/templates.js";
+
+// a transport that records what it was asked to send
+function capture(t, { fail = false, isDev = false } = {}) {
+  const sent = [];
+  setMailTransport({
+    name: "capture",
+    isDev,
+    async send(message) {
+      if (fail) throw new Error("down");
+      sent.push(message);
+      return { id: String(sent.length) };
+    },
+  });
+  t.after(() => setMailTransport(null));
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  return sent;
+}
+
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(
+    Object.keys(vars).map((key) => [key, process.env[key]])
+  );
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  for (const [key, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+}
+
+test("templates render html and text with the code", async (t) => {
+  const sent = capture(t);
+
+  assert.equal(await sendPasswordResetEmail("ann@example.com", "424242"), true);
+  const [message] = sent;
+  assert.equal(message.to, "ann@example.com");
+  assert.match(message.subject, /reset/i);
+  assert.match(message.html, /424242/);
+  assert.match(message.text, /424242/);
+});
+
+test("anything user-controlled is escaped in the html", () => {
+  const { html, text } = templates.securityAlert({
+    action: "<script>x</script>",
+  });
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(text, /<script>/);
+});
+
+test("a failing transport makes sendMail return false", async (t) => {
+  capture(t, { fail: true });
+  assert.equal(await sendMail("ann@example.com", "verification", {}), false);
+});
+
+test("a missing mail config fails the send instead of throwing", async (t) => {
+  setMailTransport(null);
+  t.after(() => setMailTransport(null));
+  t.mock.method(console, "error", () => {});
+  withEnv(t, {
+    MAIL_TRANSPORT: undefined,
+    BREVO_API_KEY: undefined,
+    SMTP_HOST: undefined,
+  });
+
+  assert.equal(await sendMail("ann@example.com", "verification", {}), false);
+});
+
+test("unknown templates are a programming error", async (t) => {
+  capture(t);
+  await assert.rejects(sendMail("a@b.c", "nope"), /Unknown email template/);
+});
+
+test("dev transports are opt-in and never used in production", (t) => {
+  assert.throws(() => createTransportFromEnv({}), /No mail transport/);
+  assert.equal(
+    createTransportFromEnv({ MAIL_TRANSPORT: "console" }).isDev,
+    true
+  );
+  assert.equal(createTransportFromEnv({ SMTP_HOST: "mx" }).name, "smtp");
+  assert.equal(
+    createTransportFromEnv({ BREVO_API_KEY: "k", SMTP_HOST: "mx" }).name,
+    "brevo"
+  );
+  assert.throws(
+    () =>
+      createTransportFromEnv({
+        MAIL_TRANSPORT: "file",
+        NODE_ENV: "production",
+      }),
+    /not allowed in production/
+  );
+
+  capture(t, { isDev: true });
+  withEnv(t, { NODE_ENV: "production" });
+  assert.equal(isDevMailTransport(), false);
+});
@@ -0,0 +1,45 @@
+// test/messageSearch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSnippet } from "../src/services/messageSearch.js";
+
+const marked = ({ snippet, highlights }) =>
+  highlights.map(({ start, end }) => snippet.slice(start, end));
+
+test("buildSnippet highlights every term, case-insensitively", () => {
+  const result = buildSnippet("Deploy the API, then deploy the web app", [
+    "deploy",
+    "api",
+  ]);
+
+  assert.equal(result.snippet, "Deploy the API, then deploy the web app");
+  assert.deepEqual(marked(result), ["Deploy", "API", "deploy"]);
+  assert.deepEqual(
+    result.highlights.map((h) => h.start),
+    [0, 11, 21]
+  );
+});
+
+test("buildSnippet cuts long text around the first match", () => {
+  const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+  const { snippet, highlights } = buildSnippet(text, ["needle"]);
+
+  assert.ok(snippet.startsWith("…"));
+  assert.ok(snippet.endsWith("…"));
+  assert.ok(snippet.length < text.length);
+  assert.equal(highlights.length, 1);
+  assert.equal(snippet.slice(highlights[0].start, highlights[0].end), "needle");
+});
+
+test("buildSnippet starts at the beginning when nothing matches", () => {
+  const { snippet, highlights } = buildSnippet("short text", ["missing"]);
+  assert.equal(snippet, "short text");
+  assert.deepEqual(highlights, []);
+});
+
+test("buildSnippet copes with empty content", () => {
+  assert.deepEqual(buildSnippet(undefined, ["x"]), {
+    snippet: "",
+    highlights: [],
+  });
+});
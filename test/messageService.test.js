@@ -0,0 +1,187 @@
+// test/messageService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Message from "../src/models/Message.js";
+import { fakeModel } from "./helpers/fixtures.js";
+import {
+  listRoomMessages,
+  editMessage,
+  redactMessage,
+  senderName,
+} from "../src/services/messageService.js";
+
+const roomId = new mongoose.Types.ObjectId();
+const owner = {
+  userId: "64b000000000000000000001",
+  userEmail: "o@example.com",
+};
+const room = {
+  _id: roomId,
+  ownerId: "o@example.com",
+  members: [
+    { id: "o@example.com", name: "Olivia", role: "owner" },
+    { id: "64b000000000000000000002", name: "Mo", role: "moderator" },
+  ],
+};
+const moderator = { userId: "64b000000000000000000002" };
+
+// five messages, the middle three sharing one timestamp
+function timeline() {
+  const at = (s) => new Date(Date.UTC(2024, 0, 1, 0, 0, s));
+  return [1, 2, 2, 2, 3].map((s, i) => ({
+    _id: new mongoose.Types.ObjectId(`64b00000000000000000010${i}`),
+    room: roomId,
+    role: "user",
+    content: `m${i}`,
+    createdAt: at(s),
+    threadRoot: null,
+  }));
+}
+
+const texts = (page) => page.messages.map((m) => m.text);
+
+// ---------- pagination ----------
+
+test("the first page is the newest, oldest first", async (t) => {
+  fakeModel(t, Message, timeline());
+  const page = await listRoomMessages(roomId, { limit: 2 });
+
+  assert.equal(page.ok, true);
+  assert.deepEqual(texts(page), ["m3", "m4"]);
+  assert.equal(page.hasMore, true);
+  assert.equal(page.before, page.messages[0]._id);
+});
+
+test("id cursors walk equal timestamps without gaps or repeats", async (t) => {
+  fakeModel(t, Message, timeline());
+  const seen = [];
+  let page = await listRoomMessages(roomId, { limit: 2 });
+  seen.unshift(...texts(page));
+
+  while (page.hasMore) {
+    page = await listRoomMessages(roomId, { limit: 2, before: page.before });
+    seen.unshift(...texts(page));
+  }
+  assert.deepEqual(seen, ["m0", "m1", "m2", "m3", "m4"]);
+
+  const newer = await listRoomMessages(roomId, { limit: 2, after: page.after });
+  assert.deepEqual(texts(newer), ["m1", "m2"]);
+});
+
+test("timestamp cursors are accepted as epoch ms or ISO strings", async (t) => {
+  fakeModel(t, Message, timeline());
+  const [first] = timeline();
+
+  const byMs = await listRoomMessages(roomId, {
+    after: String(first.createdAt.getTime()),
+  });
+  assert.deepEqual(texts(byMs), ["m1", "m2", "m3", "m4"]);
+
+  const byIso = await listRoomMessages(roomId, {
+    before: new Date(Date.UTC(2024, 0, 1, 0, 0, 3)).toISOString(),
+  });
+  assert.deepEqual(texts(byIso), ["m0", "m1", "m2", "m3"]);
+  assert.equal(byIso.hasMore, false);
+});
+
+test("bad cursors are refused", async (t) => {
+  fakeModel(t, Message, timeline());
+  const invalid = { ok: false, error: "INVALID_CURSOR" };
+
+  assert.deepEqual(await listRoomMessages(roomId, { before: "soon" }), invalid);
+  assert.deepEqual(
+    await listRoomMessages(roomId, { before: "1", after: "2" }),
+    invalid
+  );
+  assert.deepEqual(
+    await listRoomMessages(roomId, { before: "64b0000000000000000009ff" }),
+    invalid
+  );
+});
+
+// ---------- edits ----------
+
+function ownMessage(minutesAgo) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    room: roomId,
+    role: "user",
+    content: "hello",
+    senderUser: owner.userId,
+    senderMemberId: "o@example.com",
+    createdAt: new Date(Date.now() - minutesAgo * 60000),
+  };
+}
+
+function withEditWindow(t, minutes) {
+  const saved = process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+    else process.env.MESSAGE_EDIT_WINDOW_MINUTES = saved;
+  });
+  if (minutes === undefined) delete process.env.MESSAGE_EDIT_WINDOW_MINUTES;
+  else process.env.MESSAGE_EDIT_WINDOW_MINUTES = String(minutes);
+}
+
+test("messages can be edited inside the default 15 minute window", async (t) => {
+  withEditWindow(t, undefined);
+  const message = ownMessage(14);
+  fakeModel(t, Message, [message]);
+
+  const result = await editMessage(null, room, owner, message._id, "hi");
+  assert.equal(result.ok, true);
+  assert.equal(result.message.text, "hi");
+});
+
+test("edits after the window are refused", async (t) => {
+  withEditWindow(t, undefined);
+  const message = ownMessage(16);
+  fakeModel(t, Message, [message]);
+
+  assert.deepEqual(await editMessage(null, room, owner, message._id, "hi"), {
+    ok: false,
+    error: "EDIT_WINDOW_PASSED",
+  });
+});
+
+test("MESSAGE_EDIT_WINDOW_MINUTES sets the window, 0 lifts it", async (t) => {
+  const message = ownMessage(60 * 24);
+  fakeModel(t, Message, [message]);
+
+  withEditWindow(t, 0);
+  assert.equal(
+    (await editMessage(null, room, owner, message._id, "hi")).ok,
+    true
+  );
+
+  process.env.MESSAGE_EDIT_WINDOW_MINUTES = "1";
+  assert.equal(
+    (await editMessage(null, room, owner, message._id, "hi")).error,
+    "EDIT_WINDOW_PASSED"
+  );
+});
+
+test("only the sender can edit", async (t) => {
+  withEditWindow(t, undefined);
+  const message = ownMessage(1);
+  fakeModel(t, Message, [message]);
+
+  assert.equal(
+    (await editMessage(null, room, moderator, message._id, "hi")).error,
+    "NOT_ALLOWED"
+  );
+});
+
+// ---------- sender resolution ----------
+
+test("the owner's messages rank and read as the owner's", async (t) => {
+  const message = ownMessage(1);
+  fakeModel(t, Message, [message]);
+
+  assert.equal(senderName(room, message), "Olivia");
+  assert.deepEqual(
+    await redactMessage(null, room, moderator, message._id, "spam"),
+    { ok: false, error: "NOT_ALLOWED" }
+  );
+});
@@ -0,0 +1,69 @@
+// test/notifications.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveMentions } from "../src/services/notifications.js";
+
+const room = {
+  ownerId: "owner@example.com",
+  members: [
+    { id: "owner@example.com", name: "Olivia", role: "owner" },
+    { id: "u-ann", name: "Ann", role: "member" },
+    { id: "u-annlee", name: "Ann Lee", role: "member" },
+    { id: "u-mod", name: "Mo", role: "moderator" },
+    { id: "guest_abc", name: "Visitor", role: "guest" },
+  ],
+};
+
+const owner = { userId: "u-owner", userEmail: "owner@example.com" };
+const member = { userId: "u-ann", userEmail: "ann@example.com" };
+const moderator = { userId: "u-mod", userEmail: "mo@example.com" };
+
+test("resolveMentions prefers the longest matching name", () => {
+  assert.deepEqual(resolveMentions(room, owner, "hi @Ann Lee"), {
+    mentions: ["u-annlee"],
+    mentionsEveryone: false,
+  });
+  assert.deepEqual(
+    resolveMentions(room, owner, "@ann and @ann lee").mentions.sort(),
+    ["u-ann", "u-annlee"]
+  );
+});
+
+test("resolveMentions ignores names glued to other words", () => {
+  assert.deepEqual(
+    resolveMentions(room, owner, "mail@Ann or @Annie").mentions,
+    []
+  );
+});
+
+test("resolveMentions never mentions the sender, owners included", () => {
+  assert.deepEqual(resolveMentions(room, owner, "@Olivia @Visitor").mentions, [
+    "guest_abc",
+  ]);
+  assert.deepEqual(
+    resolveMentions(room, member, "note to self @Ann").mentions,
+    []
+  );
+});
+
+test("@everyone only counts from moderators and above", () => {
+  assert.equal(
+    resolveMentions(room, member, "@everyone").mentionsEveryone,
+    false
+  );
+  assert.equal(
+    resolveMentions(room, moderator, "@everyone").mentionsEveryone,
+    true
+  );
+  assert.equal(
+    resolveMentions(room, owner, "@Everyone!").mentionsEveryone,
+    true
+  );
+});
+
+test("resolveMentions skips text without an @", () => {
+  assert.deepEqual(resolveMentions(room, owner, "Ann"), {
+    mentions: [],
+    mentionsEveryone: false,
+  });
+});
@@ -0,0 +1,76 @@
+// test/otp.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/User.js";
+import {
+  MAX_CODE_ATTEMPTS,
+  CODE_LOCK_MS,
+  codesMatch,
+  generateOtpCode,
+  isCodeLocked,
+  registerFailedAttempt,
+} from "../src/utils/otp.js";
+import { fakeModel } from "./helpers/fixtures.js";
+
+// the stored User row: registerFailedAttempt's updates land on it
+function fakeUser(t, fields = {}) {
+  const [row] = fakeModel(t, User, [
+    { name: "Ann", email: "ann@example.com", ...fields },
+  ]);
+  return row;
+}
+
+test("generateOtpCode makes six-digit codes", () => {
+  for (let i = 0; i < 20; i++) assert.match(generateOtpCode(), /^\d{6}$/);
+});
+
+test("codesMatch compares whole codes only", () => {
+  assert.equal(codesMatch("123456", "123456"), true);
+  assert.equal(codesMatch("123456", 123456), true);
+  assert.equal(codesMatch("123456", "12345"), false);
+  assert.equal(codesMatch("123456", "654321"), false);
+  assert.equal(codesMatch(undefined, "123456"), false);
+  assert.equal(codesMatch("123456", null), false);
+});
+
+test("wrong guesses count down, then lock and drop the code", async (t) => {
+  const row = fakeUser(t, {
+    otpCode: "123456",
+    otpExpiresAt: new Date(Date.now() + 60000),
+  });
+
+  for (let i = 1; i < MAX_CODE_ATTEMPTS; i++) {
+    assert.deepEqual(await registerFailedAttempt(row, "otp"), {
+      locked: false,
+      attemptsLeft: MAX_CODE_ATTEMPTS - i,
+    });
+  }
+  assert.equal(isCodeLocked(row, "otp"), false);
+
+  const before = Date.now();
+  assert.deepEqual(await registerFailedAttempt(row, "otp"), {
+    locked: true,
+    attemptsLeft: 0,
+  });
+  assert.equal(row.otpAttempts, 0);
+  assert.equal(row.otpCode, undefined);
+  assert.equal(row.otpExpiresAt, undefined);
+  assert.ok(row.otpLockedUntil.getTime() >= before + CODE_LOCK_MS);
+  assert.equal(isCodeLocked(row, "otp"), true);
+});
+
+test("each kind of code has its own counter", async (t) => {
+  const row = fakeUser(t, { otpAttempts: 3 });
+  await registerFailedAttempt(row, "reset");
+  assert.equal(row.resetAttempts, 1);
+  assert.equal(row.otpAttempts, 3);
+  assert.equal(isCodeLocked(row, "reset"), false);
+});
+
+test("expired locks don't count", () => {
+  assert.equal(
+    isCodeLocked({ emailChangeLockedUntil: new Date(Date.now() - 1) }, "email"),
+    false
+  );
+  assert.equal(isCodeLocked(null, "otp"), false);
+});
@@ -0,0 +1,121 @@
+// test/presence.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  trackJoin,
+  trackLeave,
+  trackDisconnect,
+  setSocketStatus,
+  touchPresence,
+  roomPresence,
+  forgetRoom,
+} from "../src/services/presence.js";
+import { fakeIo, fakeSocket } from "./helpers/fixtures.js";
+
+const ada = {
+  userId: "64b000000000000000000001",
+  userEmail: "ada@example.com",
+};
+const bob = {
+  userId: "64b000000000000000000002",
+  userEmail: "bob@example.com",
+};
+
+// presence lives in module memory: every test gets its own room key
+let roomSeq = 0;
+function setup(t) {
+  const roomKey = `presence-room-${++roomSeq}`;
+  t.after(() => forgetRoom(roomKey));
+  return { roomKey, io: fakeIo() };
+}
+
+const tab = (id, identity) => fakeSocket({ id, data: identity });
+const member = (identity, name) => ({ id: identity.userId, name });
+
+test("a user with several tabs is present once", (t) => {
+  const { roomKey, io } = setup(t);
+
+  assert.equal(
+    trackJoin(io, roomKey, tab("a1", ada), member(ada, "Ada")),
+    true
+  );
+  assert.equal(
+    trackJoin(io, roomKey, tab("a2", ada), member(ada, "Ada")),
+    false
+  );
+  assert.equal(io.events("presence_joined").length, 1);
+
+  const [user] = roomPresence(roomKey);
+  assert.equal(user.memberId, ada.userId);
+  assert.equal(user.connections, 2);
+  assert.equal(user.status, "online");
+
+  trackLeave(io, roomKey, "a1");
+  assert.equal(roomPresence(roomKey).length, 1);
+  assert.deepEqual(io.events("presence_left"), []);
+
+  trackLeave(io, roomKey, "a2");
+  assert.deepEqual(roomPresence(roomKey), []);
+  assert.equal(io.events("presence_left")[0].memberId, ada.userId);
+});
+
+test("the status is the best of the user's tabs", (t) => {
+  const { roomKey, io } = setup(t);
+  trackJoin(io, roomKey, tab("a1", ada), member(ada, "Ada"));
+  trackJoin(io, roomKey, tab("a2", ada), member(ada, "Ada"));
+
+  setSocketStatus(io, "a1", "away");
+  assert.equal(roomPresence(roomKey)[0].status, "online");
+  assert.deepEqual(io.events("presence_updated"), []);
+
+  setSocketStatus(io, "a2", "idle");
+  assert.equal(roomPresence(roomKey)[0].status, "idle");
+  assert.equal(io.events("presence_updated").at(-1).user.status, "idle");
+
+  touchPresence(io, roomKey, "a1");
+  assert.equal(roomPresence(roomKey)[0].status, "online");
+
+  assert.equal(setSocketStatus(io, "a1", "busy"), false);
+});
+
+test("online users are listed first, then by name", (t) => {
+  const { roomKey, io } = setup(t);
+  trackJoin(io, roomKey, tab("a1", ada), member(ada, "Ada"));
+  trackJoin(io, roomKey, tab("b1", bob), member(bob, "Bob"));
+  trackJoin(io, roomKey, tab("g1", { isGuest: true, guestId: "guest_abc" }), {
+    id: "guest_abc",
+    name: "Al",
+  });
+  setSocketStatus(io, "g1", "away");
+
+  assert.deepEqual(
+    roomPresence(roomKey).map((u) => [u.name, u.status, u.isGuest]),
+    [
+      ["Ada", "online", false],
+      ["Bob", "online", false],
+      ["Al", "away", true],
+    ]
+  );
+});
+
+test("a reload within the grace period isn't a leave", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const { roomKey, io } = setup(t);
+  const left = [];
+
+  trackJoin(io, roomKey, tab("a1", ada), member(ada, "Ada"));
+  trackDisconnect(io, "a1", { onLeft: (entry) => left.push(entry.memberId) });
+  t.mock.timers.tick(10_000);
+  assert.equal(
+    trackJoin(io, roomKey, tab("a2", ada), member(ada, "Ada")),
+    false
+  );
+  t.mock.timers.tick(60_000);
+  assert.deepEqual(io.events("presence_left"), []);
+
+  trackDisconnect(io, "a2", { onLeft: (entry) => left.push(entry.memberId) });
+  t.mock.timers.tick(15_000);
+  assert.deepEqual(roomPresence(roomKey), []);
+  assert.deepEqual(left, [ada.userId]);
+  assert.equal(io.events("presence_left").length, 1);
+});
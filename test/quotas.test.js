@@ -0,0 +1,201 @@
+// test/quotas.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import UsageCounter from "../src/models/UsageCounter.js";
+import User from "../src/models/User.js";
+import Room from "../src/models/Room.js";
+import {
+  PLANS,
+  limitsFor,
+  consumeDailyQuota,
+  refundDailyQuota,
+  reserveRoomQuota,
+  releaseRoomQuota,
+  adjustOwnedRooms,
+} from "../src/services/quotas.js";
+import { fakeModel } from "./helpers/fixtures.js";
+
+// one subject's counter field for today
+const usage = (counters, subject, field) =>
+  counters.find((c) => c.subject === subject)?.[field];
+
+const guest = (guestId) => ({ isGuest: true, guestId });
+
+test("limitsFor gives guests the guest tier", () => {
+  assert.deepEqual(limitsFor(null), { plan: "guest", limits: PLANS.guest });
+});
+
+test("limitsFor falls back to free for unknown plans", () => {
+  assert.deepEqual(limitsFor({}), { plan: "free", limits: PLANS.free });
+  assert.equal(limitsFor({ plan: "platinum" }).plan, "free");
+  assert.equal(
+    limitsFor({ plan: "pro" }).limits.roomsOwned,
+    PLANS.pro.roomsOwned
+  );
+});
+
+test("limitsFor applies valid overrides only", () => {
+  const { limits } = limitsFor({
+    plan: "free",
+    quotaOverrides: {
+      roomsOwned: 0,
+      aiRequestsPerDay: 10,
+      membersPerRoom: -5,
+      uploadBytesPerDay: "lots",
+      madeUp: 3,
+    },
+  });
+
+  assert.equal(limits.roomsOwned, 0);
+  assert.equal(limits.aiRequestsPerDay, 10);
+  assert.equal(limits.membersPerRoom, PLANS.free.membersPerRoom);
+  assert.equal(limits.uploadBytesPerDay, PLANS.free.uploadBytesPerDay);
+  assert.equal("madeUp" in limits, false);
+});
+
+test("limitsFor doesn't change the plan table", () => {
+  limitsFor({
+    plan: "free",
+    quotaOverrides: { roomsOwned: 1 },
+  }).limits.roomsOwned = 99;
+  assert.notEqual(PLANS.free.roomsOwned, 99);
+});
+
+test("consumeDailyQuota stops at the limit and rolls the overshoot back", async (t) => {
+  const counters = fakeModel(t, UsageCounter);
+  const limit = PLANS.guest.aiRequestsPerDay;
+
+  const first = await consumeDailyQuota(
+    guest("guest_a"),
+    "aiRequestsPerDay",
+    limit
+  );
+  assert.equal(first.ok, true);
+  assert.equal(first.remaining, 0);
+
+  const over = await consumeDailyQuota(guest("guest_a"), "aiRequestsPerDay");
+  assert.equal(over.ok, false);
+  assert.equal(over.error, "QUOTA_EXCEEDED");
+  assert.equal(over.used, limit);
+  assert.equal(usage(counters, "guest:guest_a", "aiRequests"), limit);
+});
+
+test("new guest ids from one IP share a per-IP allowance", async (t) => {
+  const counters = fakeModel(t, UsageCounter);
+  const limit = PLANS.guest.aiRequestsPerDay;
+  const ip = "203.0.113.7";
+
+  let guests = 0;
+  for (;;) {
+    const result = await consumeDailyQuota(
+      guest(`guest_${guests}`),
+      "aiRequestsPerDay",
+      limit,
+      { ip }
+    );
+    if (!result.ok) break;
+    guests += 1;
+  }
+
+  assert.ok(guests >= 1 && guests < 10);
+  assert.equal(usage(counters, `guest-ip:${ip}`, "aiRequests"), guests * limit);
+  // the refused guest's own counter was given back
+  assert.equal(usage(counters, `guest:guest_${guests}`, "aiRequests"), 0);
+
+  // another address still gets its own allowance
+  const elsewhere = await consumeDailyQuota(
+    guest("guest_x"),
+    "aiRequestsPerDay",
+    1,
+    {
+      ip: "198.51.100.1",
+    }
+  );
+  assert.equal(elsewhere.ok, true);
+});
+
+test("refundDailyQuota gives back both guest counters", async (t) => {
+  const counters = fakeModel(t, UsageCounter);
+  const ip = "203.0.113.8";
+
+  await consumeDailyQuota(guest("guest_r"), "uploadBytesPerDay", 500, { ip });
+  await refundDailyQuota(guest("guest_r"), "uploadBytesPerDay", 500, { ip });
+
+  assert.equal(usage(counters, "guest:guest_r", "uploadBytes"), 0);
+  assert.equal(usage(counters, `guest-ip:${ip}`, "uploadBytes"), 0);
+});
+
+test("consumeDailyQuota rejects unknown metrics", async () => {
+  await assert.rejects(
+    consumeDailyQuota(guest("guest_a"), "roomsOwned"),
+    /Unknown daily quota/
+  );
+});
+
+// ---------- owned rooms ----------
+
+const userId = "64b000000000000000000001";
+const owner = { userId, userEmail: "o@example.com" };
+
+test("reserveRoomQuota counts legacy accounts' rooms, then stops at the cap", async (t) => {
+  const users = fakeModel(t, User, [
+    { _id: userId, email: "o@example.com", plan: "free" },
+  ]);
+  fakeModel(
+    t,
+    Room,
+    Array.from({ length: PLANS.free.roomsOwned - 1 }, (_, i) => ({
+      name: `r${i}`,
+      code: `room-${i}`,
+      ownerId: "o@example.com",
+    }))
+  );
+
+  const last = await reserveRoomQuota(owner);
+  assert.equal(last.ok, true);
+  assert.equal(last.used, PLANS.free.roomsOwned);
+
+  assert.deepEqual(await reserveRoomQuota(owner), {
+    ok: false,
+    error: "LIMIT_REACHED",
+    limit: PLANS.free.roomsOwned,
+  });
+  assert.equal(users[0].ownedRoomCount, PLANS.free.roomsOwned);
+});
+
+test("concurrent reservations can't pass the cap together", async (t) => {
+  fakeModel(t, User, [
+    {
+      _id: userId,
+      email: "o@example.com",
+      plan: "free",
+      quotaOverrides: { roomsOwned: 2 },
+      ownedRoomCount: 0,
+    },
+  ]);
+
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => reserveRoomQuota(owner))
+  );
+  assert.equal(results.filter((r) => r.ok).length, 2);
+});
+
+test("released and handed-away rooms free their slots, never below zero", async (t) => {
+  const users = fakeModel(t, User, [
+    { _id: userId, email: "o@example.com", ownedRoomCount: 1 },
+  ]);
+
+  await releaseRoomQuota(owner);
+  await adjustOwnedRooms("o@example.com", -1);
+  assert.equal(users[0].ownedRoomCount, 0);
+
+  await adjustOwnedRooms("o@example.com", 1);
+  assert.equal(users[0].ownedRoomCount, 1);
+});
+
+test("guests never own rooms", async () => {
+  assert.equal(
+    (await reserveRoomQuota({ isGuest: true, guestId: "guest_a" })).error,
+    "LIMIT_REACHED"
+  );
+});
@@ -0,0 +1,80 @@
+// test/rateLimit.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMemoryStore,
+  rateLimit,
+  byEmail,
+} from "../src/middleware/rateLimit.js";
+import { runMiddleware } from "./helpers/fixtures.js";
+
+async function hit(limiter, req) {
+  const { res, nextCalled } = await runMiddleware(limiter, req);
+  return { passed: nextCalled, res };
+}
+
+test("the memory store counts per key within a window", async () => {
+  const store = createMemoryStore();
+  assert.equal((await store.increment("a", 60000)).count, 1);
+  assert.equal((await store.increment("a", 60000)).count, 2);
+  assert.equal((await store.increment("b", 60000)).count, 1);
+
+  await store.reset("a");
+  assert.equal((await store.increment("a", 60000)).count, 1);
+});
+
+test("the memory store starts a new window once the old one ends", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1000 });
+  const store = createMemoryStore();
+
+  const first = await store.increment("a", 5000);
+  assert.deepEqual(first, { count: 1, resetAt: 6000 });
+  await store.increment("a", 5000);
+
+  t.mock.timers.tick(5000);
+  assert.deepEqual(await store.increment("a", 5000), {
+    count: 1,
+    resetAt: 11000,
+  });
+});
+
+test("rateLimit answers 429 with Retry-After past the limit", async () => {
+  const limiter = rateLimit({
+    name: "test",
+    windowMs: 60000,
+    max: 2,
+    store: createMemoryStore(),
+  });
+  const req = { ip: "1.2.3.4" };
+
+  assert.equal((await hit(limiter, req)).passed, true);
+  assert.equal((await hit(limiter, req)).passed, true);
+
+  const blocked = await hit(limiter, req);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.headers["Retry-After"], "60");
+  assert.equal(blocked.res.body.retryAfter, 60);
+
+  // other clients keep their own counter
+  assert.equal((await hit(limiter, { ip: "5.6.7.8" })).passed, true);
+});
+
+test("rateLimit skips requests without a key", async () => {
+  const limiter = rateLimit({
+    name: "email",
+    windowMs: 60000,
+    max: 1,
+    key: byEmail,
+    store: createMemoryStore(),
+  });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await hit(limiter, { body: {} })).passed, true);
+  }
+
+  const req = { body: { email: " Ann@Example.com " } };
+  assert.equal((await hit(limiter, req)).passed, true);
+  const sameEmail = { body: { email: "ann@example.com" } };
+  assert.equal((await hit(limiter, sameEmail)).passed, false);
+});
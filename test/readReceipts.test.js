@@ -0,0 +1,146 @@
+// test/readReceipts.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Room from "../src/models/Room.js";
+import {
+  markRoomRead,
+  readOwnMessage,
+  roomReadReceipts,
+  roomListEntry,
+} from "../src/services/readReceipts.js";
+import { fakeDb, fakeIo, roomDoc } from "./helpers/fixtures.js";
+
+const adaId = "64b000000000000000000001";
+const bobId = "64b000000000000000000002";
+const ada = { userId: adaId, userEmail: "ada@example.com" };
+const bob = { userId: bobId, userEmail: "bob@example.com" };
+const guest = { isGuest: true, guestId: "guest_abc" };
+
+const messageId = (n) =>
+  new mongoose.Types.ObjectId(`64b0000000000000000001${n}0`);
+
+function seed(t) {
+  const roomId = new mongoose.Types.ObjectId();
+  const at = (s) => new Date(Date.UTC(2026, 0, 1, 0, 0, s));
+  const message = (n, fields) => ({
+    _id: messageId(n),
+    room: roomId,
+    role: "user",
+    content: `m${n}`,
+    threadRoot: null,
+    createdAt: at(n),
+    ...fields,
+  });
+
+  const db = fakeDb(t, {
+    rooms: [
+      roomDoc({
+        _id: roomId,
+        ownerId: "ada@example.com",
+        members: [
+          { id: adaId, name: "Ada", role: "owner" },
+          { id: bobId, name: "Bob", role: "member" },
+          { id: "guest_abc", name: "Visitor", role: "guest" },
+        ],
+      }),
+    ],
+    messages: [
+      message(1, { senderUser: adaId }),
+      message(2, { senderUser: bobId }),
+      message(3, { senderGuestId: "guest_abc" }),
+      message(4, { role: "system", content: "Bob joined" }),
+      message(5, { senderUser: bobId, threadRoot: messageId(2) }),
+      message(6, { senderUser: bobId }),
+    ],
+  });
+  return { ...db, roomId };
+}
+
+test("mark_read stores the position and tells the room", async (t) => {
+  const { roomId, readStates } = seed(t);
+  const room = await Room.findById(roomId);
+  const io = fakeIo();
+
+  const result = await markRoomRead(io, room, bob, String(messageId(3)));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.advanced, true);
+  assert.deepEqual(result.receipt, {
+    roomId: String(roomId),
+    memberId: bobId,
+    name: "Bob",
+    messageId: String(messageId(3)),
+    readAt: new Date(Date.UTC(2026, 0, 1, 0, 0, 3)),
+  });
+  assert.equal(readStates.length, 1);
+  const [sent] = io.emitted;
+  assert.equal(sent.event, "read_receipt");
+  assert.deepEqual(sent.to, [
+    String(roomId),
+    `member:${bobId}`,
+    "member:bob@example.com",
+  ]);
+});
+
+test("read positions only move forward", async (t) => {
+  const { roomId, readStates } = seed(t);
+  const room = await Room.findById(roomId);
+  const io = fakeIo();
+
+  await markRoomRead(io, room, bob, String(messageId(6)));
+  const back = await markRoomRead(io, room, bob, String(messageId(2)));
+
+  assert.equal(back.ok, true);
+  assert.equal(back.advanced, false);
+  assert.equal(back.receipt.messageId, String(messageId(6)));
+  assert.equal(readStates.length, 1);
+  assert.equal(io.events("read_receipt").length, 1);
+  assert.deepEqual(
+    (await roomReadReceipts(room)).map((r) => [r.name, r.messageId]),
+    [["Bob", String(messageId(6))]]
+  );
+});
+
+test("only members report, and only messages of the room", async (t) => {
+  const { roomId } = seed(t);
+  const room = await Room.findById(roomId);
+  const outsider = { isGuest: true, guestId: "guest_zzz" };
+
+  assert.deepEqual(
+    await markRoomRead(null, room, outsider, String(messageId(1))),
+    {
+      ok: false,
+      error: "NOT_A_MEMBER",
+    }
+  );
+  for (const id of ["nope", String(new mongoose.Types.ObjectId())]) {
+    assert.deepEqual(await markRoomRead(null, room, bob, id), {
+      ok: false,
+      error: "MESSAGE_NOT_FOUND",
+    });
+  }
+});
+
+test("unread counts skip own, system and thread messages", async (t) => {
+  const { roomId } = seed(t);
+  const room = await Room.findById(roomId);
+
+  const forAda = await roomListEntry(room, ada);
+  assert.equal(forAda.unreadCount, 3); // m2, m3, m6
+  assert.equal(forAda.lastMessage.text, "m6");
+
+  assert.equal((await roomListEntry(room, guest)).unreadCount, 3); // m1, m2, m6
+
+  await markRoomRead(null, room, ada, String(messageId(3)));
+  assert.equal((await roomListEntry(room, ada)).unreadCount, 1);
+});
+
+test("sending a message reads up to it", async (t) => {
+  const { roomId, messages } = seed(t);
+  const room = await Room.findById(roomId);
+
+  await readOwnMessage(null, room, bob, messages[5]);
+
+  assert.equal((await roomListEntry(room, bob)).unreadCount, 0);
+});
@@ -0,0 +1,109 @@
+// test/roomAccess.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isRoomOwner,
+  findRoomMember,
+  isRoomMember,
+  getRoomRole,
+  canManageRoom,
+  canModerate,
+  memberMatchesIdentity,
+  isBannedFromRoom,
+  activeMuteUntil,
+} from "../src/utils/roomAccess.js";
+
+const room = {
+  ownerId: "owner@example.com",
+  members: [
+    { id: "owner@example.com", name: "Olivia", role: "owner" },
+    { id: "u-co", name: "Cora", role: "co-owner" },
+    { id: "u-mod", name: "Mo", role: "moderator" },
+    { id: "legacy@example.com", name: "Lee", role: "member" },
+    { id: "u-odd", name: "Odd", role: "wizard" },
+    { id: "guest_abc", name: "Visitor", role: "guest" },
+  ],
+  bans: [{ id: "u-banned" }, { id: "guest_bad" }],
+};
+
+const owner = { userId: "u-owner", userEmail: "owner@example.com" };
+const guest = (guestId) => ({ isGuest: true, guestId });
+
+test("owners are matched by email, never as guests", () => {
+  assert.equal(isRoomOwner(room, owner), true);
+  assert.equal(isRoomOwner(room, { userId: "u-owner" }), false);
+  assert.equal(
+    isRoomOwner(room, { isGuest: true, userEmail: "owner@example.com" }),
+    false
+  );
+});
+
+test("members are found by user id, email or guest id", () => {
+  assert.equal(findRoomMember(room, { userId: "u-mod" })?.name, "Mo");
+  assert.equal(
+    findRoomMember(room, { userId: "u-lee", userEmail: "legacy@example.com" })
+      ?.name,
+    "Lee"
+  );
+  assert.equal(findRoomMember(room, guest("guest_abc"))?.name, "Visitor");
+  assert.equal(findRoomMember(room, guest(null)), null);
+});
+
+test("isRoomMember covers owners that aren't listed", () => {
+  const unlisted = { ...room, members: [] };
+  assert.equal(isRoomMember(unlisted, owner), true);
+  assert.equal(isRoomMember(unlisted, { userId: "u-co" }), false);
+});
+
+test("getRoomRole ranks the owner by ownerId and falls back to member", () => {
+  assert.equal(getRoomRole(room, owner), "owner");
+  assert.equal(getRoomRole(room, { userId: "u-co" }), "co-owner");
+  assert.equal(getRoomRole(room, { userId: "u-mod" }), "moderator");
+  assert.equal(getRoomRole(room, { userId: "u-odd" }), "member");
+  assert.equal(getRoomRole(room, guest("guest_abc")), "guest");
+  assert.equal(getRoomRole(room, { userId: "u-stranger" }), null);
+  // a members[] entry saying "owner" doesn't make its holder the owner
+  assert.equal(
+    getRoomRole({ ...room, ownerId: "new@example.com" }, owner),
+    "member"
+  );
+});
+
+test("canManageRoom is for owners and co-owners", () => {
+  assert.equal(canManageRoom(room, owner), true);
+  assert.equal(canManageRoom(room, { userId: "u-co" }), true);
+  assert.equal(canManageRoom(room, { userId: "u-mod" }), false);
+});
+
+test("canModerate only reaches roles strictly below the actor", () => {
+  assert.equal(canModerate("owner", "co-owner"), true);
+  assert.equal(canModerate("co-owner", "moderator"), true);
+  assert.equal(canModerate("moderator", "member"), true);
+  assert.equal(canModerate("moderator", "guest"), true);
+  assert.equal(canModerate("moderator", "moderator"), false);
+  assert.equal(canModerate("co-owner", "owner"), false);
+  assert.equal(canModerate("member", "guest"), false);
+  assert.equal(canModerate(null, "guest"), false);
+});
+
+test("bans match user ids, emails and guest ids", () => {
+  assert.equal(memberMatchesIdentity("u-banned", { userId: "u-banned" }), true);
+  assert.equal(
+    memberMatchesIdentity("a@example.com", {
+      userId: "x",
+      userEmail: "a@example.com",
+    }),
+    true
+  );
+  assert.equal(isBannedFromRoom(room, { userId: "u-banned" }), true);
+  assert.equal(isBannedFromRoom(room, guest("guest_bad")), true);
+  assert.equal(isBannedFromRoom(room, owner), false);
+  assert.equal(isBannedFromRoom({}, owner), false);
+});
+
+test("activeMuteUntil ignores mutes that are over", () => {
+  const later = new Date(Date.now() + 60000);
+  assert.deepEqual(activeMuteUntil({ mutedUntil: later }), later);
+  assert.equal(activeMuteUntil({ mutedUntil: new Date(Date.now() - 1) }), null);
+  assert.equal(activeMuteUntil(null), null);
+});
@@ -0,0 +1,163 @@
+// test/roomAdmission.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import Room from "../src/models/Room.js";
+import {
+  admitToRoom,
+  resolvePrivacy,
+  roomPreview,
+  decideJoinRequest,
+  checkRoomCodeLimit,
+} from "../src/services/roomAdmission.js";
+import { fakeDb, roomDoc } from "./helpers/fixtures.js";
+
+const owner = { userId: "u-owner", userEmail: "owner@example.com" };
+const passwordHash = bcrypt.hashSync("open sesame", 4);
+const user = (n) => ({
+  userId: `64b0000000000000000000${String(n).padStart(2, "0")}`,
+});
+
+async function setup(t, fields = {}) {
+  const db = fakeDb(t, {
+    users: [{ name: "Olivia", email: "owner@example.com" }],
+    rooms: [
+      roomDoc({
+        members: [{ id: "owner@example.com", name: "Olivia", role: "owner" }],
+        privacy: "password",
+        passwordHash,
+        ...fields,
+      }),
+    ],
+  });
+  return { db, room: await Room.findById(db.rooms[0]._id) };
+}
+
+const join = (room, identity, password, ip = "198.51.100.1") =>
+  admitToRoom(null, room, identity, { password, ip });
+
+test("the right password admits, a wrong one doesn't", async (t) => {
+  const { db, room } = await setup(t);
+
+  assert.equal((await join(room, user(1))).error, "PASSWORD_REQUIRED");
+  assert.equal((await join(room, user(1), "nope")).error, "WRONG_PASSWORD");
+  assert.equal((await join(room, user(1), "open sesame")).status, "joined");
+  assert.equal(db.rooms[0].members.length, 2);
+});
+
+test("other people's wrong guesses never lock out a joiner", async (t) => {
+  const { room } = await setup(t);
+
+  for (let n = 10; n < 30; n++) {
+    await join(room, user(n), "nope", `203.0.113.${n}`);
+  }
+  assert.equal((await join(room, user(2), "open sesame")).status, "joined");
+});
+
+test("a member who keeps guessing waits, even with the right password", async (t) => {
+  const { room } = await setup(t);
+
+  for (let i = 0; i < 5; i++) await join(room, user(3), "nope", "192.0.2.3");
+  assert.equal(
+    (await join(room, user(3), "open sesame", "192.0.2.4")).error,
+    "TOO_MANY_ATTEMPTS"
+  );
+});
+
+test("a correct password clears the member's and the IP's misses", async (t) => {
+  const { room } = await setup(t);
+  const ip = "192.0.2.5";
+
+  for (let i = 0; i < 4; i++) await join(room, user(4), "nope", ip);
+  assert.equal((await join(room, user(4), "open sesame", ip)).status, "joined");
+
+  // without the reset, these would take the IP over its 20
+  for (let n = 0; n < 16; n++) {
+    await join(room, { isGuest: true, guestId: `guest_r${n}` }, "nope", ip);
+  }
+  assert.equal(
+    (await join(room, { isGuest: true, guestId: "guest_r" }, "nope", ip)).error,
+    "WRONG_PASSWORD"
+  );
+});
+
+test("fresh guest ids from one IP share its allowance", async (t) => {
+  const { room } = await setup(t);
+  const ip = "192.0.2.6";
+
+  for (let n = 0; n < 20; n++) {
+    await join(room, { isGuest: true, guestId: `guest_${n}` }, "nope", ip);
+  }
+  assert.equal(
+    (await join(room, { isGuest: true, guestId: "guest_new" }, "nope", ip))
+      .error,
+    "TOO_MANY_ATTEMPTS"
+  );
+});
+
+test("approval rooms queue the request until a moderator decides", async (t) => {
+  const { db, room } = await setup(t, { privacy: "approval" });
+
+  assert.equal((await admitToRoom(null, room, user(6))).status, "pending");
+  assert.equal((await admitToRoom(null, room, user(6))).status, "pending");
+  assert.equal(db.rooms[0].joinRequests.length, 1);
+
+  assert.equal(
+    (await decideJoinRequest(null, room, user(7), user(6).userId, true)).error,
+    "NOT_ALLOWED"
+  );
+  const decided = await decideJoinRequest(
+    null,
+    room,
+    owner,
+    user(6).userId,
+    true
+  );
+  assert.equal(decided.accepted, true);
+  assert.equal(db.rooms[0].joinRequests.length, 0);
+  assert.equal(db.rooms[0].members[1].id, user(6).userId);
+});
+
+test("resolvePrivacy hashes new passwords and checks the mode", async () => {
+  const set = await resolvePrivacy({ privacy: "password", password: "abcd" });
+  assert.equal(await bcrypt.compare("abcd", set.fields.passwordHash), true);
+
+  assert.equal(
+    (await resolvePrivacy({ privacy: "secret" })).error,
+    "INVALID_PRIVACY"
+  );
+  assert.equal(
+    (await resolvePrivacy({ privacy: "password" })).error,
+    "PASSWORD_REQUIRED"
+  );
+  assert.deepEqual(
+    await resolvePrivacy({ privacy: "password" }, { hasPassword: true }),
+    { ok: true, fields: { privacy: "password" } }
+  );
+  assert.equal(
+    (await resolvePrivacy({ privacy: "password", password: "abc" })).error,
+    "INVALID_PASSWORD"
+  );
+});
+
+test("the code preview says what joining takes, and nothing more", async (t) => {
+  const { room } = await setup(t);
+
+  assert.deepEqual(roomPreview(room), {
+    id: String(room._id),
+    name: room.name,
+    privacy: "password",
+    needsPassword: true,
+    allowAI: true,
+    memberCount: 1,
+    archived: false,
+  });
+});
+
+test("room code lookups are limited per IP", async () => {
+  for (let i = 0; i < 60; i++) {
+    assert.equal(await checkRoomCodeLimit("192.0.2.99"), 0);
+  }
+  assert.ok((await checkRoomCodeLimit("192.0.2.99")) > 0);
+  assert.equal(await checkRoomCodeLimit("192.0.2.100"), 0);
+});
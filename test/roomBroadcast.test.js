@@ -0,0 +1,151 @@
+// test/roomBroadcast.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import {
+  personalRoomsFor,
+  syncPersonalRooms,
+  sendRoomList,
+  emitMemberAdded,
+  emitRoomUpdated,
+  emitRoomRemoved,
+} from "../src/services/roomBroadcast.js";
+import { fakeDb, fakeIo, fakeSocket, roomDoc } from "./helpers/fixtures.js";
+
+const userId = "64b000000000000000000001";
+const owner = { userId, userEmail: "o@example.com" };
+const guest = { isGuest: true, guestId: "guest_abc" };
+
+function connect(id, identity) {
+  const socket = fakeSocket({ id, data: identity });
+  syncPersonalRooms(socket);
+  return socket;
+}
+
+test("each identity gets its own personal socket rooms", () => {
+  assert.deepEqual(personalRoomsFor(owner), [
+    `member:${userId}`,
+    "member:o@example.com",
+  ]);
+  assert.deepEqual(personalRoomsFor(guest), ["member:guest_abc"]);
+  assert.deepEqual(personalRoomsFor(null), []);
+
+  const socket = connect("s1", guest);
+  socket.join("some-chat-room");
+  socket.data = owner;
+  syncPersonalRooms(socket);
+  assert.deepEqual([...socket.rooms].sort(), [
+    "member:64b000000000000000000001",
+    "member:o@example.com",
+    "s1",
+    "some-chat-room",
+  ]);
+});
+
+test("the snapshot lists only the identity's rooms, newest first", async (t) => {
+  fakeDb(t, {
+    rooms: [
+      roomDoc({
+        name: "Older",
+        ownerId: "o@example.com",
+        createdAt: new Date("2026-01-01"),
+      }),
+      roomDoc({
+        name: "Newer",
+        ownerId: "someone@example.com",
+        members: [{ id: userId, name: "Olivia" }],
+        createdAt: new Date("2026-02-01"),
+      }),
+      roomDoc({ name: "Not mine" }),
+    ],
+  });
+  const socket = connect("s1", owner);
+
+  await sendRoomList(socket);
+
+  const [update] = socket.emitted;
+  assert.equal(update.event, "room_list_update");
+  assert.deepEqual(
+    update.payload.map((r) => r.name),
+    ["Newer", "Older"]
+  );
+});
+
+test("a new member gets room_added, the others room_updated", async (t) => {
+  const { rooms } = fakeDb(t, {
+    rooms: [
+      roomDoc({
+        ownerId: "o@example.com",
+        members: [
+          { id: "o@example.com", name: "Olivia", role: "owner" },
+          { id: "guest_abc", name: "Visitor", role: "guest" },
+        ],
+      }),
+    ],
+  });
+  const ownerSocket = connect("s1", owner);
+  const guestSocket = connect("s2", guest);
+  const outsider = connect("s3", { isGuest: true, guestId: "guest_zzz" });
+  const io = fakeIo({ sockets: [ownerSocket, guestSocket, outsider] });
+  const room = await Room.findById(rooms[0]._id);
+
+  await emitMemberAdded(io, room, "guest_abc");
+
+  assert.deepEqual(
+    guestSocket.emitted.map((e) => e.event),
+    ["room_added"]
+  );
+  assert.deepEqual(
+    ownerSocket.emitted.map((e) => e.event),
+    ["room_updated"]
+  );
+  assert.deepEqual(outsider.emitted, []);
+});
+
+test("room_updated is serialized for each viewer", async (t) => {
+  const { rooms } = fakeDb(t, {
+    rooms: [
+      roomDoc({
+        ownerId: "o@example.com",
+        members: [
+          { id: "o@example.com", name: "Olivia", role: "owner" },
+          { id: "guest_abc", name: "Visitor", role: "guest" },
+        ],
+        bans: [{ id: "guest_bad", name: "Troll" }],
+      }),
+    ],
+  });
+  const ownerSocket = connect("s1", owner);
+  const guestSocket = connect("s2", guest);
+  const io = fakeIo({ sockets: [ownerSocket, guestSocket] });
+
+  await emitRoomUpdated(io, await Room.findById(rooms[0]._id));
+
+  const [forOwner] = ownerSocket.emitted;
+  const [forGuest] = guestSocket.emitted;
+  assert.deepEqual(
+    forOwner.payload.room.bans.map((b) => b.id),
+    ["guest_bad"]
+  );
+  assert.equal(forGuest.payload.room.bans, undefined);
+});
+
+test("room_removed goes to the given members, or everyone in the room", () => {
+  const room = {
+    _id: "64b0000000000000000000aa",
+    ownerId: "o@example.com",
+    members: [{ id: "guest_abc" }],
+  };
+  const io = fakeIo();
+
+  emitRoomRemoved(io, room, { memberIds: ["guest_abc"], reason: "kicked" });
+  emitRoomRemoved(io, room, { reason: "deleted" });
+
+  assert.deepEqual(
+    io.emitted.map(({ to, payload }) => [to, payload.reason]),
+    [
+      [["member:guest_abc"], "kicked"],
+      [["member:o@example.com", "member:guest_abc"], "deleted"],
+    ]
+  );
+});
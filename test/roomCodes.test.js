@@ -0,0 +1,161 @@
+// test/roomCodes.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import {
+  validateVanityCode,
+  checkCodeAvailability,
+  withUniqueRetry,
+  rotateRoomCode,
+  setVanityCode,
+  findRoomByCode,
+} from "../src/services/roomCodes.js";
+import { fakeModel, fakeIo, roomDoc } from "./helpers/fixtures.js";
+
+const owner = {
+  userId: "64b000000000000000000001",
+  userEmail: "o@example.com",
+};
+const member = {
+  userId: "64b000000000000000000002",
+  userEmail: "m@example.com",
+};
+
+function seed(t) {
+  return fakeModel(t, Room, [
+    roomDoc({
+      code: "123456",
+      inviteLinkId: "link-one",
+      ownerId: "o@example.com",
+      members: [
+        { id: "o@example.com", name: "Olivia", role: "owner" },
+        { id: member.userId, name: "Max", role: "member" },
+      ],
+    }),
+    roomDoc({ code: "taken-code" }),
+  ]);
+}
+
+test("vanity codes are normalized and must look like a code", () => {
+  assert.deepEqual(validateVanityCode("  Team-Chat "), {
+    ok: true,
+    code: "team-chat",
+  });
+  for (const bad of ["ab", "-abc", "abc-", "123456", "a b c", "x".repeat(25)]) {
+    assert.deepEqual(validateVanityCode(bad), {
+      ok: false,
+      error: "INVALID_CODE",
+    });
+  }
+});
+
+test("availability looks the normalized code up", async (t) => {
+  seed(t);
+  assert.deepEqual(await checkCodeAvailability("Taken-Code"), {
+    ok: true,
+    code: "taken-code",
+    available: false,
+  });
+  assert.equal((await checkCodeAvailability("free-code")).available, true);
+  assert.equal((await findRoomByCode(" 123456 ")).code, "123456");
+});
+
+test("rotating replaces the code and the default link in one write", async (t) => {
+  const [stored] = seed(t);
+  const room = await Room.findById(stored._id);
+  const io = fakeIo();
+
+  const result = await rotateRoomCode(io, room, owner);
+
+  assert.equal(result.ok, true);
+  assert.match(result.code, /^\d{6}$/);
+  assert.notEqual(result.code, "123456");
+  assert.notEqual(result.inviteLinkId, "link-one");
+  assert.equal(stored.code, result.code);
+  assert.equal(stored.inviteLinkId, result.inviteLinkId);
+  assert.equal(await findRoomByCode("123456"), null);
+  assert.deepEqual(io.events("room_code_changed"), [
+    {
+      roomId: String(stored._id),
+      code: result.code,
+      inviteLinkId: result.inviteLinkId,
+      changedBy: "o@example.com",
+    },
+  ]);
+});
+
+test("members can't change the code", async (t) => {
+  const [stored] = seed(t);
+  const room = await Room.findById(stored._id);
+
+  assert.deepEqual(await rotateRoomCode(null, room, member), {
+    ok: false,
+    error: "NOT_ALLOWED",
+  });
+  assert.deepEqual(await setVanityCode(null, room, member, "my-room"), {
+    ok: false,
+    error: "NOT_ALLOWED",
+  });
+  assert.equal(stored.code, "123456");
+});
+
+test("a vanity code already in use answers CODE_TAKEN", async (t) => {
+  const [stored] = seed(t);
+  const room = await Room.findById(stored._id);
+
+  assert.deepEqual(await setVanityCode(null, room, owner, "Taken-Code"), {
+    ok: false,
+    error: "CODE_TAKEN",
+  });
+  assert.equal(room.code, "123456");
+  assert.equal(stored.code, "123456");
+
+  const io = fakeIo();
+  assert.deepEqual(await setVanityCode(io, room, owner, "Our-Room"), {
+    ok: true,
+    code: "our-room",
+  });
+  assert.equal(stored.code, "our-room");
+  assert.equal(io.events("room_code_changed")[0].code, "our-room");
+});
+
+test("withUniqueRetry retries duplicates only, and gives up", async () => {
+  const duplicate = () =>
+    Object.assign(new Error("E11000"), {
+      code: 11000,
+      keyPattern: { code: 1 },
+    });
+
+  let calls = 0;
+  const value = await withUniqueRetry(
+    "code",
+    () => ++calls,
+    async (n) => {
+      if (n < 3) throw duplicate();
+      return n;
+    }
+  );
+  assert.equal(value, 3);
+
+  assert.equal(
+    await withUniqueRetry(
+      "code",
+      () => 1,
+      async () => {
+        throw duplicate();
+      }
+    ),
+    null
+  );
+
+  await assert.rejects(
+    withUniqueRetry(
+      "inviteLinkId",
+      () => 1,
+      async () => {
+        throw duplicate();
+      }
+    ),
+    /E11000/
+  );
+});
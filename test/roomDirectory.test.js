@@ -0,0 +1,179 @@
+// test/roomDirectory.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import roomRoutes from "../src/routes/roomRoutes.js";
+import {
+  validateListing,
+  updateRoomListing,
+  listPublicRooms,
+} from "../src/services/roomDirectory.js";
+import { trackJoin, forgetRoom } from "../src/services/presence.js";
+import {
+  fakeDb,
+  fakeIo,
+  fakeSocket,
+  roomDoc,
+  serve,
+} from "./helpers/fixtures.js";
+
+const owner = {
+  userId: "64b000000000000000000001",
+  userEmail: "o@example.com",
+};
+const member = {
+  userId: "64b000000000000000000002",
+  userEmail: "m@example.com",
+};
+
+const listed = (name, { listing, ...fields } = {}) =>
+  roomDoc({
+    name,
+    ...fields,
+    listing: { isPublic: true, tags: [], ...listing },
+  });
+
+function seedDirectory(t) {
+  return fakeDb(t, {
+    rooms: [
+      listed("Chess", {
+        listing: { tags: ["games", "chess"], language: "en" },
+        lastActivityAt: new Date("2026-03-01"),
+        createdAt: new Date("2026-01-01"),
+      }),
+      listed("Go", {
+        listing: { tags: ["games"], language: "ja" },
+        lastActivityAt: new Date("2026-02-01"),
+        createdAt: new Date("2026-01-03"),
+      }),
+      listed("Poker", {
+        listing: { tags: ["games", "cards"] },
+        lastActivityAt: new Date("2026-01-15"),
+        createdAt: new Date("2026-01-02"),
+      }),
+      listed("Archived", { archivedAt: new Date("2026-02-02") }),
+      roomDoc({ name: "Private" }),
+    ],
+  });
+}
+
+const names = (result) => result.rooms.map((r) => r.name);
+
+test("listings are validated and normalized", () => {
+  assert.deepEqual(
+    validateListing({
+      isPublic: true,
+      description: "  Weekly games ",
+      tags: ["Chess", "chess", "board-games"],
+      language: "EN-gb",
+    }),
+    {
+      ok: true,
+      fields: {
+        isPublic: true,
+        description: "Weekly games",
+        tags: ["chess", "board-games"],
+        language: "en-gb",
+      },
+    }
+  );
+  assert.deepEqual(validateListing({ language: "" }).fields, {
+    language: null,
+  });
+
+  for (const [patch, error] of [
+    [{ isPublic: "yes" }, "INVALID_LISTING"],
+    [{ description: "x".repeat(501) }, "INVALID_DESCRIPTION"],
+    [{ tags: "chess" }, "INVALID_TAGS"],
+    [{ tags: ["no spaces"] }, "INVALID_TAGS"],
+    [{ tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }, "INVALID_TAGS"],
+    [{ language: "english" }, "INVALID_LANGUAGE"],
+    [{}, "NO_CHANGES"],
+  ]) {
+    assert.deepEqual(validateListing(patch), { ok: false, error });
+  }
+});
+
+test("only owners and co-owners change the listing", async (t) => {
+  const { rooms } = fakeDb(t, {
+    rooms: [
+      roomDoc({
+        ownerId: "o@example.com",
+        members: [
+          { id: "o@example.com", name: "Olivia", role: "owner" },
+          { id: member.userId, name: "Max", role: "moderator" },
+        ],
+      }),
+    ],
+  });
+  const room = await Room.findById(rooms[0]._id);
+
+  assert.deepEqual(
+    await updateRoomListing(null, room, member, { isPublic: true }),
+    { ok: false, error: "NOT_ALLOWED" }
+  );
+  assert.equal(rooms[0].listing?.isPublic ?? false, false);
+
+  const result = await updateRoomListing(fakeIo(), room, owner, {
+    isPublic: true,
+    tags: ["Chess"],
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.listing.tags, ["chess"]);
+  assert.equal(rooms[0].listing.isPublic, true);
+});
+
+test("the directory shows listed, live rooms, filtered and sorted", async (t) => {
+  seedDirectory(t);
+
+  assert.deepEqual(names(await listPublicRooms()), ["Chess", "Go", "Poker"]);
+  assert.deepEqual(names(await listPublicRooms({ sort: "newest" })), [
+    "Go",
+    "Poker",
+    "Chess",
+  ]);
+  assert.deepEqual(names(await listPublicRooms({ tags: "Games,cards" })), [
+    "Poker",
+  ]);
+  assert.deepEqual(names(await listPublicRooms({ language: "JA" })), ["Go"]);
+  assert.deepEqual(await listPublicRooms({ sort: "members" }), {
+    ok: false,
+    error: "INVALID_SORT",
+  });
+
+  const first = await listPublicRooms({ limit: 2 });
+  assert.equal(first.hasMore, true);
+  const second = await listPublicRooms({ limit: 2, page: 2 });
+  assert.deepEqual(names(second), ["Poker"]);
+  assert.equal(second.hasMore, false);
+});
+
+test("the online sort ranks rooms by who is present", async (t) => {
+  const { rooms } = seedDirectory(t);
+  const poker = String(rooms[2]._id);
+  t.after(() => forgetRoom(poker));
+  trackJoin(fakeIo(), poker, fakeSocket({ id: "s1", data: owner }), {
+    id: owner.userId,
+    name: "Olivia",
+  });
+
+  const result = await listPublicRooms({ sort: "online" });
+  assert.deepEqual(names(result), ["Poker", "Chess", "Go"]);
+  assert.equal(result.rooms[0].online, 1);
+});
+
+test("GET /public needs no account and hides codes and members", async (t) => {
+  seedDirectory(t);
+  const request = await serve(t, roomRoutes);
+
+  const res = await request("GET", "/public?q=&tags=chess");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(names(res.body), ["Chess"]);
+  const [entry] = res.body.rooms;
+  assert.equal(entry.code, undefined);
+  assert.equal(entry.inviteLinkId, undefined);
+  assert.equal(entry.members, undefined);
+  assert.equal(entry.memberCount, 0);
+  assert.deepEqual(entry.tags, ["games", "chess"]);
+});
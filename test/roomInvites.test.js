@@ -0,0 +1,157 @@
+// test/roomInvites.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import {
+  createInvite,
+  revokeInvite,
+  previewInvite,
+  joinWithInvite,
+  listInvites,
+} from "../src/services/roomInvites.js";
+import { fakeDb, roomDoc } from "./helpers/fixtures.js";
+
+const owner = { userId: "u-owner", userEmail: "owner@example.com" };
+const ann = {
+  userId: "64b000000000000000000001",
+  userEmail: "ann@example.com",
+};
+const bob = {
+  userId: "64b000000000000000000002",
+  userEmail: "bob@example.com",
+};
+const guest = { isGuest: true, guestId: "guest_abc" };
+
+async function setup(t, fields = {}) {
+  const db = fakeDb(t, {
+    users: [{ name: "Olivia", email: "owner@example.com" }],
+    rooms: [
+      roomDoc({
+        name: "Lobby",
+        code: "lobby-code",
+        inviteLinkId: "default-link",
+        members: [{ id: "owner@example.com", name: "Olivia", role: "owner" }],
+        ...fields,
+      }),
+    ],
+  });
+  const room = await Room.findById(db.rooms[0]._id);
+  return { db, room };
+}
+
+const memberIds = (db) => db.rooms[0].members.map((m) => m.id);
+
+test("invites are for managers and validated up front", async (t) => {
+  const { room } = await setup(t);
+
+  assert.equal((await createInvite(room, ann)).error, "NOT_ALLOWED");
+  assert.equal(
+    (await createInvite(room, owner, { role: "owner" })).error,
+    "INVALID_ROLE"
+  );
+  assert.equal(
+    (await createInvite(room, owner, { expiresInHours: 24 * 365 })).error,
+    "INVALID_EXPIRY"
+  );
+  assert.equal(
+    (await createInvite(room, owner, { maxUses: 0 })).error,
+    "INVALID_MAX_USES"
+  );
+
+  const { invite } = await createInvite(room, owner, { maxUses: 2 });
+  assert.equal(invite.status, "ACTIVE");
+  assert.equal(invite.uses, 0);
+});
+
+test("a single-use invite admits one joiner and records it", async (t) => {
+  const { db, room } = await setup(t);
+  const { invite } = await createInvite(room, owner, { maxUses: 1 });
+
+  const joined = await joinWithInvite(null, invite.inviteId, ann, {
+    name: "Ann",
+  });
+  assert.equal(joined.status, "joined");
+  assert.equal(joined.alreadyMember, false);
+
+  const again = await joinWithInvite(null, invite.inviteId, ann);
+  assert.equal(again.alreadyMember, true);
+
+  assert.equal(
+    (await joinWithInvite(null, invite.inviteId, bob)).error,
+    "INVITE_EXHAUSTED"
+  );
+  assert.deepEqual(memberIds(db), ["owner@example.com", ann.userId]);
+  assert.equal(db.invites[0].uses, 1);
+  assert.deepEqual(
+    db.invites[0].usages.map((u) => [u.memberId, u.name]),
+    [[ann.userId, "Ann"]]
+  );
+});
+
+test("guests join guest invites as guests", async (t) => {
+  const { db, room } = await setup(t);
+  const { invite } = await createInvite(room, owner, { role: "guest" });
+
+  await joinWithInvite(null, invite.inviteId, guest, { name: "Visitor" });
+  const { id, name, role } = db.rooms[0].members[1];
+  assert.deepEqual([id, name, role], ["guest_abc", "Visitor", "guest"]);
+});
+
+test("revoked invites stop working, the default link rotates", async (t) => {
+  const { db, room } = await setup(t);
+  const { invite } = await createInvite(room, owner);
+
+  await revokeInvite(room, owner, invite.inviteId);
+  assert.equal(
+    (await joinWithInvite(null, invite.inviteId, ann)).error,
+    "INVITE_REVOKED"
+  );
+
+  const rotated = await revokeInvite(room, owner, "default-link");
+  assert.notEqual(rotated.invite.inviteId, "default-link");
+  assert.equal(db.rooms[0].inviteLinkId, rotated.invite.inviteId);
+  assert.equal(
+    (await joinWithInvite(null, "default-link", ann)).error,
+    "INVITE_NOT_FOUND"
+  );
+});
+
+test("the default link goes through the room's privacy mode", async (t) => {
+  const { db } = await setup(t, { privacy: "approval" });
+
+  const result = await joinWithInvite(null, "default-link", ann, {
+    name: "Ann",
+  });
+  assert.equal(result.status, "pending");
+  assert.deepEqual(memberIds(db), ["owner@example.com"]);
+  assert.equal(db.rooms[0].joinRequests[0].id, ann.userId);
+});
+
+test("previews show the room, never its code or members", async (t) => {
+  const { room } = await setup(t);
+  const { invite } = await createInvite(room, owner, { maxUses: 3 });
+
+  const { preview } = await previewInvite(invite.inviteId);
+  assert.equal(preview.usesLeft, 3);
+  assert.deepEqual(preview.room, {
+    id: String(room._id),
+    name: "Lobby",
+    allowAI: true,
+    memberCount: 1,
+  });
+  assert.doesNotMatch(JSON.stringify(preview), /lobby-code|owner@/);
+});
+
+test("managers see the default link first", async (t) => {
+  const { room } = await setup(t);
+  await createInvite(room, owner, { label: "Team" });
+
+  const { invites } = await listInvites(room, owner);
+  assert.deepEqual(
+    invites.map((i) => [i.isDefault, i.label ?? null]),
+    [
+      [true, null],
+      [false, "Team"],
+    ]
+  );
+});
@@ -0,0 +1,68 @@
+// test/roomLifetime.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveLifetime,
+  defaultLifetimeHours,
+  maxLifetimeHours,
+} from "../src/services/roomLifetime.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test("resolveLifetime defaults to an ephemeral room with the default duration", () => {
+  const before = Date.now();
+  const result = resolveLifetime();
+
+  assert.equal(result.ok, true);
+  assert.equal(result.fields.expiryMode, "ephemeral");
+  assert.equal(result.fields.expireAction, "delete");
+  const ttl = result.fields.expiresAt.getTime() - before;
+  assert.ok(Math.abs(ttl - defaultLifetimeHours() * HOUR_MS) < 1000);
+});
+
+test("resolveLifetime keeps persistent rooms without an expiry", () => {
+  const result = resolveLifetime({ mode: "persistent", onExpire: "archive" });
+  assert.deepEqual(result, {
+    ok: true,
+    fields: {
+      expiryMode: "persistent",
+      expiresAt: null,
+      expireAction: "archive",
+      expiryWarnedAt: null,
+    },
+  });
+});
+
+test("resolveLifetime rejects unknown modes and expire actions", () => {
+  assert.deepEqual(resolveLifetime({ mode: "forever" }), {
+    ok: false,
+    error: "INVALID_MODE",
+  });
+  assert.deepEqual(resolveLifetime({ onExpire: "hide" }), {
+    ok: false,
+    error: "INVALID_EXPIRE_ACTION",
+  });
+});
+
+test("resolveLifetime only accepts durations up to the maximum", () => {
+  for (const durationHours of [0, -1, "soon", maxLifetimeHours() + 1]) {
+    assert.deepEqual(resolveLifetime({ durationHours }), {
+      ok: false,
+      error: "INVALID_DURATION",
+    });
+  }
+  assert.equal(resolveLifetime({ durationHours: "2" }).ok, true);
+  assert.equal(resolveLifetime({ durationHours: maxLifetimeHours() }).ok, true);
+});
+
+test("resolveLifetime reads the limits from the environment", (t) => {
+  const saved = process.env.ROOM_MAX_LIFETIME_HOURS;
+  t.after(() => {
+    if (saved === undefined) delete process.env.ROOM_MAX_LIFETIME_HOURS;
+    else process.env.ROOM_MAX_LIFETIME_HOURS = saved;
+  });
+
+  process.env.ROOM_MAX_LIFETIME_HOURS = "3";
+  assert.equal(resolveLifetime({ durationHours: 3 }).ok, true);
+  assert.equal(resolveLifetime({ durationHours: 4 }).error, "INVALID_DURATION");
+});
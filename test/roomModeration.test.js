@@ -0,0 +1,145 @@
+// test/roomModeration.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import {
+  setMemberRole,
+  kickMember,
+  banMember,
+  unbanMember,
+  muteMember,
+} from "../src/services/roomModeration.js";
+import { fakeModel, fakeIo, fakeSocket, roomDoc } from "./helpers/fixtures.js";
+
+const owner = { userId: "u-owner", userEmail: "owner@example.com" };
+const coOwner = { userId: "u-co" };
+const moderator = { userId: "u-mod" };
+const member = { userId: "u-mem" };
+
+async function loadRoom(t) {
+  const [stored] = fakeModel(t, Room, [
+    roomDoc({
+      members: [
+        { id: "owner@example.com", name: "Olivia", role: "owner" },
+        { id: "u-co", name: "Cora", role: "co-owner" },
+        { id: "u-mod", name: "Mo", role: "moderator" },
+        { id: "u-mem", name: "Max", role: "member" },
+        { id: "guest_abc", name: "Visitor", role: "guest" },
+      ],
+    }),
+  ]);
+  return { stored, room: await Room.findById(stored._id) };
+}
+
+const roles = (stored) =>
+  Object.fromEntries(stored.members.map((m) => [m.id, m.role]));
+
+test("only the owner names co-owners, co-owners promote below themselves", async (t) => {
+  const { stored, room } = await loadRoom(t);
+
+  assert.equal(
+    (await setMemberRole(null, room, coOwner, "u-mem", "co-owner")).error,
+    "NOT_ALLOWED"
+  );
+  assert.equal(
+    (await setMemberRole(null, room, coOwner, "u-mem", "moderator")).ok,
+    true
+  );
+  assert.equal(
+    (await setMemberRole(null, room, owner, "u-mem", "co-owner")).ok,
+    true
+  );
+  assert.equal(roles(stored)["u-mem"], "co-owner");
+});
+
+test("roles are checked before anything is saved", async (t) => {
+  const { room } = await loadRoom(t);
+
+  assert.equal(
+    (await setMemberRole(null, room, owner, "u-mem", "owner")).error,
+    "INVALID_ROLE"
+  );
+  assert.equal(
+    (await setMemberRole(null, room, owner, "guest_abc", "moderator")).error,
+    "GUESTS_CANNOT_BE_PROMOTED"
+  );
+  assert.equal(
+    (await setMemberRole(null, room, moderator, "u-mem", "member")).error,
+    "NOT_ALLOWED"
+  );
+  assert.equal(
+    (await setMemberRole(null, room, owner, "owner@example.com", "member"))
+      .error,
+    "CANNOT_TARGET_SELF"
+  );
+});
+
+test("moderators kick members, never their equals or betters", async (t) => {
+  const { stored, room } = await loadRoom(t);
+  const target = fakeSocket({ id: "max-tab", data: { userId: "u-mem" } });
+  target.join("member:u-mem");
+  target.join(String(stored._id));
+  const io = fakeIo({ sockets: [target] });
+
+  assert.equal(
+    (await kickMember(io, room, moderator, "u-co")).error,
+    "NOT_ALLOWED"
+  );
+  assert.equal((await kickMember(io, room, moderator, "u-mem")).ok, true);
+
+  assert.equal("u-mem" in roles(stored), false);
+  assert.equal(target.rooms.has(String(stored._id)), false);
+  assert.deepEqual(target.emitted[0], {
+    event: "removed_from_room",
+    payload: { roomId: String(stored._id), reason: "kicked", by: "Mo" },
+  });
+  assert.equal(io.events("member_removed")[0].memberId, "u-mem");
+});
+
+test("bans keep the member out until a moderator lifts them", async (t) => {
+  const { stored, room } = await loadRoom(t);
+
+  const banned = await banMember(null, room, moderator, "guest_abc", "spam");
+  assert.equal(banned.ok, true);
+  assert.deepEqual(
+    stored.bans.map((b) => [b.id, b.reason]),
+    [["guest_abc", "spam"]]
+  );
+
+  assert.equal(
+    (await unbanMember(null, room, member, "guest_abc")).error,
+    "NOT_ALLOWED"
+  );
+  assert.equal(
+    (await unbanMember(null, room, moderator, "guest_abc")).ok,
+    true
+  );
+  assert.equal(
+    (await unbanMember(null, room, moderator, "guest_abc")).error,
+    "BAN_NOT_FOUND"
+  );
+});
+
+test("mutes are capped at a week and lifted with 0", async (t) => {
+  const { room } = await loadRoom(t);
+  const week = 7 * 24 * 60 * 60 * 1000;
+
+  const muted = await muteMember(null, room, moderator, "u-mem", 10 * week);
+  assert.ok(muted.mutedUntil.getTime() - Date.now() <= week);
+
+  const lifted = await muteMember(null, room, moderator, "u-mem", 0);
+  assert.equal(lifted.mutedUntil, null);
+});
+
+test("outsiders and missing targets are refused", async (t) => {
+  const { room } = await loadRoom(t);
+
+  assert.equal(
+    (await kickMember(null, room, { userId: "u-stranger" }, "u-mem")).error,
+    "NOT_A_MEMBER"
+  );
+  assert.equal(
+    (await kickMember(null, room, owner, "u-nobody")).error,
+    "MEMBER_NOT_FOUND"
+  );
+});
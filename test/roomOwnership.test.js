@@ -0,0 +1,98 @@
+// test/roomOwnership.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import User from "../src/models/User.js";
+import {
+  transferOwnership,
+  pickSuccessor,
+} from "../src/services/roomOwnership.js";
+import { fakeModel, fakeIo, roomDoc } from "./helpers/fixtures.js";
+
+const ownerId = "64b000000000000000000001";
+const coId = "64b000000000000000000002";
+const modId = "64b000000000000000000003";
+const owner = { userId: ownerId, userEmail: "o@example.com" };
+
+function setup(t, members) {
+  const users = fakeModel(t, User, [
+    { _id: ownerId, name: "Olivia", email: "o@example.com" },
+    { _id: coId, name: "Cora", email: "cora@example.com" },
+    { _id: modId, name: "Mo", email: "mo@example.com" },
+  ]);
+  const [stored] = fakeModel(t, Room, [
+    roomDoc({
+      ownerId: "o@example.com",
+      members: members || [
+        { id: "o@example.com", name: "Olivia", role: "owner" },
+        { id: modId, name: "Mo", role: "moderator" },
+        { id: "guest_abc", name: "Visitor", role: "guest" },
+        { id: coId, name: "Cora", role: "co-owner" },
+      ],
+    }),
+  ]);
+  return { users, stored };
+}
+
+test("the owner hands the room over and stays on as co-owner", async (t) => {
+  const { stored } = setup(t);
+  const room = await Room.findById(stored._id);
+  const io = fakeIo();
+
+  assert.deepEqual(await transferOwnership(io, room, owner, modId), {
+    ok: true,
+  });
+  assert.equal(stored.ownerId, "mo@example.com");
+  assert.deepEqual(
+    stored.members.map((m) => [m.name, m.role]),
+    [
+      ["Olivia", "co-owner"],
+      ["Mo", "owner"],
+      ["Visitor", "guest"],
+      ["Cora", "co-owner"],
+    ]
+  );
+  assert.deepEqual(io.events("room_owner_changed")[0], {
+    roomId: String(stored._id),
+    ownerId: "mo@example.com",
+    memberId: modId,
+  });
+});
+
+test("only the owner transfers, and only to a logged-in member", async (t) => {
+  const { stored } = setup(t);
+  const room = await Room.findById(stored._id);
+
+  assert.equal(
+    (await transferOwnership(null, room, { userId: coId }, modId)).error,
+    "NOT_OWNER"
+  );
+  assert.equal(
+    (await transferOwnership(null, room, owner, "guest_abc")).error,
+    "TARGET_NOT_A_USER"
+  );
+  assert.equal(
+    (await transferOwnership(null, room, owner, "o@example.com")).error,
+    "CANNOT_TARGET_SELF"
+  );
+  assert.equal(stored.ownerId, "o@example.com");
+});
+
+test("successors are co-owners first, then moderators, then members", async (t) => {
+  const { stored } = setup(t);
+
+  const next = await pickSuccessor(stored, [ownerId, "o@example.com"]);
+  assert.equal(next.member.name, "Cora");
+  assert.equal(next.user.email, "cora@example.com");
+
+  const after = await pickSuccessor(stored, ["o@example.com", coId]);
+  assert.equal(after.member.name, "Mo");
+});
+
+test("rooms with only guests left have no successor", async (t) => {
+  const { stored } = setup(t, [
+    { id: "o@example.com", name: "Olivia", role: "owner" },
+    { id: "guest_abc", name: "Visitor", role: "guest" },
+  ]);
+  assert.equal(await pickSuccessor(stored, ["o@example.com"]), null);
+});
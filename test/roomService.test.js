@@ -0,0 +1,153 @@
+// test/roomService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Room from "../src/models/Room.js";
+import {
+  createRoom,
+  updateRoom,
+  setRoomAI,
+  deleteRoom,
+} from "../src/services/roomService.js";
+import { fakeDb, fakeIo, fakeSocket, roomDoc } from "./helpers/fixtures.js";
+
+const ownerId = "64b000000000000000000001";
+const owner = { userId: ownerId, userEmail: "owner@example.com" };
+const coOwner = { userId: "u-co" };
+const member = { userId: "u-mem" };
+
+function setup(t) {
+  const db = fakeDb(t, {
+    users: [
+      {
+        _id: ownerId,
+        name: "Olivia",
+        email: "owner@example.com",
+        ownedRoomCount: 1,
+      },
+    ],
+    rooms: [
+      roomDoc({
+        name: "Lobby",
+        members: [
+          { id: "owner@example.com", name: "Olivia", role: "owner" },
+          { id: "u-co", name: "Cora", role: "co-owner" },
+          { id: "u-mem", name: "Max", role: "member" },
+        ],
+      }),
+    ],
+  });
+  // the owner's tab, to count room list updates
+  const tab = fakeSocket({ data: owner });
+  tab.join("member:owner@example.com");
+  return { db, tab, io: fakeIo({ sockets: [tab] }) };
+}
+
+const listUpdates = (tab) =>
+  tab.emitted.filter((e) => e.event === "room_updated").map((e) => e.payload);
+
+test("createRoom makes the creator the owner member", async (t) => {
+  const { db } = setup(t);
+
+  const result = await createRoom(null, owner, {
+    name: "  Study group ",
+    allowAI: false,
+  });
+  assert.equal(result.ok, true);
+  const created = db.rooms[1];
+  assert.equal(created.name, "Study group");
+  assert.equal(created.ownerId, "owner@example.com");
+  assert.equal(created.allowAI, false);
+  assert.deepEqual(
+    created.members.map((m) => [m.id, m.role]),
+    [["owner@example.com", "owner"]]
+  );
+  assert.ok(created.code && created.inviteLinkId);
+  assert.equal(db.users[0].ownedRoomCount, 2);
+});
+
+test("createRoom refuses guests and bad input without using a slot", async (t) => {
+  const { db } = setup(t);
+
+  const guest = { isGuest: true, guestId: "guest_abc" };
+  assert.equal(
+    (await createRoom(null, guest, { name: "x" })).error,
+    "NOT_AUTHENTICATED"
+  );
+  assert.equal(
+    (await createRoom(null, owner, { name: " " })).error,
+    "INVALID_NAME"
+  );
+  assert.equal(
+    (await createRoom(null, owner, { name: "x", allowAI: "false" })).error,
+    "INVALID_ALLOW_AI"
+  );
+  assert.equal(db.rooms.length, 1);
+  assert.equal(db.users[0].ownedRoomCount, 1);
+});
+
+test("updateRoom saves every field once and sends one room_updated", async (t) => {
+  const { db, tab, io } = setup(t);
+  const room = await Room.findById(db.rooms[0]._id);
+
+  const result = await updateRoom(io, room, coOwner, {
+    name: "Renamed",
+    allowAI: false,
+    theme: "midnight",
+  });
+  assert.equal(result.ok, true);
+  assert.equal(db.rooms[0].name, "Renamed");
+  assert.equal(db.rooms[0].allowAI, false);
+  assert.equal(db.rooms[0].settings.theme, "midnight");
+
+  const updates = listUpdates(tab);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].room.name, "Renamed");
+  assert.equal(updates[0].room.allowAI, false);
+  assert.deepEqual(io.events("room_ai_toggled"), [
+    { roomId: String(room._id), allowAI: false },
+  ]);
+  assert.equal(io.events("room_theme_changed")[0].theme, "midnight");
+});
+
+test("a rejected field leaves the room as it was", async (t) => {
+  const { db, tab, io } = setup(t);
+  const room = await Room.findById(db.rooms[0]._id);
+
+  for (const patch of [
+    { name: "Renamed", allowAI: "false" },
+    { name: "Renamed", theme: "<b>" },
+    { name: "" },
+  ]) {
+    assert.equal((await updateRoom(io, room, owner, patch)).ok, false);
+  }
+  assert.equal(
+    (await updateRoom(io, room, member, { name: "Mine" })).error,
+    "NOT_OWNER"
+  );
+  assert.equal(db.rooms[0].name, "Lobby");
+  assert.equal(listUpdates(tab).length, 0);
+});
+
+test("setRoomAI toggles without a value and rejects non-booleans", async (t) => {
+  const { db } = setup(t);
+  const room = await Room.findById(db.rooms[0]._id);
+
+  await setRoomAI(null, room, owner);
+  assert.equal(db.rooms[0].allowAI, false);
+  assert.equal(
+    (await setRoomAI(null, room, owner, 1)).error,
+    "INVALID_ALLOW_AI"
+  );
+  assert.equal(db.rooms[0].allowAI, false);
+});
+
+test("only the owner deletes, and the slot comes back", async (t) => {
+  const { db, io } = setup(t);
+  const room = await Room.findById(db.rooms[0]._id);
+
+  assert.equal((await deleteRoom(io, room, coOwner)).error, "NOT_OWNER");
+  assert.deepEqual(await deleteRoom(io, room, owner), { ok: true });
+  assert.equal(db.rooms.length, 0);
+  assert.equal(db.users[0].ownedRoomCount, 0);
+  assert.deepEqual(io.events("room_deleted"), [{ roomId: String(room._id) }]);
+});
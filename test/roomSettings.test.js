@@ -0,0 +1,125 @@
+// test/roomSettings.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../src/models/User.js";
+import {
+  roomSettings,
+  validateSettings,
+  admissionBlocked,
+  canPostMessage,
+  recordMessagePosted,
+  DEFAULT_SETTINGS,
+} from "../src/services/roomSettings.js";
+import { fakeModel } from "./helpers/fixtures.js";
+
+const member = { userId: "u-mem" };
+const moderator = { userId: "u-mod" };
+const guest = { isGuest: true, guestId: "guest_abc" };
+
+// a fresh room id per test keeps the slow-mode slots apart
+function room(settings = {}, extra = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    ownerId: "owner@example.com",
+    members: [
+      { id: "owner@example.com", name: "Olivia", role: "owner" },
+      { id: "u-mod", name: "Mo", role: "moderator" },
+      { id: "u-mem", name: "Max", role: "member" },
+      { id: "guest_abc", name: "Visitor", role: "guest" },
+    ],
+    settings,
+    ...extra,
+  };
+}
+
+test("roomSettings fills defaults and keeps a legacy theme", () => {
+  assert.deepEqual(roomSettings({}), DEFAULT_SETTINGS);
+  assert.equal(roomSettings({ theme: "love" }).theme, "love");
+  assert.equal(
+    roomSettings({ theme: "love", settings: { theme: "midnight" } }).theme,
+    "midnight"
+  );
+});
+
+test("validateSettings keeps only what was sent, or names the bad field", () => {
+  assert.deepEqual(validateSettings({ slowModeSeconds: "30", maxMembers: 0 }), {
+    ok: true,
+    fields: { slowModeSeconds: 30, maxMembers: null },
+  });
+
+  const errors = [
+    [{ theme: "no spaces" }, "INVALID_THEME"],
+    [{ slowModeSeconds: -1 }, "INVALID_SLOW_MODE"],
+    [{ slowModeSeconds: 1.5 }, "INVALID_SLOW_MODE"],
+    [{ maxMembers: 1 }, "INVALID_MAX_MEMBERS"],
+    [{ allowGuests: "no" }, "INVALID_SETTINGS"],
+    [{ aiPersona: "x".repeat(2001) }, "INVALID_AI_PERSONA"],
+    [{}, "NO_CHANGES"],
+  ];
+  for (const [patch, error] of errors) {
+    assert.equal(validateSettings(patch).error, error, JSON.stringify(patch));
+  }
+});
+
+test("slow mode starts once a message is posted, not when it's checked", async () => {
+  const slow = room({ slowModeSeconds: 30 });
+
+  assert.equal(await canPostMessage(slow, member), null);
+  assert.equal(await canPostMessage(slow, member), null);
+
+  await recordMessagePosted(slow, member);
+  const blocked = await canPostMessage(slow, member);
+  assert.equal(blocked.reason, "SLOW_MODE");
+  assert.ok(blocked.retryAfter > 0 && blocked.retryAfter <= 30);
+});
+
+test("a message rejected for something else doesn't start the wait", async () => {
+  const slow = room({ slowModeSeconds: 30, guestMediaAllowed: false });
+
+  assert.equal(
+    (await canPostMessage(slow, guest, { hasMedia: true })).reason,
+    "GUEST_MEDIA_DISABLED"
+  );
+  assert.equal(await canPostMessage(slow, guest), null);
+});
+
+test("moderators and up skip slow mode", async () => {
+  const slow = room({ slowModeSeconds: 30 });
+
+  await recordMessagePosted(slow, moderator);
+  assert.equal(await canPostMessage(slow, moderator), null);
+});
+
+test("the wait ends with the window", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const slow = room({ slowModeSeconds: 10 });
+
+  await recordMessagePosted(slow, member);
+  t.mock.timers.tick(10_001);
+  assert.equal(await canPostMessage(slow, member), null);
+});
+
+test("admissionBlocked applies guests, the room cap and the owner's plan", async (t) => {
+  fakeModel(t, User, [
+    {
+      name: "Olivia",
+      email: "owner@example.com",
+      quotaOverrides: { membersPerRoom: 5 },
+    },
+  ]);
+
+  assert.equal(
+    await admissionBlocked(room({ allowGuests: false }), guest),
+    "GUESTS_NOT_ALLOWED"
+  );
+  assert.equal(
+    await admissionBlocked(room({ maxMembers: 4 }), member),
+    "ROOM_FULL"
+  );
+  assert.equal(await admissionBlocked(room({ maxMembers: 10 }), member), null);
+
+  const crowded = room();
+  crowded.members.push({ id: "u-5", name: "Five", role: "member" });
+  assert.equal(await admissionBlocked(crowded, member), "ROOM_FULL");
+});
@@ -0,0 +1,103 @@
+// test/sessions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Session from "../src/models/Session.js";
+import User from "../src/models/User.js";
+import {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+} from "../src/utils/sessions.js";
+import { verifyToken } from "../src/utils/token.js";
+import { fakeModel } from "./helpers/fixtures.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+function setup(t) {
+  const [user] = fakeModel(t, User, [
+    { name: "Ann", email: "ann@example.com" },
+  ]);
+  const sessions = fakeModel(t, Session);
+  return { user, sessions };
+}
+
+test("createSession issues an access token bound to the session", async (t) => {
+  const { user, sessions } = setup(t);
+  const { token, refreshToken, session } = await createSession(user);
+
+  assert.equal(verifyToken(token).sessionId, String(session._id));
+  assert.ok(refreshToken.startsWith(`${session._id}.`));
+  assert.equal(sessions.length, 1);
+  assert.equal(await isSessionActive(String(session._id)), true);
+});
+
+test("rotateSession swaps the refresh secret", async (t) => {
+  const { user } = setup(t);
+  const first = await createSession(user);
+
+  const next = await rotateSession(first.refreshToken);
+  assert.equal(next.error, undefined);
+  assert.notEqual(next.refreshToken, first.refreshToken);
+  assert.equal(String(next.user._id), String(user._id));
+  assert.equal(verifyToken(next.token).sessionId, String(first.session._id));
+});
+
+test("reusing a rotated refresh token revokes the session", async (t) => {
+  const { user, sessions } = setup(t);
+  const first = await createSession(user);
+  const next = await rotateSession(first.refreshToken);
+
+  assert.deepEqual(await rotateSession(first.refreshToken), {
+    error: "REFRESH_TOKEN_REUSED",
+  });
+  assert.equal(sessions[0].revokedReason, "token_reuse");
+  assert.deepEqual(await rotateSession(next.refreshToken), {
+    error: "SESSION_REVOKED",
+  });
+});
+
+test("only one of two refreshes with the same token wins", async (t) => {
+  const { user } = setup(t);
+  const { refreshToken } = await createSession(user);
+
+  const results = await Promise.all([
+    rotateSession(refreshToken),
+    rotateSession(refreshToken),
+  ]);
+  assert.equal(results.filter((r) => r.token).length, 1);
+});
+
+test("malformed refresh tokens are refused", async (t) => {
+  setup(t);
+  for (const raw of [undefined, "abc", "nope.secret"]) {
+    assert.deepEqual(await rotateSession(raw), {
+      error: "INVALID_REFRESH_TOKEN",
+    });
+  }
+});
+
+test("logout needs the secret, not just the session id", async (t) => {
+  const { user } = setup(t);
+  const { refreshToken, session } = await createSession(user);
+
+  assert.equal(await revokeByRefreshToken(`${session._id}.guess`), false);
+  assert.equal(await revokeByRefreshToken(refreshToken), true);
+  assert.equal(await isSessionActive(String(session._id)), false);
+});
+
+test("revokeAllSessions can keep the current one", async (t) => {
+  const { user } = setup(t);
+  const current = await createSession(user);
+  const other = await createSession(user);
+
+  const revoked = await revokeAllSessions(
+    user._id,
+    "logout_all",
+    current.session._id
+  );
+  assert.equal(revoked, 1);
+  assert.equal(await isSessionActive(String(current.session._id)), true);
+  assert.equal(await isSessionActive(String(other.session._id)), false);
+});
@@ -0,0 +1,118 @@
+// test/socketAuth.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Session from "../src/models/Session.js";
+import { signToken, signGuestToken } from "../src/utils/token.js";
+import {
+  socketAuth,
+  socketClientIp,
+  ensureGuestIdentity,
+} from "../src/middleware/socketAuth.js";
+import { fakeModel, fakeSocket } from "./helpers/fixtures.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const user = { _id: "64b000000000000000000001", email: "ann@example.com" };
+
+// → { socket, error } after the middleware ran
+async function connect(handshake) {
+  const socket = fakeSocket({ handshake });
+  let error;
+  await socketAuth(socket, (err) => {
+    error = err;
+  });
+  return { socket, error };
+}
+
+const liveToken = (t) => signToken(user, liveSession(t));
+
+function liveSession(t, fields = {}) {
+  const [session] = fakeModel(t, Session, [
+    {
+      user: user._id,
+      refreshTokenHash: "x",
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      ...fields,
+    },
+  ]);
+  return String(session._id);
+}
+
+test("a valid token makes the socket that user", async (t) => {
+  const token = liveToken(t);
+  const { socket, error } = await connect({ auth: { token } });
+
+  assert.equal(error, undefined);
+  assert.equal(socket.data.userId, user._id);
+  assert.equal(socket.data.userEmail, user.email);
+  assert.equal(socket.data.isGuest, false);
+});
+
+test("the token is also read from an Authorization header", async (t) => {
+  const token = liveToken(t);
+  const { socket } = await connect({
+    headers: { authorization: `Bearer ${token}` },
+  });
+  assert.equal(socket.data.userEmail, user.email);
+});
+
+test("bad tokens and revoked sessions are refused, not downgraded", async (t) => {
+  const revoked = signToken(user, liveSession(t, { revokedAt: new Date() }));
+
+  for (const token of ["not-a-jwt", revoked]) {
+    const { socket, error } = await connect({ auth: { token } });
+    assert.equal(error?.message, "INVALID_TOKEN");
+    assert.deepEqual(error.data, { reason: "INVALID_TOKEN" });
+    assert.equal(socket.data.userId, undefined);
+  }
+});
+
+test("no token connects a guest, resumed only with a signed guest token", async () => {
+  const fresh = await connect({});
+  assert.equal(fresh.error, undefined);
+  assert.equal(fresh.socket.data.isGuest, true);
+  assert.equal(fresh.socket.data.guestId, null);
+  assert.equal(fresh.socket.data.userEmail, null);
+
+  const resumed = await connect({
+    auth: { guestToken: signGuestToken("guest_abc") },
+  });
+  assert.equal(resumed.socket.data.guestId, "guest_abc");
+
+  const forged = await connect({ auth: { guestToken: "guest_abc" } });
+  assert.equal(forged.socket.data.guestId, null);
+});
+
+test("ensureGuestIdentity mints an id once and hands out its token", () => {
+  const socket = fakeSocket({ data: { isGuest: true, guestId: null } });
+
+  const guestId = ensureGuestIdentity(socket);
+  assert.match(guestId, /^guest_/);
+  assert.equal(ensureGuestIdentity(socket), guestId);
+
+  const [announced] = socket.emitted;
+  assert.equal(announced.event, "guest_identity");
+  assert.equal(announced.payload.guestId, guestId);
+  assert.ok(announced.payload.guestToken);
+  assert.equal(socket.emitted.length, 1);
+});
+
+test("socketClientIp trusts X-Forwarded-For only behind TRUST_PROXY", (t) => {
+  const saved = process.env.TRUST_PROXY;
+  t.after(() => {
+    if (saved === undefined) delete process.env.TRUST_PROXY;
+    else process.env.TRUST_PROXY = saved;
+  });
+  const socket = fakeSocket({
+    handshake: {
+      address: "10.0.0.2",
+      headers: { "x-forwarded-for": "198.51.100.9, 203.0.113.5" },
+    },
+  });
+
+  delete process.env.TRUST_PROXY;
+  assert.equal(socketClientIp(socket), "10.0.0.2");
+  process.env.TRUST_PROXY = "1";
+  assert.equal(socketClientIp(socket), "203.0.113.5");
+});